@@ -4,8 +4,11 @@
 const fs = require('fs');
 const path = require('path');
 const csv = require('csv-parser');
+const { Op } = require('sequelize');
 const { sequelize } = require('./config/database');
 const User = require('./models/User');
+const ledger = require('./services/ledgerService');
+const { toPaise } = require('./utils/money');
 require('dotenv').config();
 
 /* =========================================================
@@ -68,6 +71,7 @@ async function bulkImportFromCSV(csvFilePath) {
   const users = [];
   const errors = [];
   const seenUserIds = new Set(); // ✅ track first occurrence
+  const openingBalances = new Map(); // userId -> paise, posted through the ledger
   let lineNumber = 1;
 
   console.log('📂 Reading CSV file:', csvFilePath);
@@ -100,11 +104,8 @@ async function bulkImportFromCSV(csvFilePath) {
           contact: rawContact || 'NA',
           department: safeTrim(row.department),
           role: safeTrim(row.role),
-          balance: parseFloat(row.balance) || 0,
           password: null,
-          sPin: null,
-          otp: null,
-          otpExpiry: null
+          sPin: null
         };
 
         // Skip fully empty rows
@@ -119,6 +120,9 @@ async function bulkImportFromCSV(csvFilePath) {
         // Mark userId as seen AFTER validation
         if (user.userId) seenUserIds.add(user.userId);
 
+        const openingPaise = toPaise(row.balance);
+        if (openingPaise) openingBalances.set(user.userId, openingPaise);
+
         users.push(user);
       })
       .on('end', async () => {
@@ -136,17 +140,44 @@ async function bulkImportFromCSV(csvFilePath) {
 
           console.log('📊 Importing to database...\n');
 
+          const importStartedAt = new Date();
           const result = await User.bulkCreate(users, {
             ignoreDuplicates: true,
             validate: true
           });
 
+          // Opening balances are top-ups, so they show up in the ledger.
+          // Only users created by this run are funded (not skipped duplicates).
+          const funded = await User.findAll({
+            where: {
+              userId: { [Op.in]: [...openingBalances.keys()] },
+              createdAt: { [Op.gte]: importStartedAt }
+            }
+          });
+          await sequelize.transaction(async (t) => {
+            for (const user of funded) {
+              await ledger.post({
+                from: ledger.SYSTEM_ACCOUNTS.ISSUANCE,
+                to: user,
+                amountPaise: openingBalances.get(user.userId),
+                type: 'TOPUP',
+                record: {
+                  senderId: user.id,
+                  senderName: 'Shaastra Finance',
+                  senderUserId: 'FINANCE_TOPUP'
+                },
+                metadata: { reason: 'Opening balance from team CSV import' }
+              }, t);
+            }
+          });
+
           console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
           console.log('✅ IMPORT COMPLETE');
           console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
           console.log(`📥 CSV rows accepted: ${users.length}`);
           console.log(`✅ Inserted: ${result.length}`);
           console.log(`⚠️  Skipped (existing in DB): ${users.length - result.length}`);
+          console.log(`💰 Opening balances posted: ${funded.length}`);
           console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
 
           resolve();
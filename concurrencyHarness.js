@@ -0,0 +1,179 @@
+// concurrencyHarness.js
+// Fires parallel wallet requests at a running server and checks that no
+// wallet is overdrawn, no request deadlocks and the ledger still balances.
+//
+// Run against a DEV database only (it creates HARNESS users and moves money):
+//   node concurrencyHarness.js [apiUrl]
+// Wait a minute between runs: the harness uses the full per-user
+// transactionLimiter budget (10 requests per minute).
+
+require('dotenv').config();
+const bcrypt = require('bcryptjs');
+const { sequelize } = require('./config/database');
+const User = require('./models/User');
+const ledger = require('./services/ledgerService');
+const { startSession } = require('./services/sessionService');
+
+const API_URL = process.argv[2] || `http://localhost:${process.env.PORT || 5000}`;
+const HARNESS_PIN = '8264';
+
+const HARNESS_USERS = [
+  { userId: 'HX00T001', name: 'Harness Sender', role: 'Volunteer' },
+  { userId: 'HX00T002', name: 'Harness Receiver', role: 'Vendor' },
+  { userId: 'HX00T003', name: 'Harness Core A', role: 'Core' },
+  { userId: 'HX00T004', name: 'Harness Core B', role: 'Core' }
+];
+
+// Users.id -> access token of the harness session
+const tokens = new Map();
+
+const failures = [];
+const check = (condition, message) => {
+  console.log(`${condition ? '✅' : '❌'} ${message}`);
+  if (!condition) failures.push(message);
+};
+
+/* =========================================================
+   SETUP - create harness users and give them a known balance
+========================================================= */
+
+async function prepareUsers(fundingPaise) {
+  const sPin = await bcrypt.hash(HARNESS_PIN, 10);
+  const users = {};
+
+  for (const spec of HARNESS_USERS) {
+    const [user] = await User.findOrCreate({
+      where: { userId: spec.userId },
+      defaults: { ...spec, department: 'HARNESS' }
+    });
+    user.sPin = sPin;
+    await user.save();
+    // Access tokens must name a live session, as a login's do
+    const { token } = await startSession(user, { body: { deviceName: 'Concurrency harness' }, get: () => null, ip: null });
+    tokens.set(user.id, token);
+    users[spec.userId] = user;
+  }
+
+  // Drain and refund through the ledger so every run starts from the same state
+  await sequelize.transaction(async (t) => {
+    const wallets = await ledger.lockUsers({ id: Object.values(users).map(u => u.id) }, t);
+    for (const wallet of wallets) {
+      if (wallet.balancePaise > 0) {
+        await ledger.post({
+          from: wallet,
+          to: ledger.SYSTEM_ACCOUNTS.RESET,
+          amountPaise: wallet.balancePaise,
+          type: 'ADMIN_RESET',
+          record: { receiverId: wallet.id, receiverName: 'System Reset', receiverUserId: 'ADMIN_RESET' },
+          metadata: { reason: 'Concurrency harness reset' }
+        }, t);
+      }
+      if (fundingPaise[wallet.userId]) {
+        await ledger.post({
+          from: ledger.SYSTEM_ACCOUNTS.ISSUANCE,
+          to: wallet,
+          amountPaise: fundingPaise[wallet.userId],
+          type: 'TOPUP',
+          record: { senderId: wallet.id, senderName: 'Shaastra Finance', senderUserId: 'FINANCE_TOPUP' },
+          metadata: { reason: 'Concurrency harness funding' }
+        }, t);
+      }
+    }
+  });
+
+  return users;
+}
+
+async function callApi(user, path, body) {
+  const res = await fetch(`${API_URL}/api/wallet${path}`, {
+    method: 'POST',
+    headers: { 'Authorization': `Bearer ${tokens.get(user.id)}`, 'Content-Type': 'application/json' },
+    body: JSON.stringify({ ...body, sPin: HARNESS_PIN })
+  });
+  return { status: res.status, body: await res.json().catch(() => ({})) };
+}
+
+const balanceOf = async (user) => (await User.findByPk(user.id)).balancePaise;
+
+/* =========================================================
+   SCENARIOS
+========================================================= */
+
+// 10 parallel ₹10 sends from a ₹50 wallet: exactly 5 may succeed
+async function overdraftScenario(users) {
+  console.log('\n💸 Parallel sends from one wallet');
+  const sender = users.HX00T001;
+  const receiver = users.HX00T002;
+
+  const results = await Promise.all(
+    Array.from({ length: 10 }, () => callApi(sender, '/send', { receiverId: receiver.userId, amount: 10 }))
+  );
+  const succeeded = results.filter(r => r.status === 200).length;
+  const serverErrors = results.filter(r => r.status >= 500);
+
+  check(succeeded === 5, `exactly 5 of 10 sends succeeded (got ${succeeded})`);
+  check(serverErrors.length === 0, `no server errors (${serverErrors.map(r => r.body.message).join('; ') || 'none'})`);
+  check(await balanceOf(sender) === 0, 'sender balance is ₹0.00, never negative');
+  check(await balanceOf(receiver) === 5000, 'receiver got exactly ₹50.00');
+}
+
+// Two Cores paying each other at the same time lock the same rows from
+// opposite sides: with id-ordered locking none of them may deadlock
+async function lockOrderScenario(users) {
+  console.log('\n🔒 Crossed group sends between two Cores');
+  const coreA = users.HX00T003;
+  const coreB = users.HX00T004;
+  const vendor = users.HX00T002;
+  const vendorBefore = await balanceOf(vendor);
+
+  const requests = [];
+  for (let i = 0; i < 5; i++) {
+    requests.push(callApi(coreA, '/send-group', { recipients: [{ receiverId: coreB.userId, amount: 1 }, { receiverId: vendor.userId, amount: 1 }] }));
+    requests.push(callApi(coreB, '/send-group', { recipients: [{ receiverId: coreA.userId, amount: 1 }, { receiverId: vendor.userId, amount: 1 }] }));
+  }
+  const results = await Promise.all(requests);
+  const failed = results.filter(r => r.status !== 200);
+
+  check(failed.length === 0, `all 10 group sends succeeded (${failed.map(r => `${r.status} ${r.body.message}`).join('; ') || 'no failures'})`);
+  check(await balanceOf(coreA) === 9500 && await balanceOf(coreB) === 9500, 'both Cores end at ₹95.00');
+  check(await balanceOf(vendor) === vendorBefore + 1000, 'vendor received ₹10.00 in total');
+}
+
+async function ledgerScenario(users) {
+  console.log('\n📒 Ledger reconciliation');
+  const harnessIds = Object.values(users).map(u => u.id);
+  const report = await ledger.reconcileBalances();
+  const mismatched = report.mismatches.filter(m => harnessIds.includes(m.id));
+
+  check(mismatched.length === 0, 'harness balances match their ledger entries');
+  check(report.unbalancedTransactionIds.length === 0, 'every transaction nets to zero');
+}
+
+/* =========================================================
+   RUN SCRIPT
+========================================================= */
+
+async function run() {
+  console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log(`🧪 WALLET CONCURRENCY HARNESS -> ${API_URL}`);
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+
+  try {
+    await sequelize.authenticate();
+    const users = await prepareUsers({ HX00T001: 5000, HX00T003: 10000, HX00T004: 10000 });
+
+    await overdraftScenario(users);
+    await lockOrderScenario(users);
+    await ledgerScenario(users);
+  } catch (error) {
+    console.error('❌ Harness error:', error);
+    failures.push(error.message);
+  } finally {
+    await sequelize.close();
+  }
+
+  console.log(`\n${failures.length === 0 ? '✅ All checks passed' : `❌ ${failures.length} check(s) failed`}\n`);
+  process.exit(failures.length === 0 ? 0 : 1);
+}
+
+run();
@@ -0,0 +1,20 @@
+// config/approvals.js
+// Maker-checker limits. Finance actions above them are not run straight
+// away: they become an ApprovalRequest that a second Finance Core approves.
+const { toPaise } = require('../utils/money');
+
+// Top-ups (single or a bulk batch total) above this many rupees
+const TOPUP_LIMIT_PAISE = toPaise(process.env.APPROVAL_TOPUP_LIMIT) || toPaise(5000);
+
+// Balance resets that would clear more than this many rupees in total.
+// A reset of every wallet (targetType 'all') always needs approval.
+const RESET_LIMIT_PAISE = toPaise(process.env.APPROVAL_RESET_LIMIT) || toPaise(2000);
+
+// Pending requests not decided within this many hours expire
+const APPROVAL_TTL_HOURS = Number(process.env.APPROVAL_TTL_HOURS) || 24;
+
+module.exports = {
+  TOPUP_LIMIT_PAISE,
+  RESET_LIMIT_PAISE,
+  APPROVAL_TTL_HOURS
+};
@@ -0,0 +1,33 @@
+// config/otp.js
+// One-time codes sent to a user's s-mail (services/otpService.js). Each code
+// is issued for one purpose and only completes that flow.
+
+// Purpose → what the email says the code is for
+const OTP_PURPOSES = {
+  REGISTRATION: 'registration',
+  PASSWORD_RESET: 'password reset',
+  SPIN_RESET: 'S-Pin reset'
+};
+
+const OTP_LENGTH = 6;
+
+// Codes expire this many minutes after they are sent
+const OTP_TTL_MINUTES = Number(process.env.OTP_TTL_MINUTES) || 10;
+
+// Wrong guesses allowed per code; the code is locked after that
+const OTP_MAX_ATTEMPTS = Number(process.env.OTP_MAX_ATTEMPTS) || 5;
+
+// A new code for the same purpose can be sent this many seconds after the last
+const OTP_RESEND_COOLDOWN_SECONDS = Number(process.env.OTP_RESEND_COOLDOWN_SECONDS) || 60;
+
+// Used, locked and expired codes are deleted after this many days
+const OTP_RETENTION_DAYS = 7;
+
+module.exports = {
+  OTP_PURPOSES,
+  OTP_LENGTH,
+  OTP_TTL_MINUTES,
+  OTP_MAX_ATTEMPTS,
+  OTP_RESEND_COOLDOWN_SECONDS,
+  OTP_RETENTION_DAYS
+};
@@ -0,0 +1,31 @@
+// config/purses.js
+// Earmarked sub-balances. Every wallet is split into purses; User.balancePaise
+// stays the total across them.
+const PURSES = ['GENERAL', 'FOOD'];
+
+// Purse used when a request does not name one (and for all pre-purse money)
+const DEFAULT_PURSE = 'GENERAL';
+
+const VENDOR_CATEGORIES = ['FOOD', 'BEVERAGE', 'MERCHANDISE', 'OTHER'];
+
+// Vendors registered before categories existed are food stalls
+const DEFAULT_VENDOR_CATEGORY = 'FOOD';
+
+// Vendor categories a restricted purse may be spent at. Purses not listed
+// here are accepted by every vendor.
+const PURSE_VENDOR_CATEGORIES = {
+  FOOD: ['FOOD', 'BEVERAGE']
+};
+
+// Roles that may allocate restricted purse money to non-vendors (e.g. a
+// Core handing out meal allowances). Everyone else can only spend it.
+const ALLOCATOR_ROLES = ['Core'];
+
+module.exports = {
+  PURSES,
+  DEFAULT_PURSE,
+  VENDOR_CATEGORIES,
+  DEFAULT_VENDOR_CATEGORY,
+  PURSE_VENDOR_CATEGORIES,
+  ALLOCATOR_ROLES
+};
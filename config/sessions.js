@@ -0,0 +1,22 @@
+// config/sessions.js
+// Login sessions: short-lived access tokens (JWT) plus a rotating refresh
+// token per device, stored server-side (models/Session.js).
+
+// Access tokens expire after this many seconds; clients then call /api/auth/refresh
+const ACCESS_TOKEN_TTL_SECONDS = Number(process.env.ACCESS_TOKEN_TTL_SECONDS) || 15 * 60;
+
+// A session not refreshed for this many days ends
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 7;
+
+// Logging in on more devices than this ends the least recently used session
+const MAX_ACTIVE_SESSIONS = 10;
+
+// Ended sessions are kept this many days (for support queries), then deleted
+const SESSION_RETENTION_DAYS = 30;
+
+module.exports = {
+  ACCESS_TOKEN_TTL_SECONDS,
+  REFRESH_TOKEN_TTL_DAYS,
+  MAX_ACTIVE_SESSIONS,
+  SESSION_RETENTION_DAYS
+};
@@ -0,0 +1,18 @@
+// config/spin.js
+// S-Pin lockout and the rules for choosing an S-Pin (services/spinService.js)
+
+// Wrong S-Pins in a row before the wallet is locked
+const SPIN_MAX_ATTEMPTS = Number(process.env.SPIN_MAX_ATTEMPTS) || 5;
+
+// How long each lock in a row lasts, in minutes; later locks keep the last
+const SPIN_LOCK_MINUTES = [15, 60, 6 * 60, 24 * 60];
+
+// Common S-Pins rejected on top of repeated digits, sequences and
+// repeated pairs
+const COMMON_SPINS = ['1122', '2580', '0852', '1004', '2000', '1998', '1999', '2001'];
+
+module.exports = {
+  SPIN_MAX_ATTEMPTS,
+  SPIN_LOCK_MINUTES,
+  COMMON_SPINS
+};
@@ -0,0 +1,226 @@
+// expiryHarness.js
+// Checks that money given back to a wallet (refunds, reversals, voucher
+// releases) keeps the expiry of the credit it was spent from, so a payment
+// or voucher cannot turn expiring credit into balance that never expires.
+//
+// Run against a DEV database only (it uses the HARNESS users and moves money):
+//   node expiryHarness.js
+// No server is needed: the services are called directly. Issuing vouchers
+// needs VOUCHER_SIGNING_KEY, as for the server.
+
+require('dotenv').config();
+const { Op } = require('sequelize');
+const { sequelize } = require('./config/database');
+const User = require('./models/User');
+const Voucher = require('./models/Voucher');
+const Transaction = require('./models/Transaction');
+const CreditLot = require('./models/CreditLot');
+const ledger = require('./services/ledgerService');
+const { returnFunds } = require('./services/refundService');
+const { issueVoucher, releaseExpiredVouchers } = require('./services/voucherService');
+const { DEFAULT_PURSE } = require('./config/purses');
+
+// senderId / receiverId come from these associations (index.js sets them up
+// for the server)
+Transaction.belongsTo(User, { as: 'Sender', foreignKey: 'senderId' });
+Transaction.belongsTo(User, { as: 'Receiver', foreignKey: 'receiverId' });
+
+const HARNESS_USERS = [
+  { userId: 'HX00T001', name: 'Harness Sender', role: 'Volunteer' },
+  { userId: 'HX00T002', name: 'Harness Receiver', role: 'Vendor' }
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const failures = [];
+const check = (condition, message) => {
+  console.log(`${condition ? '✅' : '❌'} ${message}`);
+  if (!condition) failures.push(message);
+};
+
+/* =========================================================
+   SETUP - harness users with an empty wallet
+========================================================= */
+
+async function prepareUsers() {
+  const users = {};
+  for (const spec of HARNESS_USERS) {
+    const [user] = await User.findOrCreate({
+      where: { userId: spec.userId },
+      defaults: { ...spec, department: 'HARNESS' }
+    });
+    users[spec.userId] = user;
+  }
+  await drain(Object.values(users));
+  return users;
+}
+
+// Resets the wallets to ₹0 (which also clears their credit lots)
+async function drain(users) {
+  await sequelize.transaction(async (t) => {
+    const wallets = await ledger.lockUsers({ id: users.map(u => u.id) }, t);
+    for (const wallet of wallets) {
+      if (wallet.balancePaise > 0) {
+        await ledger.post({
+          from: wallet,
+          to: ledger.SYSTEM_ACCOUNTS.RESET,
+          amountPaise: wallet.balancePaise,
+          type: 'ADMIN_RESET',
+          record: { receiverId: wallet.id, receiverName: 'System Reset', receiverUserId: 'ADMIN_RESET' },
+          metadata: { reason: 'Expiry harness reset' }
+        }, t);
+      }
+    }
+  });
+}
+
+async function fund(user, amountPaise, expiresAt = null) {
+  await sequelize.transaction(async (t) => {
+    const [wallet] = await ledger.lockUsers({ id: user.id }, t);
+    await ledger.post({
+      from: ledger.SYSTEM_ACCOUNTS.ISSUANCE,
+      to: wallet,
+      amountPaise,
+      type: 'TOPUP',
+      expiresAt,
+      record: { senderId: wallet.id, senderName: 'Shaastra Finance', senderUserId: 'FINANCE_TOPUP' },
+      metadata: { reason: 'Expiry harness funding' }
+    }, t);
+  });
+}
+
+const activeLots = (user) => CreditLot.findAll({
+  where: { userId: user.id, status: 'ACTIVE' },
+  order: [['id', 'ASC']]
+});
+
+const lotPaise = (lots, expiresAt) => lots
+  .filter(lot => lot.expiresAt.getTime() === expiresAt.getTime())
+  .reduce((sum, lot) => sum + lot.remainingPaise, 0);
+
+/* =========================================================
+   SCENARIOS
+========================================================= */
+
+// ₹100 expiring + ₹50 that never expires; a ₹120 payment spends all the
+// expiring money first. A ₹30 refund and then the reversal of the rest
+// must bring back ₹100 expiring on the same day and ₹20 that does not.
+async function refundScenario(users) {
+  console.log('\n↩️  Refund and reversal of a payment made with expiring credit');
+  const sender = users.HX00T001;
+  const vendor = users.HX00T002;
+  const expiresAt = new Date(Date.now() + 2 * DAY_MS);
+
+  await fund(sender, 10000, expiresAt);
+  await fund(sender, 5000);
+
+  const payment = await sequelize.transaction(async (t) => {
+    const wallets = await ledger.lockUsers({ id: [sender.id, vendor.id] }, t);
+    return ledger.post({
+      from: wallets.find(u => u.id === sender.id),
+      to: wallets.find(u => u.id === vendor.id),
+      amountPaise: 12000,
+      type: 'TRANSFER'
+    }, t);
+  });
+  check(
+    ((payment.metadata || {}).creditsDrawn || []).reduce((sum, d) => sum + d.paise, 0) === 10000,
+    'the payment records the ₹100.00 of expiring credit it spent'
+  );
+
+  await sequelize.transaction(t => returnFunds({
+    transactionId: payment.id, amountPaise: 3000, type: 'REFUND', actor: vendor, reason: 'Harness refund'
+  }, t));
+  let lots = await activeLots(sender);
+  check(lotPaise(lots, expiresAt) === 3000, `a ₹30.00 refund comes back expiring on the original day (got ₹${lotPaise(lots, expiresAt) / 100})`);
+
+  await sequelize.transaction(t => returnFunds({
+    transactionId: payment.id, type: 'REVERSAL', actor: vendor, reason: 'Harness reversal'
+  }, t));
+  lots = await activeLots(sender);
+  const wallet = await User.findByPk(sender.id);
+  check(lotPaise(lots, expiresAt) === 10000, `after the reversal ₹100.00 expires on the original day (got ₹${lotPaise(lots, expiresAt) / 100})`);
+  check(lots.every(lot => lot.expiresAt.getTime() === expiresAt.getTime()), 'no lot got a new expiry date');
+  check(wallet.balancePaise === 15000, 'the sender is back at ₹150.00');
+}
+
+// A voucher issued from expiring credit is released back as expiring credit;
+// if that credit expired meanwhile, the released money is not spendable
+async function voucherScenario(users) {
+  console.log('\n🎟️  Voucher release of expiring credit');
+  const owner = users.HX00T001;
+  await drain([owner]);
+
+  const expiresAt = new Date(Date.now() + 2 * DAY_MS);
+  await fund(owner, 4000, expiresAt);
+  const soonExpiresAt = new Date(Date.now() + 2000);
+  await fund(owner, 2500, soonExpiresAt);
+
+  const issue = (amountPaise) => sequelize.transaction(async (t) => {
+    const [wallet] = await ledger.lockUsers({ id: owner.id }, t);
+    return (await issueVoucher(wallet, amountPaise, DEFAULT_PURSE, new Date(Date.now() + 60 * 1000), t)).voucher;
+  });
+  // Soonest expiry is drawn first: ₹25 (expires in 2s) + ₹15 of the ₹40
+  const voucher = await issue(4000);
+
+  // Let the short lot expire, then age the voucher past its settlement grace
+  await new Promise(resolve => setTimeout(resolve, 2500));
+  await Voucher.update({ expiresAt: new Date(Date.now() - 2 * DAY_MS) }, { where: { id: voucher.id } });
+  await releaseExpiredVouchers();
+
+  const released = await Voucher.findByPk(voucher.id);
+  const lots = await activeLots(owner);
+  check(released.status === 'RELEASED', 'the expired voucher was released');
+  check(lotPaise(lots, expiresAt) === 4000, `₹40.00 expires on the original day again (got ₹${lotPaise(lots, expiresAt) / 100})`);
+  // The server's expiry sweep may already have cleared it, so any status counts
+  const release = await Transaction.findOne({ where: { type: 'VOUCHER_RELEASE', 'metadata.voucherId': voucher.id } });
+  const lapsed = await CreditLot.findAll({ where: { transactionId: release.id, expiresAt: soonExpiresAt } });
+  check(lapsed.reduce((sum, lot) => sum + lot.amountPaise, 0) === 2500, 'the ₹25.00 drawn from the lapsed credit reopens as an expired lot');
+
+  // Only the ₹40 still valid can be spent, not the lapsed ₹25
+  const overspend = await sequelize.transaction(async (t) => {
+    const [wallet] = await ledger.lockUsers({ id: owner.id }, t);
+    return ledger.post({ from: wallet, to: users.HX00T002, amountPaise: 4100, type: 'TRANSFER' }, t);
+  }).then(() => null, error => error);
+  check(!!overspend && /Insufficient/.test(overspend.message), 'lapsed credit from the voucher cannot be spent');
+}
+
+async function ledgerScenario(users) {
+  console.log('\n📒 Ledger reconciliation');
+  const harnessIds = Object.values(users).map(u => u.id);
+  const report = await ledger.reconcileBalances();
+  const mismatched = report.mismatches.filter(m => harnessIds.includes(m.id));
+
+  check(mismatched.length === 0, 'harness balances match their ledger entries');
+  check(report.unbalancedTransactionIds.length === 0, 'every transaction nets to zero');
+  check(await CreditLot.count({ where: { userId: harnessIds, remainingPaise: { [Op.lt]: 0 } } }) === 0, 'no credit lot went negative');
+}
+
+/* =========================================================
+   RUN SCRIPT
+========================================================= */
+
+async function run() {
+  console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log('🧪 CREDIT EXPIRY HARNESS');
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+
+  try {
+    await sequelize.authenticate();
+    const users = await prepareUsers();
+
+    await refundScenario(users);
+    await voucherScenario(users);
+    await ledgerScenario(users);
+  } catch (error) {
+    console.error('❌ Harness error:', error);
+    failures.push(error.message);
+  } finally {
+    await sequelize.close();
+  }
+
+  console.log(`\n${failures.length === 0 ? '✅ All checks passed' : `❌ ${failures.length} check(s) failed`}\n`);
+  process.exit(failures.length === 0 ? 0 : 1);
+}
+
+run();
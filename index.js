@@ -9,6 +9,56 @@ const { Server } = require('socket.io'); // [Import 2]
 const User = require('./models/User');
 const Transaction = require('./models/Transaction');
 const Group = require('./models/Group');
+const GroupShare = require('./models/GroupShare');
+const LedgerEntry = require('./models/LedgerEntry');
+const IdempotencyKey = require('./models/IdempotencyKey');
+const PaymentRequest = require('./models/PaymentRequest');
+const MoneyRequest = require('./models/MoneyRequest');
+const VendorSettlement = require('./models/VendorSettlement');
+const MenuItem = require('./models/MenuItem');
+const Outlet = require('./models/Outlet');
+const Voucher = require('./models/Voucher');
+const PurseBalance = require('./models/PurseBalance');
+const CreditLot = require('./models/CreditLot');
+const ExpiryReport = require('./models/ExpiryReport');
+const Dispute = require('./models/Dispute');
+const ScheduledDisbursement = require('./models/ScheduledDisbursement');
+const DisbursementRun = require('./models/DisbursementRun');
+const TopupBatch = require('./models/TopupBatch');
+const ApprovalRequest = require('./models/ApprovalRequest');
+const DepartmentBudget = require('./models/DepartmentBudget');
+const Session = require('./models/Session');
+const OneTimePassword = require('./models/OneTimePassword');
+const {
+  convertLegacyFloatColumns,
+  backfillLedgerEntries,
+  postDriftAdjustments,
+  backfillPurseBalances
+} = require('./services/ledgerMigration');
+const {
+  backfillTransactionReferences,
+  backfillOutletNames,
+  publicKeyPem: receiptPublicKeyPem
+} = require('./services/receiptService');
+const { scheduleJob } = require('./services/scheduler');
+const { releaseExpiredVouchers, publicKeyPem: voucherPublicKeyPem } = require('./services/voucherService');
+const { runDueDisbursements } = require('./services/disbursementService');
+const { expireDueCredits } = require('./services/expiryService');
+const { expireStaleApprovals } = require('./services/approvalService');
+const { expireMoneyRequests } = require('./services/moneyRequestService');
+const { purgeEndedSessions } = require('./services/sessionService');
+const { purgeOldOtps } = require('./services/otpService');
+const { purgeExpiredIdempotencyKeys } = require('./middleware/idempotency');
+
+// Vouchers and receipts must still verify after a restart: refuse to start
+// without persistent signing keys
+try {
+  voucherPublicKeyPem();
+  receiptPublicKeyPem();
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
 
 // --- 2. DEFINE ASSOCIATIONS ---
 User.hasMany(Transaction, { as: 'SentTransactions', foreignKey: 'senderId' });
@@ -19,6 +69,50 @@ User.hasMany(Group, { foreignKey: 'createdById' });
 Group.belongsTo(User, { as: 'Creator', foreignKey: 'createdById' });
 User.belongsToMany(Group, { through: 'UserGroup' });
 Group.belongsToMany(User, { through: 'UserGroup' });
+Group.hasMany(GroupShare, { as: 'Shares', foreignKey: 'groupId' });
+GroupShare.belongsTo(Group, { foreignKey: 'groupId' });
+GroupShare.belongsTo(User, { as: 'SharedWith', foreignKey: 'userId' });
+Transaction.hasMany(LedgerEntry, { as: 'Entries', foreignKey: 'transactionId' });
+LedgerEntry.belongsTo(Transaction, { foreignKey: 'transactionId' });
+User.hasMany(IdempotencyKey, { foreignKey: 'userId' });
+User.hasMany(PurseBalance, { as: 'Purses', foreignKey: 'userId' });
+User.hasMany(CreditLot, { foreignKey: 'userId' });
+CreditLot.belongsTo(Transaction, { foreignKey: 'transactionId' });
+Transaction.hasMany(Dispute, { foreignKey: 'transactionId' });
+Dispute.belongsTo(Transaction, { foreignKey: 'transactionId' });
+Dispute.belongsTo(User, { as: 'RaisedBy', foreignKey: 'raisedById' });
+Dispute.belongsTo(User, { as: 'ResolvedBy', foreignKey: 'resolvedById' });
+User.hasMany(PaymentRequest, { as: 'PaymentRequests', foreignKey: 'vendorId' });
+PaymentRequest.belongsTo(User, { as: 'Vendor', foreignKey: 'vendorId' });
+PaymentRequest.belongsTo(Transaction, { foreignKey: 'transactionId' });
+MoneyRequest.belongsTo(User, { as: 'Requester', foreignKey: 'requesterId' });
+MoneyRequest.belongsTo(User, { as: 'Payer', foreignKey: 'payerId' });
+MoneyRequest.belongsTo(Transaction, { foreignKey: 'transactionId' });
+VendorSettlement.belongsTo(User, { as: 'Vendor', foreignKey: 'vendorId' });
+VendorSettlement.belongsTo(User, { as: 'CreatedBy', foreignKey: 'createdById' });
+VendorSettlement.belongsTo(User, { as: 'PaidBy', foreignKey: 'paidById' });
+VendorSettlement.hasMany(Transaction, { foreignKey: 'settlementId' });
+MenuItem.belongsTo(User, { as: 'Vendor', foreignKey: 'vendorId' });
+Outlet.belongsTo(User, { as: 'Merchant', foreignKey: 'merchantId' });
+// No constraint: Outlets already reference Users, and sync cannot create a cycle
+User.belongsTo(Outlet, { foreignKey: 'outletId', constraints: false });
+Transaction.belongsTo(Outlet, { foreignKey: 'outletId' });
+Transaction.belongsTo(User, { as: 'Cashier', foreignKey: 'cashierId' });
+Voucher.belongsTo(User, { as: 'Owner', foreignKey: 'userId' });
+Voucher.belongsTo(User, { as: 'RedeemedBy', foreignKey: 'vendorId' });
+User.hasMany(ScheduledDisbursement, { foreignKey: 'createdById' });
+ScheduledDisbursement.belongsTo(User, { as: 'Creator', foreignKey: 'createdById' });
+Group.hasMany(ScheduledDisbursement, { foreignKey: 'groupId' });
+ScheduledDisbursement.belongsTo(Group, { foreignKey: 'groupId' });
+ScheduledDisbursement.hasMany(DisbursementRun, { as: 'Runs', foreignKey: 'scheduleId' });
+DisbursementRun.belongsTo(ScheduledDisbursement, { foreignKey: 'scheduleId' });
+TopupBatch.belongsTo(User, { as: 'CreatedBy', foreignKey: 'createdById' });
+TopupBatch.belongsTo(User, { as: 'CommittedBy', foreignKey: 'committedById' });
+ApprovalRequest.belongsTo(User, { as: 'RequestedBy', foreignKey: 'requestedById' });
+ApprovalRequest.belongsTo(User, { as: 'DecidedBy', foreignKey: 'decidedById' });
+DepartmentBudget.belongsTo(User, { as: 'UpdatedBy', foreignKey: 'updatedById' });
+Session.belongsTo(User, { foreignKey: 'userId' });
+OneTimePassword.belongsTo(User, { foreignKey: 'userId' });
 
 dotenv.config();
 
@@ -67,8 +161,39 @@ const testDbConnection = async () => {
   try {
     await sequelize.authenticate();
     console.log('PostgreSQL database connected successfully! ✅');
+    // Convert FLOAT money columns before `alter` gets a chance to drop them
+    await convertLegacyFloatColumns();
     await sequelize.sync({ alter: true });
     console.log("All models were synchronized successfully.");
+    // Transactions from before the ledger get their entries; only then is a
+    // balance mismatch FLOAT drift rather than a bug, so only then absorb it
+    const backfilled = await backfillLedgerEntries();
+    if (backfilled > 0) {
+      const adjusted = await postDriftAdjustments();
+      console.log(`Wrote ledger entries for ${backfilled} older transaction(s), ${adjusted.length} drift adjustment(s).`);
+    }
+    const openedPurses = await backfillPurseBalances();
+    if (openedPurses > 0) {
+      console.log(`Moved ${openedPurses} wallet balance(s) into the default purse.`);
+    }
+    const referenced = await backfillTransactionReferences();
+    if (referenced > 0) {
+      console.log(`Gave ${referenced} older transaction(s) a reference number.`);
+    }
+    const outletNamed = await backfillOutletNames();
+    if (outletNamed > 0) {
+      console.log(`Recorded the outlet name on ${outletNamed} older transaction(s).`);
+    }
+
+    // Background jobs need the synced tables
+    scheduleJob('Voucher release', 5 * 60 * 1000, releaseExpiredVouchers);
+    scheduleJob('Scheduled disbursements', 60 * 1000, () => runDueDisbursements(app));
+    scheduleJob('Credit expiry', 60 * 1000, () => expireDueCredits(app));
+    scheduleJob('Approval expiry', 5 * 60 * 1000, expireStaleApprovals);
+    scheduleJob('Money request expiry', 5 * 60 * 1000, () => expireMoneyRequests(app));
+    scheduleJob('Session cleanup', 60 * 60 * 1000, purgeEndedSessions);
+    scheduleJob('OTP cleanup', 60 * 60 * 1000, purgeOldOtps);
+    scheduleJob('Idempotency key cleanup', 60 * 60 * 1000, purgeExpiredIdempotencyKeys);
   } catch (error) {
     console.error('Unable to connect to the database:', error);
   }
@@ -84,12 +209,36 @@ const userRoutes = require('./routes/user');
 const groupRoutes = require('./routes/groups');
 const walletRoutes = require('./routes/wallet');
 const vendorManagementRoutes = require('./routes/vendorManagement');
+const paymentRequestRoutes = require('./routes/paymentRequests');
+const moneyRequestRoutes = require('./routes/moneyRequests');
+const settlementRoutes = require('./routes/settlements');
+const menuRoutes = require('./routes/menu');
+const outletRoutes = require('./routes/outlets');
+const receiptRoutes = require('./routes/receipts');
+const voucherRoutes = require('./routes/vouchers');
+const scheduledDisbursementRoutes = require('./routes/scheduledDisbursements');
+const disputeRoutes = require('./routes/disputes');
+const topupBatchRoutes = require('./routes/topupBatches');
+const approvalRoutes = require('./routes/approvals');
+const budgetRoutes = require('./routes/budgets');
 
 app.use('/api/auth', authRoutes);
 app.use('/api/user', userRoutes);
 app.use('/api/groups', groupRoutes);
 app.use('/api/wallet', walletRoutes);
 app.use('/api/vendor-management', vendorManagementRoutes);
+app.use('/api/payment-requests', paymentRequestRoutes);
+app.use('/api/money-requests', moneyRequestRoutes);
+app.use('/api/settlements', settlementRoutes);
+app.use('/api/menu', menuRoutes);
+app.use('/api/outlets', outletRoutes);
+app.use('/api/receipts', receiptRoutes);
+app.use('/api/vouchers', voucherRoutes);
+app.use('/api/scheduled-disbursements', scheduledDisbursementRoutes);
+app.use('/api/disputes', disputeRoutes);
+app.use('/api/topup-batches', topupBatchRoutes);
+app.use('/api/approvals', approvalRoutes);
+app.use('/api/budgets', budgetRoutes);
 
 app.get('/', (req, res) => {
   res.send('Shaastra Wallet API is running with PostgreSQL... 🚀');
@@ -1,6 +1,7 @@
 const jwt = require('jsonwebtoken');
+const { isSessionActive } = require('../services/sessionService');
 
-const authMiddleware = (req, res, next) => {
+const authMiddleware = async (req, res, next) => {
   // 1. Get token from the 'Authorization' header
   const authHeader = req.header('Authorization');
   if (!authHeader) {
@@ -13,16 +14,34 @@ const authMiddleware = (req, res, next) => {
     return res.status(401).json({ message: 'Access denied. Token is malformed.' });
   }
 
+  // 2. Verify the token
+  let decoded;
   try {
-    // 2. Verify the token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-
-    // 3. Attach user info to the request object
-    req.user = decoded.user;
-    next(); // Proceed to the next function (the actual route handler)
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
   } catch (ex) {
-    res.status(400).json({ message: 'Invalid token.' });
+    // An expired access token is renewed with POST /api/auth/refresh
+    if (ex instanceof jwt.TokenExpiredError) {
+      return res.status(401).json({ message: 'Access token expired.', code: 'TOKEN_EXPIRED' });
+    }
+    return res.status(400).json({ message: 'Invalid token.' });
   }
+
+  // 3. Every access token names its session; a revoked or ended session
+  // ends it too. Tokens without one (issued before sessions existed) could
+  // never be revoked, so they are refused.
+  try {
+    if (!decoded.sid || !decoded.user || !(await isSessionActive(decoded.sid, decoded.user.id))) {
+      return res.status(401).json({ message: 'Session has ended. Please log in again.', code: 'SESSION_ENDED' });
+    }
+  } catch (error) {
+    console.error('Session check error:', error);
+    return res.status(500).json({ message: 'Error checking session.' });
+  }
+
+  // 4. Attach user info to the request object
+  req.user = decoded.user;
+  req.sessionId = decoded.sid;
+  next(); // Proceed to the next function (the actual route handler)
 };
 
-module.exports = authMiddleware;
\ No newline at end of file
+module.exports = authMiddleware;
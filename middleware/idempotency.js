@@ -0,0 +1,130 @@
+// middleware/idempotency.js
+const crypto = require('crypto');
+const { Op, UniqueConstraintError } = require('sequelize');
+const IdempotencyKey = require('../models/IdempotencyKey');
+
+const KEY_TTL_MS = 24 * 60 * 60 * 1000; // Replays are honoured for 24 hours
+const MAX_KEY_LENGTH = 255;
+
+// Request fields that must never be hashed or stored
+const SECRET_FIELDS = ['sPin'];
+
+// JSON.stringify with sorted object keys, so field order does not change the fingerprint
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${canonicalJson(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+function fingerprintRequest(endpoint, body) {
+  const payload = { ...(body || {}) };
+  SECRET_FIELDS.forEach(field => delete payload[field]);
+  return crypto.createHash('sha256').update(`${endpoint}\n${canonicalJson(payload)}`).digest('hex');
+}
+
+// ============================================
+// IDEMPOTENCY - For money-moving wallet operations
+// Optional `Idempotency-Key` header. The first request with a key runs
+// normally and its response is stored; a retry with the same key and
+// payload replays that response without running the handler again. Only a
+// 4xx response releases the key for another try.
+// Must run AFTER authMiddleware (keys are scoped per user).
+// ============================================
+const idempotency = async (req, res, next) => {
+  const key = req.header('Idempotency-Key');
+  if (!key) {
+    return next();
+  }
+
+  if (key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({ message: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters.` });
+  }
+
+  const endpoint = `${req.method} ${req.baseUrl}${req.path}`;
+  const fingerprint = fingerprintRequest(endpoint, req.body);
+
+  let record;
+  try {
+    // Drop an expired record for this key so it can be reused
+    await IdempotencyKey.destroy({
+      where: { userId: req.user.id, key, expiresAt: { [Op.lt]: new Date() } }
+    });
+
+    record = await IdempotencyKey.create({
+      key,
+      userId: req.user.id,
+      endpoint,
+      fingerprint,
+      expiresAt: new Date(Date.now() + KEY_TTL_MS)
+    });
+  } catch (error) {
+    if (!(error instanceof UniqueConstraintError)) {
+      console.error('Idempotency key error:', error);
+      return res.status(500).json({ message: 'Error processing Idempotency-Key.' });
+    }
+
+    const existing = await IdempotencyKey.findOne({ where: { userId: req.user.id, key } });
+
+    if (!existing || existing.fingerprint !== fingerprint) {
+      return res.status(422).json({
+        message: 'This Idempotency-Key was already used for a different request. Use a new key for a new payment.'
+      });
+    }
+
+    if (existing.status === 'PENDING') {
+      return res.status(409).json({
+        message: 'A request with this Idempotency-Key is still being processed. Please check your history before retrying.'
+      });
+    }
+
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(existing.responseStatus).json(existing.responseBody);
+  }
+
+  // A 4xx is a refused request (validation, wrong S-Pin, or an httpError
+  // that rolled its transaction back): no money moved, so the client may fix
+  // it and retry with the same key. A 5xx may come after the commit (e.g. a
+  // failed balance read for the response), so it is kept like a success and
+  // a retry replays it instead of moving the money again.
+  const refused = () => res.statusCode >= 400 && res.statusCode < 500;
+  let stored = false;
+
+  const store = (body) => {
+    stored = true;
+    record.update({ status: 'COMPLETED', responseStatus: res.statusCode, responseBody: body })
+      .catch(error => console.error('Idempotency key save error:', error));
+  };
+
+  // Store the JSON response for replays
+  const originalJson = res.json.bind(res);
+  res.json = (body) => {
+    if (!refused()) store(body);
+    return originalJson(body);
+  };
+
+  // However the response ended (res.json, res.send, a thrown error), settle
+  // the key so it never stays PENDING
+  res.on('finish', () => {
+    if (stored) return;
+    if (!refused()) {
+      return store(res.statusCode >= 500
+        ? { message: 'The request failed and may have gone through. Check your history before retrying with a new Idempotency-Key.' }
+        : null);
+    }
+    record.destroy().catch(error => console.error('Idempotency key save error:', error));
+  });
+
+  next();
+};
+
+// Deletes keys past their replay window
+async function purgeExpiredIdempotencyKeys() {
+  return IdempotencyKey.destroy({ where: { expiresAt: { [Op.lt]: new Date() } } });
+}
+
+module.exports = idempotency;
+module.exports.purgeExpiredIdempotencyKeys = purgeExpiredIdempotencyKeys;
@@ -30,5 +30,47 @@ const isCore = async (req, res, next) => {
   }
 };
 
+const isVendor = async (req, res, next) => {
+  const User = require('../models/User');
+  try {
+    const user = await User.findByPk(req.user.id);
+    if (user && user.role === 'Vendor') {
+      next(); // User is a Vendor (merchant)
+    } else {
+      res.status(403).json({ message: 'Forbidden: Access is restricted to Vendors.' });
+    }
+  } catch (error) {
+    res.status(500).json({ message: 'Error checking user role.' });
+  }
+};
+
+const isVendorOrCashier = async (req, res, next) => {
+  const User = require('../models/User');
+  try {
+    const user = await User.findByPk(req.user.id);
+    if (user && (user.role === 'Vendor' || (user.role === 'Cashier' && user.active))) {
+      next(); // A merchant or one of its active cashier logins
+    } else {
+      res.status(403).json({ message: 'Forbidden: Access is restricted to Vendors and their cashiers.' });
+    }
+  } catch (error) {
+    res.status(500).json({ message: 'Error checking user role.' });
+  }
+};
+
+const isCashier = async (req, res, next) => {
+  const User = require('../models/User');
+  try {
+    const user = await User.findByPk(req.user.id);
+    if (user && user.role === 'Cashier' && user.active) {
+      next(); // An active cashier login
+    } else {
+      res.status(403).json({ message: 'Forbidden: Access is restricted to cashiers.' });
+    }
+  } catch (error) {
+    res.status(500).json({ message: 'Error checking user role.' });
+  }
+};
+
 // Make sure to export the new function
-module.exports = { isFinanceCore, isCore };
\ No newline at end of file
+module.exports = { isFinanceCore, isCore, isVendor, isVendorOrCashier, isCashier };
\ No newline at end of file
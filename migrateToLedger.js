@@ -0,0 +1,37 @@
+// migrateToLedger.js
+// One-off migration from FLOAT balances to the integer paise ledger.
+// The server runs the same steps on start; this reports on them without
+// starting it. Safe to re-run. Usage: node migrateToLedger.js
+
+require('dotenv').config();
+const { sequelize } = require('./config/database');
+const { migrateToLedger } = require('./services/ledgerMigration');
+
+async function run() {
+  try {
+    await sequelize.authenticate();
+    console.log('✅ Database connected\n');
+
+    const { backfilled, adjusted, report } = await migrateToLedger();
+
+    console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+    console.log('✅ LEDGER MIGRATION COMPLETE');
+    console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+    console.log(`📒 Transactions backfilled: ${backfilled}`);
+    console.log(`⚖️  Drift adjustments posted: ${adjusted.length}`);
+    adjusted.forEach(row => {
+      console.log(`   ${row.userId}: cached ₹${row.cachedBalance.toFixed(2)} vs ledger ₹${row.ledgerBalance.toFixed(2)}`);
+    });
+    console.log(`🔍 Ledger balanced: ${report.balanced ? 'yes' : 'NO'}`);
+    console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
+
+    process.exitCode = report.balanced ? 0 : 1;
+  } catch (error) {
+    console.error('❌ Ledger migration failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await sequelize.close();
+  }
+}
+
+run();
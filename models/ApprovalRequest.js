@@ -0,0 +1,80 @@
+// models/ApprovalRequest.js
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { toRupees } = require('../utils/money');
+
+// A Finance action above the maker-checker limits (config/approvals.js),
+// waiting for a second Finance Core. Approving it runs the action with the
+// approval recorded in the metadata of every transaction it posts
+// (see services/approvalService.js).
+const ApprovalRequest = sequelize.define('ApprovalRequest', {
+  action: {
+    type: DataTypes.ENUM('TOPUP', 'TOPUP_BATCH', 'BALANCE_RESET'),
+    allowNull: false
+  },
+  // The validated request body the action runs with (no S-Pin)
+  payload: {
+    type: DataTypes.JSONB,
+    allowNull: false
+  },
+  // Amount at request time: the top-up, or the balances a reset would clear
+  amountPaise: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  amount: {
+    type: DataTypes.VIRTUAL(DataTypes.FLOAT, ['amountPaise']),
+    get() {
+      return toRupees(this.getDataValue('amountPaise'));
+    }
+  },
+  summary: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.ENUM('PENDING', 'APPROVED', 'REJECTED', 'EXPIRED', 'FAILED'),
+    allowNull: false,
+    defaultValue: 'PENDING'
+  },
+  requestedById: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'Users',
+      key: 'id'
+    }
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  decidedById: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'Users',
+      key: 'id'
+    }
+  },
+  decidedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  decisionNote: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  // What the approved action did ({ transactionIds, ... }), or why it failed
+  result: {
+    type: DataTypes.JSONB,
+    allowNull: true
+  }
+}, {
+  timestamps: true,
+  indexes: [
+    { fields: ['status', 'expiresAt'] }
+  ]
+});
+
+module.exports = ApprovalRequest;
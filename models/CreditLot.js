@@ -0,0 +1,78 @@
+// models/CreditLot.js
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { toRupees } = require('../utils/money');
+
+// A credit that expires. Every credit posted with an expiry opens a lot;
+// spending from the purse drains the soonest-expiring lots first, and the
+// expiry sweep clears whatever is left once `expiresAt` passes
+// (see services/ledgerService.js and services/expiryService.js).
+const CreditLot = sequelize.define('CreditLot', {
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'Users',
+      key: 'id'
+    }
+  },
+  purse: {
+    type: DataTypes.STRING(20),
+    allowNull: false
+  },
+  // The crediting transaction
+  transactionId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'Transactions',
+      key: 'id'
+    }
+  },
+  amountPaise: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    validate: { min: 1 }
+  },
+  // Not yet spent or expired
+  remainingPaise: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    validate: { min: 0 }
+  },
+  remaining: {
+    type: DataTypes.VIRTUAL(DataTypes.FLOAT, ['remainingPaise']),
+    get() {
+      return toRupees(this.getDataValue('remainingPaise'));
+    }
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  // ACTIVE until spent (CONSUMED) or cleared after expiry (EXPIRED)
+  status: {
+    type: DataTypes.ENUM('ACTIVE', 'CONSUMED', 'EXPIRED'),
+    defaultValue: 'ACTIVE',
+    allowNull: false
+  },
+  expiredPaise: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  }
+}, {
+  timestamps: true,
+  indexes: [
+    {
+      name: 'idx_credit_lot_wallet',
+      fields: ['userId', 'purse', 'status', 'expiresAt']
+    },
+    {
+      name: 'idx_credit_lot_due',
+      fields: ['status', 'expiresAt']
+    }
+  ]
+});
+
+module.exports = CreditLot;
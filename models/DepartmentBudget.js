@@ -0,0 +1,56 @@
+// models/DepartmentBudget.js
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { toRupees } = require('../utils/money');
+
+// What a department's Cores and Heads have disbursed during the fest, and
+// the cap Finance set for it. Only services/budgetService.js changes
+// spentPaise; a department without a cap (budgetPaise null) is still tracked.
+const DepartmentBudget = sequelize.define('DepartmentBudget', {
+  department: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    unique: true
+  },
+  budgetPaise: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    validate: { min: 0 }
+  },
+  budget: {
+    type: DataTypes.VIRTUAL(DataTypes.FLOAT, ['budgetPaise']),
+    get() {
+      const paise = this.getDataValue('budgetPaise');
+      return paise === null || paise === undefined ? null : toRupees(paise);
+    }
+  },
+  spentPaise: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  spent: {
+    type: DataTypes.VIRTUAL(DataTypes.FLOAT, ['spentPaise']),
+    get() {
+      return toRupees(this.getDataValue('spentPaise'));
+    }
+  },
+  // Percentages of the budget at which Finance and the sender are warned
+  warningThresholds: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: [75, 90]
+  },
+  updatedById: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'Users',
+      key: 'id'
+    }
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = DepartmentBudget;
@@ -0,0 +1,66 @@
+// models/DisbursementRun.js
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { toRupees } = require('../utils/money');
+
+// Audit record of one execution of a ScheduledDisbursement
+const DisbursementRun = sequelize.define('DisbursementRun', {
+  scheduleId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'ScheduledDisbursements',
+      key: 'id'
+    }
+  },
+  // IST calendar day the run was for
+  runDate: {
+    type: DataTypes.DATEONLY,
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.ENUM('SUCCEEDED', 'FAILED', 'SKIPPED'),
+    allowNull: false
+  },
+  // INSUFFICIENT_BALANCE, GROUP_NOT_FOUND, NO_MEMBERS, ERROR
+  reasonCode: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  message: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  recipientCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  totalPaise: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  total: {
+    type: DataTypes.VIRTUAL(DataTypes.FLOAT, ['totalPaise']),
+    get() {
+      return toRupees(this.getDataValue('totalPaise'));
+    }
+  },
+  transactionIds: {
+    type: DataTypes.JSONB,
+    allowNull: true
+  }
+}, {
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    {
+      name: 'idx_disbursement_run_schedule',
+      unique: true,
+      fields: ['scheduleId', 'runDate']
+    }
+  ]
+});
+
+module.exports = DisbursementRun;
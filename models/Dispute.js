@@ -0,0 +1,115 @@
+// models/Dispute.js
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { toRupees } = require('../utils/money');
+
+// A party's complaint about one transfer, reviewed by Finance Core.
+// Refund / reversal resolutions are posted as new, linked transactions.
+const Dispute = sequelize.define('Dispute', {
+  transactionId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'Transactions',
+      key: 'id'
+    }
+  },
+  raisedById: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'Users',
+      key: 'id'
+    }
+  },
+  // Both parties of the disputed transfer, copied so either can list it
+  payerId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'Users',
+      key: 'id'
+    }
+  },
+  payeeId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'Users',
+      key: 'id'
+    }
+  },
+  reason: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  // OPEN -> UNDER_REVIEW (first Finance note) -> REJECTED | REFUNDED | REVERSED
+  status: {
+    type: DataTypes.ENUM('OPEN', 'UNDER_REVIEW', 'REJECTED', 'REFUNDED', 'REVERSED'),
+    defaultValue: 'OPEN',
+    allowNull: false
+  },
+  // Finance-only review notes: [{ by, byName, note, at }]
+  notes: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: []
+  },
+  resolutionNote: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  resolvedById: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'Users',
+      key: 'id'
+    }
+  },
+  resolvedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  // The REFUND / REVERSAL posted by the resolution
+  resolutionTransactionId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'Transactions',
+      key: 'id'
+    }
+  },
+  returnedPaise: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  returned: {
+    type: DataTypes.VIRTUAL(DataTypes.FLOAT, ['returnedPaise']),
+    get() {
+      const paise = this.getDataValue('returnedPaise');
+      return paise === null || paise === undefined ? null : toRupees(paise);
+    }
+  }
+}, {
+  timestamps: true,
+  indexes: [
+    {
+      name: 'idx_dispute_status_created',
+      fields: ['status', 'createdAt']
+    },
+    {
+      name: 'idx_dispute_transaction',
+      fields: ['transactionId']
+    },
+    // At most one open dispute per transaction
+    {
+      name: 'idx_dispute_one_open',
+      unique: true,
+      fields: ['transactionId'],
+      where: { status: ['OPEN', 'UNDER_REVIEW'] }
+    }
+  ]
+});
+
+module.exports = Dispute;
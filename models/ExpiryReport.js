@@ -0,0 +1,47 @@
+// models/ExpiryReport.js
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { toRupees } = require('../utils/money');
+
+// Summary of one expiry sweep that cleared at least one credit, kept for
+// Finance (and emailed to Finance Cores when it is written)
+const ExpiryReport = sequelize.define('ExpiryReport', {
+  usersAffected: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  lotsExpired: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  totalExpiredPaise: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  totalExpired: {
+    type: DataTypes.VIRTUAL(DataTypes.FLOAT, ['totalExpiredPaise']),
+    get() {
+      return toRupees(this.getDataValue('totalExpiredPaise'));
+    }
+  },
+  // { GENERAL: paise, FOOD: paise, ... }
+  byPurse: {
+    type: DataTypes.JSONB,
+    allowNull: false
+  },
+  // [{ userId, name, purse, expired, transactionId }]
+  details: {
+    type: DataTypes.JSONB,
+    allowNull: false
+  },
+  // Users whose sweep failed and will be retried on the next run
+  failures: {
+    type: DataTypes.JSONB,
+    allowNull: true
+  }
+}, {
+  timestamps: true,
+  updatedAt: false
+});
+
+module.exports = ExpiryReport;
@@ -19,7 +19,10 @@ const Group = sequelize.define('Group', {
     }
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  // Deleted groups keep their row so schedules and past transactions that
+  // name them still resolve in reports
+  paranoid: true
 });
 
 module.exports = Group;
\ No newline at end of file
@@ -0,0 +1,52 @@
+// models/GroupShare.js
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// A Group its owner shared with another Core of the same department.
+// VIEW lets them see the members; DISBURSE also lets them pay the group.
+const GroupShare = sequelize.define('GroupShare', {
+  groupId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'Groups',
+      key: 'id'
+    }
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'Users',
+      key: 'id'
+    }
+  },
+  permission: {
+    type: DataTypes.ENUM('VIEW', 'DISBURSE'),
+    allowNull: false,
+    defaultValue: 'VIEW'
+  },
+  sharedById: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'Users',
+      key: 'id'
+    }
+  }
+}, {
+  timestamps: true,
+  indexes: [
+    {
+      name: 'idx_group_share_unique',
+      unique: true,
+      fields: ['groupId', 'userId']
+    },
+    {
+      name: 'idx_group_share_user',
+      fields: ['userId']
+    }
+  ]
+});
+
+module.exports = GroupShare;
@@ -0,0 +1,63 @@
+// models/IdempotencyKey.js
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Stored result of a money-moving request sent with an `Idempotency-Key`
+// header, so that client retries replay the first response instead of
+// moving money again (see middleware/idempotency.js).
+const IdempotencyKey = sequelize.define('IdempotencyKey', {
+  key: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  // Keys are scoped per user (Users.id)
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'Users',
+      key: 'id'
+    }
+  },
+  endpoint: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  // SHA-256 of endpoint + request body (secrets such as sPin excluded)
+  fingerprint: {
+    type: DataTypes.STRING(64),
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.ENUM('PENDING', 'COMPLETED'),
+    defaultValue: 'PENDING',
+    allowNull: false
+  },
+  responseStatus: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  responseBody: {
+    type: DataTypes.JSONB,
+    allowNull: true
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  }
+}, {
+  timestamps: true,
+  indexes: [
+    {
+      name: 'idx_idempotency_user_key',
+      unique: true,
+      fields: ['userId', 'key']
+    },
+    {
+      name: 'idx_idempotency_expires',
+      fields: ['expiresAt']
+    }
+  ]
+});
+
+module.exports = IdempotencyKey;
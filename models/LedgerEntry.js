@@ -0,0 +1,64 @@
+// models/LedgerEntry.js
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// One side of a double-entry posting. Every Transaction owns exactly one
+// DEBIT and one CREDIT entry of the same amount, so the ledger always nets to zero.
+const LedgerEntry = sequelize.define('LedgerEntry', {
+  transactionId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'Transactions',
+      key: 'id'
+    }
+  },
+  // 'USER:<id>' for wallets, 'SYSTEM:<NAME>' for system accounts
+  account: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  // Set for wallet accounts so balances can be rebuilt per user
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'Users',
+      key: 'id'
+    }
+  },
+  // Purse of the wallet account (null for system accounts)
+  purse: {
+    type: DataTypes.STRING(20),
+    allowNull: true
+  },
+  // DEBIT = money leaves the account, CREDIT = money enters it
+  direction: {
+    type: DataTypes.ENUM('DEBIT', 'CREDIT'),
+    allowNull: false
+  },
+  amountPaise: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    validate: { min: 1 }
+  }
+}, {
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    {
+      name: 'idx_ledger_transaction',
+      fields: ['transactionId']
+    },
+    {
+      name: 'idx_ledger_user',
+      fields: ['userId', 'purse']
+    },
+    {
+      name: 'idx_ledger_account',
+      fields: ['account']
+    }
+  ]
+});
+
+module.exports = LedgerEntry;
@@ -0,0 +1,55 @@
+// models/MenuItem.js
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { toRupees } = require('../utils/money');
+
+// One item on a vendor's menu. Payments to the vendor can list these as
+// line items; the transaction keeps a copy of name and price at the time.
+const MenuItem = sequelize.define('MenuItem', {
+  vendorId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'Users',
+      key: 'id'
+    }
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  pricePaise: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    validate: { min: 1 }
+  },
+  price: {
+    type: DataTypes.VIRTUAL(DataTypes.FLOAT, ['pricePaise']),
+    get() {
+      return toRupees(this.getDataValue('pricePaise'));
+    }
+  },
+  // Free-form grouping shown on the menu, e.g. "Beverages"
+  category: {
+    type: DataTypes.STRING(50),
+    allowNull: true
+  },
+  // Sold out items stay on the menu but cannot be ordered
+  available: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true
+  }
+}, {
+  timestamps: true,
+  // Removed items keep their row for past transactions and reports
+  paranoid: true,
+  indexes: [
+    {
+      name: 'idx_menu_item_vendor',
+      fields: ['vendorId']
+    }
+  ]
+});
+
+module.exports = MenuItem;
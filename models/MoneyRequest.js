@@ -0,0 +1,90 @@
+// models/MoneyRequest.js
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { toRupees } = require('../utils/money');
+const { DEFAULT_PURSE } = require('../config/purses');
+
+// One user asking another for money ("collect"). The payer approves it
+// with their S-Pin, which posts an ordinary transfer, or declines it.
+const MoneyRequest = sequelize.define('MoneyRequest', {
+  requesterId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'Users',
+      key: 'id'
+    }
+  },
+  payerId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'Users',
+      key: 'id'
+    }
+  },
+  amountPaise: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    validate: { min: 1 }
+  },
+  amount: {
+    type: DataTypes.VIRTUAL(DataTypes.FLOAT, ['amountPaise']),
+    get() {
+      return toRupees(this.getDataValue('amountPaise'));
+    }
+  },
+  note: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  // Purse the payer is asked to pay from
+  purse: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: DEFAULT_PURSE
+  },
+  status: {
+    type: DataTypes.ENUM('PENDING', 'PAID', 'DECLINED', 'CANCELLED', 'EXPIRED'),
+    defaultValue: 'PENDING',
+    allowNull: false
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  declineReason: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  transactionId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'Transactions',
+      key: 'id'
+    }
+  },
+  respondedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  timestamps: true,
+  indexes: [
+    {
+      name: 'idx_money_request_payer',
+      fields: ['payerId', 'createdAt']
+    },
+    {
+      name: 'idx_money_request_requester',
+      fields: ['requesterId', 'createdAt']
+    },
+    {
+      name: 'idx_money_request_status_expiry',
+      fields: ['status', 'expiresAt']
+    }
+  ]
+});
+
+module.exports = MoneyRequest;
@@ -0,0 +1,55 @@
+// models/OneTimePassword.js
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { OTP_PURPOSES } = require('../config/otp');
+
+// One code sent to a user's s-mail (services/otpService.js). Only a keyed
+// hash of the code is stored. Sending a new code for the same purpose
+// supersedes the pending one.
+const OneTimePassword = sequelize.define('OneTimePassword', {
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'Users',
+      key: 'id'
+    }
+  },
+  purpose: {
+    type: DataTypes.ENUM(...Object.keys(OTP_PURPOSES)),
+    allowNull: false
+  },
+  codeHash: {
+    type: DataTypes.STRING(64),
+    allowNull: false
+  },
+  // Wrong guesses so far
+  attempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  status: {
+    type: DataTypes.ENUM('PENDING', 'USED', 'LOCKED', 'SUPERSEDED'),
+    defaultValue: 'PENDING',
+    allowNull: false
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  usedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  timestamps: true,
+  indexes: [
+    {
+      name: 'idx_otp_user_purpose',
+      fields: ['userId', 'purpose', 'status']
+    }
+  ]
+});
+
+module.exports = OneTimePassword;
@@ -0,0 +1,43 @@
+// models/Outlet.js
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// A counter of a vendor (the merchant). Cashiers log in per outlet, but
+// everything they take is paid into the merchant's one wallet, with the
+// outlet and cashier recorded on the transaction.
+const Outlet = sequelize.define('Outlet', {
+  merchantId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'Users',
+      key: 'id'
+    }
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  // Where to find the counter, e.g. "OAT, stall 4"
+  location: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  // Closed outlets keep their history but take no payments
+  active: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true
+  }
+}, {
+  timestamps: true,
+  indexes: [
+    {
+      name: 'idx_outlet_merchant_name',
+      unique: true,
+      fields: ['merchantId', 'name']
+    }
+  ]
+});
+
+module.exports = Outlet;
@@ -0,0 +1,105 @@
+// models/PaymentRequest.js
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { toRupees } = require('../utils/money');
+
+// Vendor-initiated checkout: the vendor fixes the amount, the payer only
+// confirms it with their S-Pin. Settled at most once.
+const PaymentRequest = sequelize.define('PaymentRequest', {
+  // Short code shown on the counter / encoded in the QR
+  code: {
+    type: DataTypes.STRING(12),
+    allowNull: false,
+    unique: true
+  },
+  vendorId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'Users',
+      key: 'id'
+    }
+  },
+  amountPaise: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    validate: { min: 1 }
+  },
+  amount: {
+    type: DataTypes.VIRTUAL(DataTypes.FLOAT, ['amountPaise']),
+    get() {
+      return toRupees(this.getDataValue('amountPaise'));
+    }
+  },
+  description: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  // Line items from the vendor's menu (services/menuService.js), copied
+  // onto the transaction when paid
+  items: {
+    type: DataTypes.JSONB,
+    allowNull: true
+  },
+  status: {
+    type: DataTypes.ENUM('PENDING', 'PAID', 'CANCELLED', 'EXPIRED'),
+    defaultValue: 'PENDING',
+    allowNull: false
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  paidById: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'Users',
+      key: 'id'
+    }
+  },
+  transactionId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'Transactions',
+      key: 'id'
+    }
+  },
+  paidAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  // Set when a cashier created the request: it is still paid to vendorId
+  // (their merchant) and the transaction is tagged with both
+  outletId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'Outlets',
+      key: 'id'
+    }
+  },
+  cashierId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'Users',
+      key: 'id'
+    }
+  }
+}, {
+  timestamps: true,
+  indexes: [
+    {
+      name: 'idx_payment_request_vendor',
+      fields: ['vendorId', 'createdAt']
+    },
+    {
+      name: 'idx_payment_request_status_expiry',
+      fields: ['status', 'expiresAt']
+    }
+  ]
+});
+
+module.exports = PaymentRequest;
@@ -0,0 +1,44 @@
+// models/PurseBalance.js
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { toRupees } = require('../utils/money');
+
+// Cached balance of one purse of one wallet. Like User.balancePaise it is
+// only changed by services/ledgerService.js and is checkable against the
+// LedgerEntries of that user and purse.
+const PurseBalance = sequelize.define('PurseBalance', {
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'Users',
+      key: 'id'
+    }
+  },
+  purse: {
+    type: DataTypes.STRING(20),
+    allowNull: false
+  },
+  balancePaise: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  balance: {
+    type: DataTypes.VIRTUAL(DataTypes.FLOAT, ['balancePaise']),
+    get() {
+      return toRupees(this.getDataValue('balancePaise'));
+    }
+  }
+}, {
+  timestamps: true,
+  indexes: [
+    {
+      name: 'idx_purse_balance_user_purse',
+      unique: true,
+      fields: ['userId', 'purse']
+    }
+  ]
+});
+
+module.exports = PurseBalance;
@@ -0,0 +1,90 @@
+// models/ScheduledDisbursement.js
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { toRupees } = require('../utils/money');
+const { DEFAULT_PURSE } = require('../config/purses');
+
+// Recurring allowance from a Core to every member of one of their Groups,
+// paid daily at `timeOfDay` (IST) until `endDate` by the background runner.
+const ScheduledDisbursement = sequelize.define('ScheduledDisbursement', {
+  createdById: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'Users',
+      key: 'id'
+    }
+  },
+  groupId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'Groups',
+      key: 'id'
+    }
+  },
+  // Paid to each member on every run
+  amountPaise: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    validate: { min: 1 }
+  },
+  amount: {
+    type: DataTypes.VIRTUAL(DataTypes.FLOAT, ['amountPaise']),
+    get() {
+      return toRupees(this.getDataValue('amountPaise'));
+    }
+  },
+  // Purse debited from the Core and funded for each member
+  purse: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: DEFAULT_PURSE
+  },
+  // Each run's credits expire at the end of that IST day
+  expireAtDayEnd: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
+  // 'HH:MM' in IST
+  timeOfDay: {
+    type: DataTypes.STRING(5),
+    allowNull: false
+  },
+  startDate: {
+    type: DataTypes.DATEONLY,
+    allowNull: false
+  },
+  endDate: {
+    type: DataTypes.DATEONLY,
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.ENUM('ACTIVE', 'PAUSED', 'CANCELLED', 'COMPLETED'),
+    defaultValue: 'ACTIVE',
+    allowNull: false
+  },
+  nextRunAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  lastRunAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  timestamps: true,
+  indexes: [
+    {
+      name: 'idx_scheduled_disbursement_due',
+      fields: ['status', 'nextRunAt']
+    },
+    {
+      name: 'idx_scheduled_disbursement_creator',
+      fields: ['createdById']
+    }
+  ]
+});
+
+module.exports = ScheduledDisbursement;
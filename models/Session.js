@@ -0,0 +1,75 @@
+// models/Session.js
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// One logged-in device (services/sessionService.js). Access tokens name
+// their session, so revoking it ends them too. Only hashes of the current
+// and the previous refresh token are stored; they change on every refresh.
+const Session = sequelize.define('Session', {
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'Users',
+      key: 'id'
+    }
+  },
+  // Random handle given to clients (tokens, session list); ids are guessable
+  publicId: {
+    type: DataTypes.STRING(22),
+    allowNull: false,
+    unique: true
+  },
+  refreshTokenHash: {
+    type: DataTypes.STRING(64),
+    allowNull: false
+  },
+  // Hash of the refresh token the current one replaced. Presenting that
+  // one again means someone kept a copy.
+  previousRefreshTokenHash: {
+    type: DataTypes.STRING(64),
+    allowNull: true
+  },
+  // Device info shown in the session list
+  deviceName: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  userAgent: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  ipAddress: {
+    type: DataTypes.STRING(64),
+    allowNull: true
+  },
+  lastUsedAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  // Moves forward on every refresh
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  revokedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  // LOGOUT, LOGOUT_ALL, REVOKED, PASSWORD_CHANGED, SPIN_CHANGED,
+  // ACCOUNT_DEACTIVATED, SESSION_LIMIT or TOKEN_REUSE
+  revokedReason: {
+    type: DataTypes.STRING(30),
+    allowNull: true
+  }
+}, {
+  timestamps: true,
+  indexes: [
+    {
+      name: 'idx_session_user',
+      fields: ['userId', 'revokedAt']
+    }
+  ]
+});
+
+module.exports = Session;
@@ -0,0 +1,87 @@
+// models/TopupBatch.js
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { toRupees } = require('../utils/money');
+const { DEFAULT_PURSE } = require('../config/purses');
+
+// A bulk Finance allocation uploaded as a `userId,amount` CSV. The upload is
+// validated into a preview; committing it posts every row as a TOPUP in one
+// database transaction (see services/topupService.js).
+const TopupBatch = sequelize.define('TopupBatch', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  createdById: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'Users',
+      key: 'id'
+    }
+  },
+  status: {
+    type: DataTypes.ENUM('PREVIEW', 'COMMITTED'),
+    allowNull: false,
+    defaultValue: 'PREVIEW'
+  },
+  purse: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: DEFAULT_PURSE
+  },
+  // Expiry of the credits themselves (null = never)
+  creditExpiresAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  description: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  // Valid rows: [{ line, userId, name, amountPaise }]
+  rows: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: []
+  },
+  // Rejected rows: [{ line, userId, amount, message }]
+  invalidRows: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: []
+  },
+  totalPaise: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  total: {
+    type: DataTypes.VIRTUAL(DataTypes.FLOAT, ['totalPaise']),
+    get() {
+      return toRupees(this.getDataValue('totalPaise'));
+    }
+  },
+  // A preview can only be committed until then, and only once
+  previewExpiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  committedById: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'Users',
+      key: 'id'
+    }
+  },
+  committedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = TopupBatch;
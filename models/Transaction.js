@@ -1,8 +1,17 @@
 // models/Transaction.js
 const { DataTypes } = require('sequelize');
 const { sequelize } = require('../config/database');
+const { toRupees } = require('../utils/money');
 
 const Transaction = sequelize.define('Transaction', {
+  // Human-readable reference printed on receipts, e.g. TX-261019-K7QM2XPA
+  // (services/receiptService.js). Null only until the startup backfill has
+  // run on rows from before references existed.
+  reference: {
+    type: DataTypes.STRING(20),
+    allowNull: true,
+    unique: true
+  },
   senderName: {
     type: DataTypes.STRING,
     allowNull: false
@@ -19,15 +28,37 @@ const Transaction = sequelize.define('Transaction', {
     type: DataTypes.STRING,
     allowNull: false
   },
+  // Purse each user side was debited / credited in (see config/purses.js).
+  // Null for system sides and for rows from before purses existed.
+  senderPurse: {
+    type: DataTypes.STRING(20),
+    allowNull: true
+  },
+  receiverPurse: {
+    type: DataTypes.STRING(20),
+    allowNull: true
+  },
+  // Amount in integer paise (see services/ledgerService.js)
+  amountPaise: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    validate: { min: 1 }
+  },
+  // Rupee view of amountPaise for API responses (not stored)
   amount: {
-    type: DataTypes.FLOAT,
-    allowNull: false
+    type: DataTypes.VIRTUAL(DataTypes.FLOAT, ['amountPaise']),
+    get() {
+      return toRupees(this.getDataValue('amountPaise'));
+    }
   },
   // ============================================
   // ✅ NEW FIELDS FOR ADMIN RESET FEATURE
   // ============================================
   type: {
-    type: DataTypes.ENUM('TRANSFER', 'TOPUP', 'ADMIN_RESET'),
+    type: DataTypes.ENUM(
+      'TRANSFER', 'TOPUP', 'ADMIN_RESET', 'ADJUSTMENT', 'REFUND', 'REVERSAL',
+      'VOUCHER_HOLD', 'VOUCHER_REDEEM', 'VOUCHER_RELEASE', 'SETTLEMENT'
+    ),
     defaultValue: 'TRANSFER',
     allowNull: false
   },
@@ -35,8 +66,36 @@ const Transaction = sequelize.define('Transaction', {
     type: DataTypes.JSONB, // PostgreSQL JSON field
     allowNull: true,
     comment: 'Stores additional info like reset reason, admin details, etc.'
-  }
+  },
   // ============================================
+  // Vendor settlement that included this transaction. Settled transactions
+  // can no longer be refunded or reversed, or settled again.
+  settlementId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'VendorSettlements',
+      key: 'id'
+    }
+  },
+  // Outlet and cashier login that took a payment for a vendor
+  // (models/Outlet.js); refunds of it carry the same tags
+  outletId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'Outlets',
+      key: 'id'
+    }
+  },
+  cashierId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'Users',
+      key: 'id'
+    }
+  }
 }, {
   timestamps: true,
   indexes: [
@@ -59,6 +118,10 @@ const Transaction = sequelize.define('Transaction', {
     {
       name: 'idx_receiver_created',
       fields: ['receiverId', 'createdAt']
+    },
+    {
+      name: 'idx_outlet_created',
+      fields: ['outletId', 'createdAt']
     }
   ]
 });
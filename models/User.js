@@ -1,5 +1,7 @@
 const { DataTypes } = require('sequelize');
 const { sequelize } = require('../config/database'); // Import from the correct central file
+const { toRupees } = require('../utils/money');
+const { VENDOR_CATEGORIES } = require('../config/purses');
 
 const User = sequelize.define('User', {
   name: {
@@ -21,14 +23,67 @@ const User = sequelize.define('User', {
     allowNull: true // Default to null for users who haven't set one
   },
 // --- END ADDITION ---
+  // Wrong S-Pins since the last correct one (services/spinService.js)
+  sPinFailedAttempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  // Wallet locked until then after too many wrong S-Pins
+  sPinLockedUntil: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  // Locks in a row; each one lasts longer than the last
+  sPinLockCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
   role: {
-    type: DataTypes.ENUM('Core', 'Head', 'Coordinator', 'Volunteer', 'Vendor'),
+    type: DataTypes.ENUM('Core', 'Head', 'Coordinator', 'Volunteer', 'Vendor', 'Cashier'),
     allowNull: false
   },
-  balance: {
-    type: DataTypes.FLOAT,
+  // Wallet balance in integer paise. Only services/ledgerService.js may change it;
+  // it is always checkable against the user's LedgerEntries.
+  balancePaise: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
     defaultValue: 0
   },
+  // Rupee view of balancePaise for API responses (not stored)
+  balance: {
+    type: DataTypes.VIRTUAL(DataTypes.FLOAT, ['balancePaise']),
+    get() {
+      return toRupees(this.getDataValue('balancePaise'));
+    }
+  },
+  // Vendors only: decides which purses they accept (config/purses.js)
+  vendorCategory: {
+    type: DataTypes.STRING(20),
+    allowNull: true,
+    validate: { isIn: [VENDOR_CATEGORIES] }
+  },
+  // Cashiers only: the vendor whose wallet they take payments into and the
+  // outlet they work at (models/Outlet.js). A cashier's own balance stays 0.
+  merchantId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'Users',
+      key: 'id'
+    }
+  },
+  outletId: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  // Deactivated accounts cannot log in (used for cashier logins)
+  active: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true
+  },
   smail: {
     type: DataTypes.STRING,
     unique: true,
@@ -41,14 +96,6 @@ const User = sequelize.define('User', {
   department: {
     type: DataTypes.STRING,
     allowNull: true
-  },
-  otp: {
-    type: DataTypes.STRING,
-    allowNull: true
-  },
-  otpExpiry: {
-    type: DataTypes.DATE,
-    allowNull: true
   }
 }, {
   timestamps: true
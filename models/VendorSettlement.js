@@ -0,0 +1,116 @@
+// models/VendorSettlement.js
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { toRupees } = require('../utils/money');
+
+// Finance closing a vendor's takings for a period. Creating one moves what
+// the vendor is owed out of their wallet into SYSTEM:SETTLEMENT and stamps
+// the included transactions with its id; the payout itself (bank/UPI) is
+// recorded afterwards with its reference.
+const VendorSettlement = sequelize.define('VendorSettlement', {
+  // Human-friendly reference printed on the settlement sheet, e.g. "STL-K7QM2XPA"
+  reference: {
+    type: DataTypes.STRING(16),
+    allowNull: false,
+    unique: true
+  },
+  vendorId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'Users',
+      key: 'id'
+    }
+  },
+  periodStart: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  periodEnd: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.ENUM('PENDING_PAYOUT', 'PAID'),
+    defaultValue: 'PENDING_PAYOUT',
+    allowNull: false
+  },
+  transactionCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  // Money into and out of the vendor's wallet among the included transactions
+  creditsPaise: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  debitsPaise: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  // Owed to the vendor: creditsPaise - debitsPaise
+  amountPaise: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    validate: { min: 1 }
+  },
+  amount: {
+    type: DataTypes.VIRTUAL(DataTypes.FLOAT, ['amountPaise']),
+    get() {
+      return toRupees(this.getDataValue('amountPaise'));
+    }
+  },
+  // { GENERAL: paise, FOOD: paise } moved out of each purse
+  pursePaise: {
+    type: DataTypes.JSONB,
+    allowNull: false
+  },
+  // SETTLEMENT postings that moved the balance
+  transferTransactionIds: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: []
+  },
+  createdById: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'Users',
+      key: 'id'
+    }
+  },
+  payoutReference: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  payoutNote: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  paidById: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'Users',
+      key: 'id'
+    }
+  },
+  paidAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  timestamps: true,
+  indexes: [
+    {
+      name: 'idx_vendor_settlement_vendor',
+      fields: ['vendorId', 'createdAt']
+    },
+    {
+      name: 'idx_vendor_settlement_status',
+      fields: ['status']
+    }
+  ]
+});
+
+module.exports = VendorSettlement;
@@ -0,0 +1,102 @@
+// models/Voucher.js
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { toRupees } = require('../utils/money');
+const { DEFAULT_PURSE } = require('../config/purses');
+
+// Signed, single-use offline payment voucher. Issuing one moves the amount
+// into the SYSTEM:VOUCHER_HOLD account; settlement pays the vendor from the
+// hold, expiry releases it back to the owner (see services/voucherService.js).
+const Voucher = sequelize.define('Voucher', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'Users',
+      key: 'id'
+    }
+  },
+  amountPaise: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    validate: { min: 1 }
+  },
+  amount: {
+    type: DataTypes.VIRTUAL(DataTypes.FLOAT, ['amountPaise']),
+    get() {
+      return toRupees(this.getDataValue('amountPaise'));
+    }
+  },
+  // Purse the hold was taken from; only vendors accepting it can settle
+  purse: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: DEFAULT_PURSE
+  },
+  status: {
+    type: DataTypes.ENUM('ISSUED', 'REDEEMED', 'RELEASED'),
+    defaultValue: 'ISSUED',
+    allowNull: false
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  holdTransactionId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'Transactions',
+      key: 'id'
+    }
+  },
+  // Set when a vendor settles the voucher
+  vendorId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'Users',
+      key: 'id'
+    }
+  },
+  acceptedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  settlementBatchId: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  redeemTransactionId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'Transactions',
+      key: 'id'
+    }
+  },
+  metadata: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    comment: 'Rejected settlement attempts (double-spends) for Finance review'
+  }
+}, {
+  timestamps: true,
+  indexes: [
+    {
+      name: 'idx_voucher_user',
+      fields: ['userId', 'createdAt']
+    },
+    {
+      name: 'idx_voucher_status_expiry',
+      fields: ['status', 'expiresAt']
+    }
+  ]
+});
+
+module.exports = Voucher;
@@ -0,0 +1,142 @@
+// routes/approvals.js - MAKER-CHECKER QUEUE (Finance Core only)
+const express = require('express');
+const router = express.Router();
+const { Op } = require('sequelize');
+const User = require('../models/User');
+const ApprovalRequest = require('../models/ApprovalRequest');
+const authMiddleware = require('../middleware/authMiddleware');
+const { isFinanceCore } = require('../middleware/roleMiddleware');
+const { transactionLimiter, apiLimiter } = require('../middleware/rateLimiter');
+const idempotency = require('../middleware/idempotency');
+const { verifySPin } = require('../services/spinService');
+const { expireStaleApprovals, approveRequest, rejectRequest } = require('../services/approvalService');
+
+const MAX_NOTE_LENGTH = 1000;
+
+const WITH_PEOPLE = [
+  { model: User, as: 'RequestedBy', attributes: ['name', 'userId'] },
+  { model: User, as: 'DecidedBy', attributes: ['name', 'userId'] }
+];
+
+// ============================================
+// GET /api/approvals - APPROVAL QUEUE
+// Newest first. ?status=PENDING (default), or any other status list
+// ✅ RATE LIMITED: 100 requests per 15 minutes
+// ============================================
+router.get('/', [authMiddleware, isFinanceCore, apiLimiter], async (req, res) => {
+  try {
+    await expireStaleApprovals();
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const offset = (page - 1) * limit;
+
+    const statuses = req.query.status
+      ? String(req.query.status).toUpperCase().split(',')
+      : ['PENDING'];
+    const known = ApprovalRequest.rawAttributes.status.values;
+    const unknown = statuses.find(status => !known.includes(status));
+    if (unknown !== undefined) {
+      return res.status(400).json({ message: `Unknown status "${unknown}". Statuses are: ${known.join(', ')}.` });
+    }
+
+    const { count, rows } = await ApprovalRequest.findAndCountAll({
+      where: { status: { [Op.in]: statuses } },
+      include: WITH_PEOPLE,
+      order: [['createdAt', 'DESC']],
+      limit,
+      offset
+    });
+
+    res.json({
+      requests: rows,
+      pagination: {
+        totalPages: Math.ceil(count / limit),
+        currentPage: page,
+        totalRequests: count,
+        hasNextPage: page < Math.ceil(count / limit),
+        hasPrevPage: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Approval queue error:', error);
+    res.status(500).json({ message: 'Server error while fetching approval requests.' });
+  }
+});
+
+// ============================================
+// GET /api/approvals/:id - ONE REQUEST
+// ✅ RATE LIMITED: 100 requests per 15 minutes
+// ============================================
+router.get('/:id', [authMiddleware, isFinanceCore, apiLimiter], async (req, res) => {
+  try {
+    await expireStaleApprovals();
+
+    const request = await ApprovalRequest.findByPk(req.params.id, { include: WITH_PEOPLE });
+    if (!request) {
+      return res.status(404).json({ message: 'Approval request not found.' });
+    }
+    res.json(request);
+  } catch (error) {
+    console.error('Approval fetch error:', error);
+    res.status(500).json({ message: 'Server error while fetching the approval request.' });
+  }
+});
+
+// ============================================
+// POST /api/approvals/:id/approve - APPROVE AND RUN
+// Body: { sPin, note? }. Only a Finance Core other than the requester.
+// ✅ RATE LIMITED: 10 transactions per minute
+// ✅ IDEMPOTENT: optional Idempotency-Key header
+// ============================================
+router.post('/:id/approve', [authMiddleware, isFinanceCore, transactionLimiter, idempotency], async (req, res) => {
+  try {
+    const { sPin } = req.body;
+    const note = req.body.note ? String(req.body.note).trim() : null;
+
+    if (!sPin) {
+      return res.status(400).json({ message: 'S-Pin is required to approve requests.' });
+    }
+    if (note && note.length > MAX_NOTE_LENGTH) {
+      return res.status(400).json({ message: `Note must be at most ${MAX_NOTE_LENGTH} characters.` });
+    }
+
+    let approver;
+    try {
+      approver = await verifySPin(req.user.id, sPin, req.app);
+    } catch (pinError) {
+      return res.status(pinError.status || 401).json({ message: pinError.message, ...(pinError.details || {}) });
+    }
+
+    const request = await approveRequest({ app: req.app, requestId: req.params.id, approver, note });
+
+    res.json({ message: 'Request approved and carried out.', request });
+  } catch (error) {
+    console.error('Approval error:', error);
+    res.status(error.status || 500).json({ message: error.message || 'Server error while approving the request.' });
+  }
+});
+
+// ============================================
+// POST /api/approvals/:id/reject - REJECT
+// Body: { note }. Only a Finance Core other than the requester.
+// ✅ RATE LIMITED: 100 requests per 15 minutes
+// ============================================
+router.post('/:id/reject', [authMiddleware, isFinanceCore, apiLimiter], async (req, res) => {
+  try {
+    const note = String(req.body.note || '').trim();
+    if (!note || note.length > MAX_NOTE_LENGTH) {
+      return res.status(400).json({ message: `A note of 1-${MAX_NOTE_LENGTH} characters is required to reject.` });
+    }
+
+    const approver = await User.findByPk(req.user.id);
+    const request = await rejectRequest({ app: req.app, requestId: req.params.id, approver, note });
+
+    res.json({ message: 'Request rejected.', request });
+  } catch (error) {
+    console.error('Approval reject error:', error);
+    res.status(error.status || 500).json({ message: error.message || 'Server error while rejecting the request.' });
+  }
+});
+
+module.exports = router;
@@ -1,11 +1,18 @@
 const express = require('express');
 const router = express.Router();
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
-const { sendOtpEmail } = require('../services/emailService');
+const { issueOtp, consumeOtp } = require('../services/otpService');
+const { clearSPinLock, sPinPolicyError } = require('../services/spinService');
 const authMiddleware = require('../middleware/authMiddleware');
-const { authLimiter, strictLimiter } = require('../middleware/rateLimiter');
+const { authLimiter, strictLimiter, apiLimiter } = require('../middleware/rateLimiter');
+const {
+  startSession,
+  refreshSession,
+  revokeSession,
+  revokeAllSessions,
+  listSessions
+} = require('../services/sessionService');
 
 // ============================================
 // REQUEST OTP FOR REGISTRATION
@@ -24,16 +31,11 @@ router.post('/request-otp', strictLimiter, async (req, res) => {
       return res.status(400).json({ message: 'This account has already been registered. Please log in.' });
     }
     
-    const otp = Math.floor(100000 + Math.random() * 900000).toString();
-    user.otp = otp;
-    user.otpExpiry = Date.now() + 10 * 60 * 1000;
-    await user.save();
-    
-    await sendOtpEmail(smail, otp);
+    await issueOtp(user, 'REGISTRATION');
     res.json({ message: 'OTP has been sent to your s-mail. Please check your inbox.' });
   } catch (error) {
     console.error('OTP Request Error:', error);
-    res.status(500).json({ message: 'Error processing OTP request.' });
+    res.status(error.status || 500).json({ message: error.message || 'Error processing OTP request.', ...(error.details || {}) });
   }
 });
 
@@ -49,16 +51,23 @@ router.post('/complete-registration', authLimiter, async (req, res) => {
       return res.status(400).json({ message: 'S-Pin must be at least 4 digits.' });
     }
 
+    const weakSPin = sPinPolicyError(sPin);
+    if (weakSPin) {
+      return res.status(400).json({ message: weakSPin });
+    }
+
     const user = await User.findOne({ where: { smail: smail } });
     
     if (!user) {
       return res.status(404).json({ message: 'User not found.' });
     }
-    
-    if (user.otp !== otp || user.otpExpiry < Date.now()) {
-      return res.status(400).json({ message: 'OTP is invalid or has expired.' });
+
+    if (!password) {
+      return res.status(400).json({ message: 'Password is required.' });
     }
 
+    await consumeOtp(user, 'REGISTRATION', otp);
+
     // Hash both password and S-Pin
     const salt = await bcrypt.genSalt(10);
     user.password = await bcrypt.hash(password, salt);
@@ -66,19 +75,19 @@ router.post('/complete-registration', authLimiter, async (req, res) => {
     const sPinSalt = await bcrypt.genSalt(10);
     user.sPin = await bcrypt.hash(sPin, sPinSalt); 
 
-    user.otp = null;
-    user.otpExpiry = null;
-
     await user.save();
     res.status(201).json({ message: 'Registration successful! You can now log in.' });
   } catch (error) {
     console.error('Registration Error:', error);
-    res.status(500).json({ message: 'Error completing registration.' });
+    res.status(error.status || 500).json({ message: error.message || 'Error completing registration.' });
   }
 });
 
 // ============================================
 // LOGIN A USER
+// Body: { userId, password, deviceName? }
+// Returns a short-lived access token (`token`) and a refresh token for
+// POST /refresh; each login is its own session
 // ✅ RATE LIMITED: 5 attempts per 15 minutes
 // ============================================
 router.post('/login', authLimiter, async (req, res) => {
@@ -95,30 +104,12 @@ router.post('/login', authLimiter, async (req, res) => {
     if (!isMatch) {
       return res.status(400).json({ message: 'Invalid credentials.' });
     }
+
+    if (!user.active) {
+      return res.status(403).json({ message: 'This account has been deactivated.' });
+    }
     
-    const payload = { 
-      user: { 
-        id: user.id, 
-        userId: user.userId, 
-        role: user.role,
-        department: user.department,
-        name: user.name 
-      } 
-    };
-    
-    jwt.sign(payload, process.env.JWT_SECRET, { expiresIn: '1h' }, (err, token) => {
-      if (err) throw err;
-      res.json({ 
-        token,
-        user: {
-          id: user.id,
-          userId: user.userId,
-          role: user.role,
-          department: user.department,
-          name: user.name
-        }
-      });
-    });
+    res.json(await startSession(user, req));
   } catch (error) {
     console.error('Login Error:', error);
     res.status(500).json({ message: 'Server error', error: error.message });
@@ -134,12 +125,14 @@ router.post('/forgot-password', strictLimiter, async (req, res) => {
     const { smail } = req.body;
     const user = await User.findOne({ where: { smail } });
     
+    // Same answer whether or not the s-mail exists (or is in its resend
+    // cooldown), so this cannot be used to probe for accounts
     if (user) {
-      const otp = Math.floor(100000 + Math.random() * 900000).toString();
-      user.otp = otp;
-      user.otpExpiry = Date.now() + 10 * 60 * 1000;
-      await user.save();
-      await sendOtpEmail(smail, otp);
+      try {
+        await issueOtp(user, 'PASSWORD_RESET');
+      } catch (error) {
+        if (error.status !== 429) throw error;
+      }
     }
     
     res.json({ message: 'If this email is registered, a password reset OTP has been sent.' });
@@ -156,22 +149,28 @@ router.post('/forgot-password', strictLimiter, async (req, res) => {
 router.post('/reset-password', authLimiter, async (req, res) => {
   try {
     const { smail, otp, newPassword } = req.body;
-    const user = await User.findOne({ where: { smail } });
+    if (!newPassword) {
+      return res.status(400).json({ message: 'New password is required.' });
+    }
 
-    if (!user || user.otp !== otp || user.otpExpiry < Date.now()) {
+    const user = await User.findOne({ where: { smail } });
+    if (!user) {
       return res.status(400).json({ message: 'OTP is invalid or has expired.' });
     }
-    
+
+    await consumeOtp(user, 'PASSWORD_RESET', otp);
+
     const salt = await bcrypt.genSalt(10);
     user.password = await bcrypt.hash(newPassword, salt);
-    user.otp = null;
-    user.otpExpiry = null;
     await user.save();
 
+    // Whoever knew the old password is logged out everywhere
+    await revokeAllSessions(user.id, 'PASSWORD_CHANGED');
+
     res.json({ message: 'Password has been reset successfully. You can now log in.' });
   } catch (error) {
     console.error('Reset Password Error:', error);
-    res.status(500).json({ message: 'Error resetting password.' });
+    res.status(error.status || 500).json({ message: error.message || 'Error resetting password.' });
   }
 });
 
@@ -181,77 +180,132 @@ router.post('/reset-password', authLimiter, async (req, res) => {
 // ============================================
 router.post('/forgot-spin-otp', [authMiddleware, strictLimiter], async (req, res) => {
   try {
-    console.log('hi');
     const user = await User.findByPk(req.user.id);
-    console.log(user);
-    const otp = Math.floor(100000 + Math.random() * 900000).toString();
-    user.otp = otp;
-    user.otpExpiry = Date.now() + 10 * 60 * 1000;
-    await user.save();
+    if (!user) {
+      return res.status(404).json({ message: 'User not found.' });
+    }
 
-    await sendOtpEmail(user.smail, otp, "S-Pin Reset");
+    await issueOtp(user, 'SPIN_RESET');
     res.json({ message: 'OTP has been sent to your s-mail.' });
   } catch (error) {
     console.error('S-Pin OTP Error:', error);
-    res.status(500).json({ message: 'Error sending OTP.' });
+    res.status(error.status || 500).json({ message: error.message || 'Error sending OTP.', ...(error.details || {}) });
   }
 });
 
 // ============================================
-// RESET S-PIN
+// RESET S-PIN (also unlocks a locked wallet)
 // ✅ RATE LIMITED: 5 attempts per 15 minutes
 // ============================================
-// ✅ IMPROVED VERSION with debugging:
 router.post('/reset-spin', [authMiddleware, authLimiter], async (req, res) => {
   try {
     const { otp, newSPin } = req.body;
     
     // Validation
-    if (!otp || otp.length !== 6) {
-      return res.status(400).json({ message: 'Invalid OTP format. Must be 6 digits.' });
-    }
-    
     if (!newSPin || !/^\d{4}$/.test(newSPin)) {
       return res.status(400).json({ message: 'S-Pin must be exactly 4 digits.' });
     }
 
+    const weakSPin = sPinPolicyError(newSPin);
+    if (weakSPin) {
+      return res.status(400).json({ message: weakSPin });
+    }
+
     const user = await User.findByPk(req.user.id);
 
     if (!user) {
       return res.status(404).json({ message: 'User not found.' });
     }
 
-    // Debug logging (remove in production)
-    console.log('OTP Check:', {
-      provided: otp,
-      stored: user.otp,
-      expiry: user.otpExpiry,
-      now: Date.now(),
-      isExpired: user.otpExpiry < Date.now()
-    });
-
-    if (!user.otp || !user.otpExpiry) {
-      return res.status(400).json({ message: 'No OTP request found. Please request a new OTP.' });
-    }
-
-    if (user.otp !== otp) {
-      return res.status(400).json({ message: 'Invalid OTP.' });
-    }
-
-    if (user.otpExpiry < Date.now()) {
-      return res.status(400).json({ message: 'OTP has expired. Please request a new one.' });
-    }
+    await consumeOtp(user, 'SPIN_RESET', otp);
 
     const sPinSalt = await bcrypt.genSalt(10);
     user.sPin = await bcrypt.hash(newSPin, sPinSalt);
-    user.otp = null;
-    user.otpExpiry = null;
     await user.save();
+    // A new S-Pin also unlocks a wallet locked by wrong S-Pins
+    await clearSPinLock(user);
+
+    await revokeAllSessions(user.id, 'SPIN_CHANGED');
 
-    res.json({ message: 'S-Pin has been reset successfully.' });
+    res.json({ message: 'S-Pin has been reset successfully. Please log in again on your devices.' });
   } catch (error) {
     console.error('Reset S-Pin Error:', error);
-    res.status(500).json({ message: 'Error resetting S-Pin.' });
+    res.status(error.status || 500).json({ message: error.message || 'Error resetting S-Pin.' });
+  }
+});
+
+// ============================================
+// REFRESH THE ACCESS TOKEN
+// Body: { refreshToken }. Returns new tokens like /login; the refresh
+// token sent in stops working.
+// ✅ RATE LIMITED: 100 requests per 15 minutes
+// ============================================
+router.post('/refresh', apiLimiter, async (req, res) => {
+  try {
+    res.json(await refreshSession(req.body.refreshToken, req));
+  } catch (error) {
+    console.error('Token refresh error:', error);
+    res.status(error.status || 500).json({ message: error.message || 'Error refreshing the session.' });
+  }
+});
+
+// ============================================
+// LOGOUT (this device)
+// ✅ RATE LIMITED: 100 requests per 15 minutes
+// ============================================
+router.post('/logout', [authMiddleware, apiLimiter], async (req, res) => {
+  try {
+    if (req.sessionId) {
+      await revokeSession(req.user.id, req.sessionId, 'LOGOUT');
+    }
+    res.json({ message: 'Logged out.' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ message: 'Error logging out.' });
+  }
+});
+
+// ============================================
+// LOGOUT ALL DEVICES (including this one)
+// ✅ RATE LIMITED: 100 requests per 15 minutes
+// ============================================
+router.post('/logout-all', [authMiddleware, apiLimiter], async (req, res) => {
+  try {
+    const count = await revokeAllSessions(req.user.id, 'LOGOUT_ALL');
+    res.json({ message: `Logged out of ${count} session(s).`, sessionsEnded: count });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ message: 'Error logging out.' });
+  }
+});
+
+// ============================================
+// ACTIVE SESSIONS (with device info)
+// ✅ RATE LIMITED: 100 requests per 15 minutes
+// ============================================
+router.get('/sessions', [authMiddleware, apiLimiter], async (req, res) => {
+  try {
+    res.json(await listSessions(req.user.id, req.sessionId));
+  } catch (error) {
+    console.error('Session list error:', error);
+    res.status(500).json({ message: 'Error fetching sessions.' });
+  }
+});
+
+// ============================================
+// END ONE SESSION (e.g. a lost phone)
+// ✅ RATE LIMITED: 100 requests per 15 minutes
+// ============================================
+router.delete('/sessions/:id', [authMiddleware, apiLimiter], async (req, res) => {
+  try {
+    const ended = await revokeSession(req.user.id, req.params.id, 'REVOKED');
+    if (!ended) {
+      return res.status(404).json({ message: 'Session not found or already ended.' });
+    }
+    res.json({ message: 'Session ended.' });
+  } catch (error) {
+    console.error('Session revoke error:', error);
+    res.status(500).json({ message: 'Error ending the session.' });
   }
 });
 
@@ -0,0 +1,97 @@
+// routes/budgets.js - DEPARTMENT BUDGETS (Finance Core only)
+const express = require('express');
+const router = express.Router();
+const { Op } = require('sequelize');
+const User = require('../models/User');
+const DepartmentBudget = require('../models/DepartmentBudget');
+const authMiddleware = require('../middleware/authMiddleware');
+const { isFinanceCore } = require('../middleware/roleMiddleware');
+const { apiLimiter } = require('../middleware/rateLimiter');
+const { BUDGETED_ROLES, serializeBudget } = require('../services/budgetService');
+const { toPaise, toRupees } = require('../utils/money');
+
+router.use(authMiddleware, isFinanceCore, apiLimiter);
+
+// ============================================
+// GET /api/budgets - BUDGET VS SPENT PER DEPARTMENT
+// Every department with Cores/Heads, capped or not
+// ============================================
+router.get('/', async (req, res) => {
+  try {
+    const [budgets, departments] = await Promise.all([
+      DepartmentBudget.findAll({ order: [['department', 'ASC']] }),
+      User.findAll({
+        attributes: ['department'],
+        where: { role: { [Op.in]: BUDGETED_ROLES }, department: { [Op.ne]: null } },
+        group: ['department'],
+        raw: true
+      })
+    ]);
+
+    const byDepartment = new Map(budgets.map(budget => [budget.department, serializeBudget(budget)]));
+    departments.forEach(({ department }) => {
+      if (!byDepartment.has(department)) {
+        byDepartment.set(department, serializeBudget(DepartmentBudget.build({ department, budgetPaise: null })));
+      }
+    });
+
+    const rows = [...byDepartment.values()].sort((a, b) => a.department.localeCompare(b.department));
+    res.json({
+      departments: rows,
+      totals: {
+        budget: toRupees(budgets.reduce((acc, budget) => acc + (budget.budgetPaise || 0), 0)),
+        spent: toRupees(budgets.reduce((acc, budget) => acc + budget.spentPaise, 0))
+      }
+    });
+  } catch (error) {
+    console.error('Budget list error:', error);
+    res.status(500).json({ message: 'Server error while fetching budgets.' });
+  }
+});
+
+// ============================================
+// PUT /api/budgets/:department - SET OR CHANGE A CAP
+// Body: { budget (rupees, or null to remove the cap), warningThresholds?: [75, 90] }
+// ============================================
+router.put('/:department', async (req, res) => {
+  try {
+    const { department } = req.params;
+    const { budget, warningThresholds } = req.body;
+
+    let budgetPaise = null;
+    if (budget !== null) {
+      budgetPaise = toPaise(budget);
+      if (!budgetPaise) {
+        return res.status(400).json({ message: 'Budget must be a positive amount with at most 2 decimals, or null to remove the cap.' });
+      }
+    }
+
+    if (warningThresholds !== undefined && (
+      !Array.isArray(warningThresholds) ||
+      warningThresholds.length === 0 ||
+      warningThresholds.some(pct => !Number.isInteger(pct) || pct < 1 || pct > 99)
+    )) {
+      return res.status(400).json({ message: 'warningThresholds must be a list of whole percentages between 1 and 99.' });
+    }
+
+    const member = await User.findOne({ where: { department, role: { [Op.in]: BUDGETED_ROLES } } });
+    if (!member) {
+      return res.status(404).json({ message: `No Cores or Heads found in department "${department}".` });
+    }
+
+    const [row] = await DepartmentBudget.findOrCreate({ where: { department } });
+    row.budgetPaise = budgetPaise;
+    if (warningThresholds !== undefined) {
+      row.warningThresholds = [...new Set(warningThresholds)].sort((a, b) => a - b);
+    }
+    row.updatedById = req.user.id;
+    await row.save();
+
+    res.json(serializeBudget(row));
+  } catch (error) {
+    console.error('Budget update error:', error);
+    res.status(500).json({ message: 'Server error while updating the budget.' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,310 @@
+// routes/disputes.js - TRANSACTION DISPUTES
+const express = require('express');
+const router = express.Router();
+const { Op, UniqueConstraintError } = require('sequelize');
+const { sequelize } = require('../config/database');
+const User = require('../models/User');
+const Transaction = require('../models/Transaction');
+const Dispute = require('../models/Dispute');
+const authMiddleware = require('../middleware/authMiddleware');
+const { isFinanceCore } = require('../middleware/roleMiddleware');
+const { transactionLimiter, apiLimiter } = require('../middleware/rateLimiter');
+const idempotency = require('../middleware/idempotency');
+const { returnFunds } = require('../services/refundService');
+const { verifySPin } = require('../services/spinService');
+const { emitToUser } = require('../services/notificationService');
+const httpError = require('../utils/httpError');
+const { toPaise, formatRupees } = require('../utils/money');
+
+// Disputes that still need Finance action
+const OPEN_STATUSES = ['OPEN', 'UNDER_REVIEW'];
+const RESOLUTIONS = ['REJECTED', 'REFUNDED', 'REVERSED'];
+const MAX_TEXT_LENGTH = 1000;
+
+// What the parties see (review notes stay with Finance)
+const serialize = (dispute) => ({
+  id: dispute.id,
+  transactionId: dispute.transactionId,
+  raisedById: dispute.raisedById,
+  reason: dispute.reason,
+  status: dispute.status,
+  resolutionNote: dispute.resolutionNote,
+  returned: dispute.returned,
+  resolutionTransactionId: dispute.resolutionTransactionId,
+  resolvedAt: dispute.resolvedAt,
+  createdAt: dispute.createdAt,
+  updatedAt: dispute.updatedAt
+});
+
+// Sends the new state of a dispute to both parties of the transfer
+async function notifyParties(app, dispute) {
+  const parties = await User.findAll({
+    where: { id: [dispute.payerId, dispute.payeeId] },
+    attributes: ['userId']
+  });
+  parties.forEach(party => emitToUser(app, party.userId, 'dispute_updated', serialize(dispute)));
+}
+
+// ============================================
+// POST /api/disputes - OPEN A DISPUTE
+// Body: { transactionId, reason }. Only the sender or receiver of a
+// transfer can dispute it, and only once at a time.
+// ✅ RATE LIMITED: 100 requests per 15 minutes
+// ============================================
+router.post('/', [authMiddleware, apiLimiter], async (req, res) => {
+  try {
+    const { transactionId } = req.body;
+    const reason = String(req.body.reason || '').trim();
+
+    if (!transactionId || !reason) {
+      return res.status(400).json({ message: 'transactionId and reason are required.' });
+    }
+    if (reason.length > MAX_TEXT_LENGTH) {
+      return res.status(400).json({ message: `Reason must be at most ${MAX_TEXT_LENGTH} characters.` });
+    }
+    if (!/^\d+$/.test(String(transactionId))) {
+      return res.status(400).json({ message: 'transactionId must be a transaction ID number.' });
+    }
+
+    const transaction = await Transaction.findByPk(transactionId);
+    if (!transaction || (transaction.senderId !== req.user.id && transaction.receiverId !== req.user.id)) {
+      return res.status(404).json({ message: 'Transaction not found.' });
+    }
+    if (transaction.type !== 'TRANSFER') {
+      return res.status(400).json({ message: 'Only transfers can be disputed.' });
+    }
+
+    const alreadyOpen = async () => {
+      const existing = await Dispute.findOne({
+        where: { transactionId: transaction.id, status: { [Op.in]: OPEN_STATUSES } }
+      });
+      return existing && res.status(409).json({ message: 'This transaction already has an open dispute.', dispute: serialize(existing) });
+    };
+    if (await alreadyOpen()) return;
+
+    // The partial unique index on open disputes settles a race between two
+    // parties opening one at the same time
+    let dispute;
+    try {
+      dispute = await Dispute.create({
+        transactionId: transaction.id,
+        raisedById: req.user.id,
+        payerId: transaction.senderId,
+        payeeId: transaction.receiverId,
+        reason
+      });
+    } catch (error) {
+      if (error instanceof UniqueConstraintError && await alreadyOpen()) return;
+      throw error;
+    }
+
+    await notifyParties(req.app, dispute);
+    res.status(201).json(serialize(dispute));
+  } catch (error) {
+    console.error('Dispute create error:', error);
+    res.status(500).json({ message: 'Server error while opening dispute.' });
+  }
+});
+
+// ============================================
+// GET /api/disputes/mine - DISPUTES ON THE CALLER'S TRANSFERS
+// Includes disputes the other party opened
+// ✅ RATE LIMITED: 100 requests per 15 minutes
+// ============================================
+router.get('/mine', [authMiddleware, apiLimiter], async (req, res) => {
+  try {
+    const disputes = await Dispute.findAll({
+      where: {
+        [Op.or]: [
+          { payerId: req.user.id },
+          { payeeId: req.user.id }
+        ]
+      },
+      order: [['createdAt', 'DESC']],
+      limit: 50
+    });
+    res.json(disputes.map(serialize));
+  } catch (error) {
+    console.error('Dispute list error:', error);
+    res.status(500).json({ message: 'Server error while fetching disputes.' });
+  }
+});
+
+// ============================================
+// GET /api/disputes/queue - REVIEW QUEUE (Finance Core only)
+// Oldest first. ?status=OPEN,UNDER_REVIEW (default) or any resolution
+// ✅ RATE LIMITED: 100 requests per 15 minutes
+// ============================================
+router.get('/queue', [authMiddleware, isFinanceCore, apiLimiter], async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const offset = (page - 1) * limit;
+
+    const statuses = req.query.status
+      ? String(req.query.status).toUpperCase().split(',')
+      : OPEN_STATUSES;
+    const known = Dispute.rawAttributes.status.values;
+    const unknown = statuses.find(status => !known.includes(status));
+    if (unknown !== undefined) {
+      return res.status(400).json({ message: `Unknown status "${unknown}". Statuses are: ${known.join(', ')}.` });
+    }
+
+    const { count, rows } = await Dispute.findAndCountAll({
+      where: { status: { [Op.in]: statuses } },
+      include: [
+        { model: Transaction },
+        { model: User, as: 'RaisedBy', attributes: ['name', 'userId', 'role'] }
+      ],
+      order: [['createdAt', 'ASC']],
+      limit,
+      offset
+    });
+
+    res.json({
+      disputes: rows,
+      pagination: {
+        totalPages: Math.ceil(count / limit),
+        currentPage: page,
+        totalDisputes: count,
+        hasNextPage: page < Math.ceil(count / limit),
+        hasPrevPage: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Dispute queue error:', error);
+    res.status(500).json({ message: 'Server error while fetching the dispute queue.' });
+  }
+});
+
+// ============================================
+// POST /api/disputes/:id/notes - ADD A REVIEW NOTE (Finance Core only)
+// The first note moves an OPEN dispute to UNDER_REVIEW
+// ✅ RATE LIMITED: 100 requests per 15 minutes
+// ============================================
+router.post('/:id/notes', [authMiddleware, isFinanceCore, apiLimiter], async (req, res) => {
+  try {
+    const note = String(req.body.note || '').trim();
+    if (!note || note.length > MAX_TEXT_LENGTH) {
+      return res.status(400).json({ message: `Note must be 1-${MAX_TEXT_LENGTH} characters.` });
+    }
+
+    const admin = await User.findByPk(req.user.id);
+
+    const { dispute, statusChanged } = await sequelize.transaction(async (t) => {
+      const dispute = await Dispute.findByPk(req.params.id, { lock: t.LOCK.UPDATE, transaction: t });
+      if (!dispute) {
+        throw httpError(404, 'Dispute not found.');
+      }
+      if (!OPEN_STATUSES.includes(dispute.status)) {
+        throw httpError(409, `This dispute is already ${dispute.status.toLowerCase()}.`);
+      }
+
+      const statusChanged = dispute.status === 'OPEN';
+      // JSONB columns only save when the array is replaced
+      dispute.notes = [
+        ...dispute.notes,
+        { by: admin.userId, byName: admin.name, note, at: new Date().toISOString() }
+      ];
+      dispute.status = 'UNDER_REVIEW';
+      await dispute.save({ transaction: t });
+
+      return { dispute, statusChanged };
+    });
+
+    if (statusChanged) {
+      await notifyParties(req.app, dispute);
+    }
+    res.json(dispute);
+  } catch (error) {
+    console.error('Dispute note error:', error);
+    res.status(error.status || 500).json({ message: error.message || 'Server error while adding note.' });
+  }
+});
+
+// ============================================
+// POST /api/disputes/:id/resolve - RESOLVE (Finance Core only)
+// Body: { resolution: 'REJECTED' | 'REFUNDED' | 'REVERSED', amount?, note, sPin }
+// REFUNDED returns `amount` (default: everything not yet refunded) to the
+// payer, REVERSED returns everything; both post a new linked transaction.
+// ✅ RATE LIMITED: 10 transactions per minute
+// ✅ IDEMPOTENT: optional Idempotency-Key header
+// ============================================
+router.post('/:id/resolve', [authMiddleware, isFinanceCore, transactionLimiter, idempotency], async (req, res) => {
+  try {
+    const { amount, sPin } = req.body;
+    const resolution = String(req.body.resolution || '').toUpperCase();
+    const note = String(req.body.note || '').trim();
+
+    if (!sPin) {
+      return res.status(400).json({ message: 'S-Pin is required to resolve disputes.' });
+    }
+    if (!RESOLUTIONS.includes(resolution)) {
+      return res.status(400).json({ message: `Resolution must be one of: ${RESOLUTIONS.join(', ')}.` });
+    }
+    if (!note || note.length > MAX_TEXT_LENGTH) {
+      return res.status(400).json({ message: `A resolution note of 1-${MAX_TEXT_LENGTH} characters is required.` });
+    }
+
+    let amountPaise = null;
+    if (resolution === 'REFUNDED' && amount !== undefined && amount !== null && amount !== '') {
+      amountPaise = toPaise(amount);
+      if (!amountPaise) {
+        return res.status(400).json({ message: 'Amount must be a positive number with at most 2 decimals.' });
+      }
+    }
+
+    let admin;
+    try {
+      admin = await verifySPin(req.user.id, sPin, req.app);
+    } catch (pinError) {
+      return res.status(pinError.status || 401).json({ message: pinError.message, ...(pinError.details || {}) });
+    }
+
+    const dispute = await sequelize.transaction(async (t) => {
+      const dispute = await Dispute.findByPk(req.params.id, { lock: t.LOCK.UPDATE, transaction: t });
+      if (!dispute) {
+        throw httpError(404, 'Dispute not found.');
+      }
+      if (!OPEN_STATUSES.includes(dispute.status)) {
+        throw httpError(409, `This dispute is already ${dispute.status.toLowerCase()}.`);
+      }
+
+      if (resolution !== 'REJECTED') {
+        const { returned } = await returnFunds({
+          transactionId: dispute.transactionId,
+          amountPaise,
+          type: resolution === 'REFUNDED' ? 'REFUND' : 'REVERSAL',
+          actor: admin,
+          reason: note,
+          metadata: { disputeId: dispute.id }
+        }, t);
+
+        dispute.resolutionTransactionId = returned.id;
+        dispute.returnedPaise = returned.amountPaise;
+      }
+
+      dispute.status = resolution;
+      dispute.resolutionNote = note;
+      dispute.resolvedById = admin.id;
+      dispute.resolvedAt = new Date();
+      await dispute.save({ transaction: t });
+
+      return dispute;
+    });
+
+    await notifyParties(req.app, dispute);
+
+    res.json({
+      message: resolution === 'REJECTED'
+        ? 'Dispute rejected.'
+        : `Dispute resolved: ₹${formatRupees(dispute.returnedPaise)} returned to the payer.`,
+      dispute
+    });
+  } catch (error) {
+    console.error('Dispute resolve error:', error);
+    res.status(error.status || 500).json({ message: error.message || 'Server error while resolving dispute.' });
+  }
+});
+
+module.exports = router;
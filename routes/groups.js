@@ -1,51 +1,334 @@
+// routes/groups.js - SAVED RECIPIENT GROUPS (Cores)
 const express = require('express');
 const router = express.Router();
 const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
 const User = require('../models/User');
 const Group = require('../models/Group');
+const GroupShare = require('../models/GroupShare');
+const ScheduledDisbursement = require('../models/ScheduledDisbursement');
 const authMiddleware = require('../middleware/authMiddleware');
 const { isCore } = require('../middleware/roleMiddleware');
+const { apiLimiter } = require('../middleware/rateLimiter');
+const { emitToUser } = require('../services/notificationService');
+const { findGroupFor, findMembers } = require('../services/groupService');
+const { findByRoleInDepartment } = require('../services/userService');
+const httpError = require('../utils/httpError');
 
-router.use(authMiddleware, isCore);
+const MAX_NAME_LENGTH = 100;
 
+router.use(authMiddleware, isCore, apiLimiter);
+
+// Trimmed group name from the body, or a 400
+function parseName(name) {
+  const trimmed = typeof name === 'string' ? name.trim() : '';
+  if (!trimmed || trimmed.length > MAX_NAME_LENGTH) {
+    throw httpError(400, `Group name must be 1-${MAX_NAME_LENGTH} characters.`);
+  }
+  return trimmed;
+}
+
+// Creates a group owned by `ownerId` with `users` as its members
+async function createGroup(ownerId, name, users) {
+  return sequelize.transaction(async (t) => {
+    const group = await Group.create({ name, createdById: ownerId }, { transaction: t });
+    await group.setUsers(users, { transaction: t }); // Sequelize's way to set many-to-many relationships
+    return group;
+  });
+}
+
+// ============================================
+// GET /api/groups - CALLER'S GROUPS
+// Own groups plus those shared with the caller, with the caller's access
+// ============================================
 router.get('/', async (req, res) => {
   try {
-    const groups = await Group.findAll({ 
-      where: { createdById: req.user.id },
-      attributes: ['id', 'name'] 
-    });
-    res.json(groups);
-  } catch (error) { res.status(500).send('Server Error'); }
+    const [owned, shares] = await Promise.all([
+      Group.findAll({
+        where: { createdById: req.user.id },
+        attributes: ['id', 'name']
+      }),
+      GroupShare.findAll({
+        where: { userId: req.user.id },
+        include: [{
+          model: Group,
+          required: true,
+          attributes: ['id', 'name'],
+          include: [{ model: User, as: 'Creator', attributes: ['name', 'userId'] }]
+        }]
+      })
+    ]);
+
+    res.json([
+      ...owned.map(group => ({ id: group.id, name: group.name, access: 'OWNER' })),
+      ...shares.map(share => ({
+        id: share.Group.id,
+        name: share.Group.name,
+        access: share.permission,
+        owner: share.Group.Creator
+      }))
+    ]);
+  } catch (error) {
+    console.error('Group list error:', error);
+    res.status(500).send('Server Error');
+  }
 });
 
+// ============================================
+// GET /api/groups/:id - ONE GROUP WITH ITS MEMBERS
+// The owner also sees who it is shared with
+// ============================================
 router.get('/:id', async (req, res) => {
-    try {
-      // Sequelize's 'populate' is called 'include'
-      const group = await Group.findByPk(req.params.id, {
-        include: [{
-          model: User,
-          attributes: ['name', 'userId']
-        }]
+  try {
+    const { group, access } = await findGroupFor(req.params.id, req.user.id, 'VIEW', {
+      include: [
+        { model: User, attributes: ['name', 'userId', 'role'] },
+        { model: User, as: 'Creator', attributes: ['name', 'userId'] }
+      ]
+    });
+
+    const body = { ...group.toJSON(), access };
+    if (access === 'OWNER') {
+      body.shares = await GroupShare.findAll({
+        where: { groupId: group.id },
+        attributes: ['permission', 'createdAt'],
+        include: [{ model: User, as: 'SharedWith', attributes: ['name', 'userId'] }]
       });
-      // Security check: ensure the user requesting the group is the one who created it
-      if (!group || group.createdById !== req.user.id) {
-        return res.status(404).json({ message: 'Group not found.' });
-      }
-      res.json(group);
-    } catch (error) { res.status(500).send('Server Error'); }
+    }
+    res.json(body);
+  } catch (error) {
+    console.error('Group fetch error:', error);
+    res.status(error.status || 500).json({ message: error.message || 'Server error while fetching the group.' });
+  }
 });
 
+// ============================================
+// POST /api/groups - CREATE
+// Body: { name, memberUserIds: [...] }
+// ============================================
 router.post('/', async (req, res) => {
-  const { name, memberUserIds } = req.body;
   try {
-    const users = await User.findAll({ where: { userId: { [Op.in]: memberUserIds } } });
-    if (users.length !== memberUserIds.length) {
-        return res.status(400).json({ message: 'One or more user IDs are invalid.' });
-    }
-    const newGroup = await Group.create({ name, createdById: req.user.id });
-    await newGroup.setUsers(users); // Sequelize's way to set many-to-many relationships
+    const name = parseName(req.body.name);
+    const users = await findMembers(req.body.memberUserIds);
+
+    const newGroup = await createGroup(req.user.id, name, users);
     res.status(201).json(newGroup);
-  } catch (error) { res.status(500).send('Server Error'); }
+  } catch (error) {
+    console.error('Group create error:', error);
+    res.status(error.status || 500).json({ message: error.message || 'Server error while creating the group.' });
+  }
+});
+
+// ============================================
+// POST /api/groups/from-filter - CREATE FROM A ROLE FILTER
+// Body: { name, roles: ['Volunteer', ...] }
+// Members are everyone with those roles in the caller's department, as
+// listed by GET /api/user/by-role-in-my-department.
+// ============================================
+router.post('/from-filter', async (req, res) => {
+  try {
+    const name = parseName(req.body.name);
+    const { roles } = req.body;
+
+    const validRoles = User.rawAttributes.role.values;
+    if (!Array.isArray(roles) || roles.length === 0 || roles.some(role => !validRoles.includes(role))) {
+      return res.status(400).json({ message: `roles must be a non-empty list of: ${validRoles.join(', ')}.` });
+    }
+
+    const users = (await findByRoleInDepartment(req.user.id, roles))
+      .filter(user => user.id !== req.user.id);
+    if (users.length === 0) {
+      return res.status(400).json({ message: 'Nobody in your department has those roles.' });
+    }
+
+    const newGroup = await createGroup(req.user.id, name, users);
+    res.status(201).json({ ...newGroup.toJSON(), memberCount: users.length });
+  } catch (error) {
+    console.error('Group filter create error:', error);
+    res.status(error.status || 500).json({ message: error.message || 'Server error while creating the group.' });
+  }
+});
+
+// ============================================
+// PATCH /api/groups/:id - RENAME (owner)
+// Body: { name }
+// ============================================
+router.patch('/:id', async (req, res) => {
+  try {
+    const name = parseName(req.body.name);
+    const { group } = await findGroupFor(req.params.id, req.user.id, 'OWNER');
+
+    group.name = name;
+    await group.save();
+    res.json(group);
+  } catch (error) {
+    console.error('Group rename error:', error);
+    res.status(error.status || 500).json({ message: error.message || 'Server error while renaming the group.' });
+  }
+});
+
+// ============================================
+// DELETE /api/groups/:id - DELETE (owner)
+// Refused while a schedule still pays the group
+// ============================================
+router.delete('/:id', async (req, res) => {
+  try {
+    const { group } = await findGroupFor(req.params.id, req.user.id, 'OWNER');
+
+    const liveSchedules = await ScheduledDisbursement.count({
+      where: { groupId: group.id, status: { [Op.in]: ['ACTIVE', 'PAUSED'] } }
+    });
+    if (liveSchedules > 0) {
+      return res.status(409).json({
+        message: `Group "${group.name}" has ${liveSchedules} active or paused scheduled disbursement(s). Cancel them first.`
+      });
+    }
+
+    await sequelize.transaction(async (t) => {
+      await GroupShare.destroy({ where: { groupId: group.id }, transaction: t });
+      await group.destroy({ transaction: t });
+    });
+    res.json({ message: `Group "${group.name}" deleted.` });
+  } catch (error) {
+    console.error('Group delete error:', error);
+    res.status(error.status || 500).json({ message: error.message || 'Server error while deleting the group.' });
+  }
+});
+
+// ============================================
+// POST /api/groups/:id/members - ADD MEMBERS (owner)
+// Body: { memberUserIds: [...] }. Existing members are left as they are.
+// ============================================
+router.post('/:id/members', async (req, res) => {
+  try {
+    const { group } = await findGroupFor(req.params.id, req.user.id, 'OWNER');
+    const users = await findMembers(req.body.memberUserIds);
+    if (users.length === 0) {
+      return res.status(400).json({ message: 'memberUserIds must not be empty.' });
+    }
+
+    await group.addUsers(users);
+    res.json({ message: 'Members added.', memberCount: await group.countUsers() });
+  } catch (error) {
+    console.error('Group add members error:', error);
+    res.status(error.status || 500).json({ message: error.message || 'Server error while adding members.' });
+  }
+});
+
+// ============================================
+// DELETE /api/groups/:id/members/:userId - REMOVE A MEMBER (owner)
+// ============================================
+router.delete('/:id/members/:userId', async (req, res) => {
+  try {
+    const { group } = await findGroupFor(req.params.id, req.user.id, 'OWNER');
+
+    const member = await User.findOne({ where: { userId: req.params.userId } });
+    if (!member || !(await group.hasUser(member))) {
+      return res.status(404).json({ message: 'This user is not a member of the group.' });
+    }
+
+    await group.removeUser(member);
+    res.json({ message: 'Member removed.', memberCount: await group.countUsers() });
+  } catch (error) {
+    console.error('Group remove member error:', error);
+    res.status(error.status || 500).json({ message: error.message || 'Server error while removing the member.' });
+  }
+});
+
+// ============================================
+// POST /api/groups/:id/duplicate - COPY INTO A NEW OWN GROUP
+// Body: { name? }. Works on groups shared with the caller too.
+// ============================================
+router.post('/:id/duplicate', async (req, res) => {
+  try {
+    const { group } = await findGroupFor(req.params.id, req.user.id, 'VIEW', {
+      include: [{ model: User }]
+    });
+    const name = parseName(req.body.name === undefined ? `${group.name} (copy)`.slice(0, MAX_NAME_LENGTH) : req.body.name);
+
+    const newGroup = await createGroup(req.user.id, name, group.Users);
+    res.status(201).json({ ...newGroup.toJSON(), memberCount: group.Users.length });
+  } catch (error) {
+    console.error('Group duplicate error:', error);
+    res.status(error.status || 500).json({ message: error.message || 'Server error while duplicating the group.' });
+  }
+});
+
+// ============================================
+// PUT /api/groups/:id/shares/:userId - SHARE (owner)
+// Body: { permission: 'VIEW' | 'DISBURSE' }. Only with Cores of the
+// owner's department; sharing again changes the permission.
+// ============================================
+router.put('/:id/shares/:userId', async (req, res) => {
+  try {
+    const permission = req.body.permission || 'VIEW';
+    if (!GroupShare.rawAttributes.permission.values.includes(permission)) {
+      return res.status(400).json({ message: "permission must be 'VIEW' or 'DISBURSE'." });
+    }
+
+    const { group } = await findGroupFor(req.params.id, req.user.id, 'OWNER');
+    const [owner, target] = await Promise.all([
+      User.findByPk(req.user.id),
+      User.findOne({ where: { userId: req.params.userId } })
+    ]);
+
+    if (!target) {
+      return res.status(404).json({ message: 'User not found.' });
+    }
+    if (target.id === owner.id) {
+      return res.status(400).json({ message: 'You already own this group.' });
+    }
+    if (!['Core', 'Finance Core'].includes(target.role) || !owner.department || target.department !== owner.department) {
+      return res.status(400).json({ message: 'Groups can only be shared with Cores of your own department.' });
+    }
+
+    const [share, created] = await GroupShare.findOrCreate({
+      where: { groupId: group.id, userId: target.id },
+      defaults: { permission, sharedById: owner.id }
+    });
+    if (!created && share.permission !== permission) {
+      share.permission = permission;
+      await share.save();
+    }
+
+    emitToUser(req.app, target.userId, 'group_shared', {
+      groupId: group.id,
+      groupName: group.name,
+      permission,
+      sharedBy: owner.name
+    });
+
+    res.status(created ? 201 : 200).json({
+      groupId: group.id,
+      sharedWith: { name: target.name, userId: target.userId },
+      permission: share.permission
+    });
+  } catch (error) {
+    console.error('Group share error:', error);
+    res.status(error.status || 500).json({ message: error.message || 'Server error while sharing the group.' });
+  }
+});
+
+// ============================================
+// DELETE /api/groups/:id/shares/:userId - STOP SHARING (owner)
+// ============================================
+router.delete('/:id/shares/:userId', async (req, res) => {
+  try {
+    const { group } = await findGroupFor(req.params.id, req.user.id, 'OWNER');
+
+    const target = await User.findOne({ where: { userId: req.params.userId }, attributes: ['id'] });
+    const removed = target
+      ? await GroupShare.destroy({ where: { groupId: group.id, userId: target.id } })
+      : 0;
+    if (!removed) {
+      return res.status(404).json({ message: 'The group is not shared with this user.' });
+    }
+
+    res.json({ message: 'Sharing removed.' });
+  } catch (error) {
+    console.error('Group unshare error:', error);
+    res.status(error.status || 500).json({ message: error.message || 'Server error while removing the share.' });
+  }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,260 @@
+// routes/menu.js - VENDOR MENU CATALOGUE AND ITEM SALES
+const express = require('express');
+const router = express.Router();
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const User = require('../models/User');
+const Transaction = require('../models/Transaction');
+const MenuItem = require('../models/MenuItem');
+const authMiddleware = require('../middleware/authMiddleware');
+const { isFinanceCore, isVendor } = require('../middleware/roleMiddleware');
+const { apiLimiter } = require('../middleware/rateLimiter');
+const { summarizeItemSales } = require('../services/menuService');
+const httpError = require('../utils/httpError');
+const { toPaise, toRupees } = require('../utils/money');
+
+const MAX_NAME_LENGTH = 100;
+const MAX_CATEGORY_LENGTH = 50;
+
+const MENU_ORDER = [['category', 'ASC NULLS LAST'], ['name', 'ASC']];
+
+// Validated { name, pricePaise, category, available } from the body. With
+// `partial` only the fields present are checked and returned.
+function parseItemFields(body, partial = false) {
+  const fields = {};
+
+  if (!partial || body.name !== undefined) {
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    if (!name || name.length > MAX_NAME_LENGTH) {
+      throw httpError(400, `Item name must be 1-${MAX_NAME_LENGTH} characters.`);
+    }
+    fields.name = name;
+  }
+  if (!partial || body.price !== undefined) {
+    fields.pricePaise = toPaise(body.price);
+    if (!fields.pricePaise) {
+      throw httpError(400, 'Price must be a positive number with at most 2 decimals.');
+    }
+  }
+  if (body.category !== undefined) {
+    const category = body.category === null ? '' : String(body.category).trim();
+    if (category.length > MAX_CATEGORY_LENGTH) {
+      throw httpError(400, `Category must be at most ${MAX_CATEGORY_LENGTH} characters.`);
+    }
+    fields.category = category || null;
+  }
+  if (body.available !== undefined) {
+    if (typeof body.available !== 'boolean') {
+      throw httpError(400, 'available must be true or false.');
+    }
+    fields.available = body.available;
+  }
+  return fields;
+}
+
+// 409 if the vendor already has another item called `name`
+async function assertNameFree(vendorId, name, exceptId = null) {
+  const clash = await MenuItem.findOne({
+    where: {
+      vendorId,
+      [Op.and]: [sequelize.where(sequelize.fn('lower', sequelize.col('name')), name.toLowerCase())],
+      ...(exceptId ? { id: { [Op.ne]: exceptId } } : {})
+    }
+  });
+  if (clash) {
+    throw httpError(409, `"${clash.name}" is already on your menu.`);
+  }
+}
+
+// Item-level sales of `vendor` for ?startDate&endDate (same filter as statements)
+async function salesReport(req, res, vendor) {
+  const { startDate, endDate } = req.query;
+
+  const whereClause = {
+    [Op.or]: [
+      { receiverId: vendor.id, type: 'TRANSFER' },
+      { senderId: vendor.id, type: 'REFUND' }
+    ]
+  };
+  if (startDate && endDate) {
+    whereClause.createdAt = {
+      [Op.between]: [new Date(startDate), new Date(endDate)]
+    };
+  }
+
+  const transactions = await Transaction.findAll({
+    where: whereClause,
+    order: [['createdAt', 'ASC']]
+  });
+
+  // Sum in integer paise, convert once for the response
+  let itemisedPaise = 0;
+  let unitemisedPaise = 0;
+  let refundedPaise = 0;
+  let itemisedCount = 0;
+  transactions.forEach(tx => {
+    if (tx.type === 'REFUND') {
+      refundedPaise += tx.amountPaise;
+    } else if (tx.metadata && Array.isArray(tx.metadata.items)) {
+      itemisedPaise += tx.amountPaise;
+      itemisedCount++;
+    } else {
+      unitemisedPaise += tx.amountPaise;
+    }
+  });
+
+  res.json({
+    vendor: { name: vendor.name, userId: vendor.userId },
+    items: summarizeItemSales(transactions, vendor.id),
+    totals: {
+      itemisedSales: toRupees(itemisedPaise),
+      unitemisedSales: toRupees(unitemisedPaise),
+      // Refunds are amounts, not items, so they are not taken off any item
+      refunds: toRupees(refundedPaise),
+      netSales: toRupees(itemisedPaise + unitemisedPaise - refundedPaise),
+      itemisedPayments: itemisedCount,
+      payments: transactions.filter(tx => tx.type === 'TRANSFER').length
+    },
+    isFiltered: !!(startDate && endDate)
+  });
+}
+
+// ============================================
+// GET /api/menu/mine - VENDOR'S FULL MENU (incl. unavailable)
+// ✅ RATE LIMITED: 100 requests per 15 minutes
+// ============================================
+router.get('/mine', [authMiddleware, isVendor, apiLimiter], async (req, res) => {
+  try {
+    const items = await MenuItem.findAll({ where: { vendorId: req.user.id }, order: MENU_ORDER });
+    res.json(items);
+  } catch (error) {
+    console.error('Menu fetch error:', error);
+    res.status(500).json({ message: 'Server error while fetching the menu.' });
+  }
+});
+
+// ============================================
+// GET /api/menu/sales-report - VENDOR'S ITEM SALES
+// ?startDate&endDate like the statements
+// ✅ RATE LIMITED: 100 requests per 15 minutes
+// ============================================
+router.get('/sales-report', [authMiddleware, isVendor, apiLimiter], async (req, res) => {
+  try {
+    const vendor = await User.findByPk(req.user.id, { attributes: ['id', 'name', 'userId'] });
+    await salesReport(req, res, vendor);
+  } catch (error) {
+    console.error('Sales report error:', error);
+    res.status(500).json({ message: 'Server error while building the sales report.' });
+  }
+});
+
+// ============================================
+// GET /api/menu/vendors/:userId - A VENDOR'S MENU FOR PAYERS
+// Only items that can be ordered right now
+// ✅ RATE LIMITED: 100 requests per 15 minutes
+// ============================================
+router.get('/vendors/:userId', [authMiddleware, apiLimiter], async (req, res) => {
+  try {
+    const vendor = await User.findOne({
+      where: { userId: req.params.userId.toUpperCase(), role: 'Vendor' },
+      attributes: ['id', 'name', 'userId', 'vendorCategory']
+    });
+    if (!vendor) {
+      return res.status(404).json({ message: 'Vendor not found.' });
+    }
+
+    const items = await MenuItem.findAll({
+      where: { vendorId: vendor.id, available: true },
+      attributes: ['id', 'name', 'pricePaise', 'price', 'category'],
+      order: MENU_ORDER
+    });
+    res.json({ vendor: { name: vendor.name, userId: vendor.userId, vendorCategory: vendor.vendorCategory }, items });
+  } catch (error) {
+    console.error('Vendor menu fetch error:', error);
+    res.status(500).json({ message: 'Server error while fetching the menu.' });
+  }
+});
+
+// ============================================
+// GET /api/menu/vendors/:userId/sales-report - ITEM SALES (Finance Core only)
+// ✅ RATE LIMITED: 100 requests per 15 minutes
+// ============================================
+router.get('/vendors/:userId/sales-report', [authMiddleware, isFinanceCore, apiLimiter], async (req, res) => {
+  try {
+    const vendor = await User.findOne({
+      where: { userId: req.params.userId.toUpperCase(), role: 'Vendor' },
+      attributes: ['id', 'name', 'userId']
+    });
+    if (!vendor) {
+      return res.status(404).json({ message: 'Vendor not found.' });
+    }
+    await salesReport(req, res, vendor);
+  } catch (error) {
+    console.error('Sales report error:', error);
+    res.status(500).json({ message: 'Server error while building the sales report.' });
+  }
+});
+
+// ============================================
+// POST /api/menu - ADD AN ITEM (Vendors only)
+// Body: { name, price, category?, available? }
+// ✅ RATE LIMITED: 100 requests per 15 minutes
+// ============================================
+router.post('/', [authMiddleware, isVendor, apiLimiter], async (req, res) => {
+  try {
+    const fields = parseItemFields(req.body);
+    await assertNameFree(req.user.id, fields.name);
+
+    const item = await MenuItem.create({ ...fields, vendorId: req.user.id });
+    res.status(201).json(item);
+  } catch (error) {
+    console.error('Menu item create error:', error);
+    res.status(error.status || 500).json({ message: error.message || 'Server error while adding the item.' });
+  }
+});
+
+// ============================================
+// PATCH /api/menu/:id - EDIT PRICE, NAME, CATEGORY OR AVAILABILITY (owning Vendor)
+// Past transactions keep the name and price they were paid at
+// ✅ RATE LIMITED: 100 requests per 15 minutes
+// ============================================
+router.patch('/:id', [authMiddleware, isVendor, apiLimiter], async (req, res) => {
+  try {
+    const fields = parseItemFields(req.body, true);
+
+    const item = await MenuItem.findByPk(req.params.id);
+    if (!item || item.vendorId !== req.user.id) {
+      return res.status(404).json({ message: 'Menu item not found.' });
+    }
+    if (fields.name) {
+      await assertNameFree(req.user.id, fields.name, item.id);
+    }
+
+    await item.update(fields);
+    res.json(item);
+  } catch (error) {
+    console.error('Menu item update error:', error);
+    res.status(error.status || 500).json({ message: error.message || 'Server error while updating the item.' });
+  }
+});
+
+// ============================================
+// DELETE /api/menu/:id - REMOVE FROM THE MENU (owning Vendor)
+// ✅ RATE LIMITED: 100 requests per 15 minutes
+// ============================================
+router.delete('/:id', [authMiddleware, isVendor, apiLimiter], async (req, res) => {
+  try {
+    const item = await MenuItem.findByPk(req.params.id);
+    if (!item || item.vendorId !== req.user.id) {
+      return res.status(404).json({ message: 'Menu item not found.' });
+    }
+
+    await item.destroy();
+    res.json({ message: `${item.name} removed from the menu.` });
+  } catch (error) {
+    console.error('Menu item delete error:', error);
+    res.status(500).json({ message: 'Server error while removing the item.' });
+  }
+});
+
+module.exports = router;
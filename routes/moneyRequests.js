@@ -0,0 +1,377 @@
+// routes/moneyRequests.js - USER-TO-USER MONEY REQUESTS ("collect")
+const express = require('express');
+const router = express.Router();
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const User = require('../models/User');
+const MoneyRequest = require('../models/MoneyRequest');
+const authMiddleware = require('../middleware/authMiddleware');
+const { transactionLimiter, apiLimiter } = require('../middleware/rateLimiter');
+const idempotency = require('../middleware/idempotency');
+const ledger = require('../services/ledgerService');
+const { verifySPin } = require('../services/spinService');
+const { emitToUser } = require('../services/notificationService');
+const { parsePurse, receivingPurse, purseBalances } = require('../services/purseService');
+const { budgetDepartmentOf, chargeBudget, notifyBudgetWarning } = require('../services/budgetService');
+const { notifyParties, expireMoneyRequests } = require('../services/moneyRequestService');
+const httpError = require('../utils/httpError');
+const { toPaise, formatRupees } = require('../utils/money');
+
+const DEFAULT_EXPIRY_HOURS = 24;
+const MAX_EXPIRY_HOURS = 7 * 24;
+const MAX_NOTE_LENGTH = 255;
+// Pending requests one user may have out at a time
+const MAX_PENDING_OUTGOING = 20;
+
+// Request ids are integers; anything else would fail the Postgres cast
+const isRequestId = (id) => /^\d+$/.test(id);
+
+const PARTIES = [
+  { model: User, as: 'Requester', attributes: ['name', 'userId'] },
+  { model: User, as: 'Payer', attributes: ['name', 'userId'] }
+];
+
+const serialize = (request) => ({
+  id: request.id,
+  amount: request.amount,
+  note: request.note,
+  purse: request.purse,
+  status: request.status,
+  expiresAt: request.expiresAt,
+  declineReason: request.declineReason,
+  transactionId: request.transactionId,
+  respondedAt: request.respondedAt,
+  createdAt: request.createdAt,
+  requester: request.Requester,
+  payer: request.Payer
+});
+
+// Incoming (caller pays) or outgoing (caller asked) requests, newest first
+async function listRequests(req, res, side) {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+  const offset = (page - 1) * limit;
+
+  await expireMoneyRequests(req.app, { [side]: req.user.id });
+
+  const whereClause = { [side]: req.user.id };
+  if (req.query.status) {
+    whereClause.status = req.query.status.toUpperCase();
+  }
+
+  const { count, rows } = await MoneyRequest.findAndCountAll({
+    where: whereClause,
+    include: PARTIES,
+    order: [['createdAt', 'DESC']],
+    limit,
+    offset
+  });
+
+  res.json({
+    requests: rows.map(serialize),
+    pagination: {
+      totalPages: Math.ceil(count / limit),
+      currentPage: page,
+      totalRequests: count,
+      hasNextPage: page < Math.ceil(count / limit),
+      hasPrevPage: page > 1
+    }
+  });
+}
+
+// ============================================
+// POST /api/money-requests - ASK SOMEONE FOR MONEY
+// Body: { payerId (user ID), amount, note?, purse?, expiresInHours? }
+// ✅ RATE LIMITED: 100 requests per 15 minutes
+// ============================================
+router.post('/', [authMiddleware, apiLimiter], async (req, res) => {
+  try {
+    const { payerId, amount, expiresInHours } = req.body;
+    const note = req.body.note ? String(req.body.note).trim() : null;
+
+    const amountPaise = toPaise(amount);
+    if (!amountPaise) {
+      return res.status(400).json({ message: 'Amount must be a positive number with at most 2 decimals.' });
+    }
+
+    if (note && note.length > MAX_NOTE_LENGTH) {
+      return res.status(400).json({ message: `Note must be at most ${MAX_NOTE_LENGTH} characters.` });
+    }
+
+    const hours = expiresInHours === undefined ? DEFAULT_EXPIRY_HOURS : Number(expiresInHours);
+    if (!Number.isFinite(hours) || hours <= 0 || hours > MAX_EXPIRY_HOURS) {
+      return res.status(400).json({ message: `Expiry must be between 1 and ${MAX_EXPIRY_HOURS} hours.` });
+    }
+
+    const purse = parsePurse(req.body.purse);
+
+    const [requester, payer] = await Promise.all([
+      User.findByPk(req.user.id),
+      User.findOne({ where: { userId: String(payerId || '').toUpperCase() } })
+    ]);
+    if (!payer) {
+      return res.status(404).json({ message: 'User not found.' });
+    }
+    if (payer.id === requester.id) {
+      return res.status(400).json({ message: 'Cannot request money from yourself.' });
+    }
+
+    // Fail now rather than when the payer approves (e.g. a meal purse to a non-vendor)
+    receivingPurse(payer, requester, purse);
+
+    const pending = await MoneyRequest.count({
+      where: { requesterId: requester.id, status: 'PENDING', expiresAt: { [Op.gt]: new Date() } }
+    });
+    if (pending >= MAX_PENDING_OUTGOING) {
+      return res.status(429).json({ message: `You already have ${pending} pending requests. Cancel some or wait for answers.` });
+    }
+
+    const request = await MoneyRequest.create({
+      requesterId: requester.id,
+      payerId: payer.id,
+      amountPaise,
+      note,
+      purse,
+      expiresAt: new Date(Date.now() + hours * 60 * 60 * 1000)
+    });
+    await request.reload({ include: PARTIES });
+
+    emitToUser(req.app, payer.userId, 'money_request_received', serialize(request));
+
+    res.status(201).json(serialize(request));
+  } catch (error) {
+    console.error('Money request create error:', error);
+    res.status(error.status || 500).json({ message: error.message || 'Server error while creating money request.' });
+  }
+});
+
+// ============================================
+// GET /api/money-requests/incoming - REQUESTS THE CALLER IS ASKED TO PAY
+// ✅ RATE LIMITED: 100 requests per 15 minutes
+// ============================================
+router.get('/incoming', [authMiddleware, apiLimiter], async (req, res) => {
+  try {
+    await listRequests(req, res, 'payerId');
+  } catch (error) {
+    console.error('Money request incoming error:', error);
+    res.status(500).json({ message: 'Server error while fetching money requests.' });
+  }
+});
+
+// ============================================
+// GET /api/money-requests/outgoing - REQUESTS THE CALLER SENT
+// ✅ RATE LIMITED: 100 requests per 15 minutes
+// ============================================
+router.get('/outgoing', [authMiddleware, apiLimiter], async (req, res) => {
+  try {
+    await listRequests(req, res, 'requesterId');
+  } catch (error) {
+    console.error('Money request outgoing error:', error);
+    res.status(500).json({ message: 'Server error while fetching money requests.' });
+  }
+});
+
+// ============================================
+// GET /api/money-requests/:id - ONE REQUEST (either party)
+// ✅ RATE LIMITED: 100 requests per 15 minutes
+// ============================================
+router.get('/:id', [authMiddleware, apiLimiter], async (req, res) => {
+  try {
+    if (!isRequestId(req.params.id)) {
+      return res.status(404).json({ message: 'Money request not found.' });
+    }
+
+    await expireMoneyRequests(req.app, { id: req.params.id });
+
+    const request = await MoneyRequest.findByPk(req.params.id, { include: PARTIES });
+    if (!request || ![request.requesterId, request.payerId].includes(req.user.id)) {
+      return res.status(404).json({ message: 'Money request not found.' });
+    }
+    res.json(serialize(request));
+  } catch (error) {
+    console.error('Money request fetch error:', error);
+    res.status(500).json({ message: 'Server error while fetching money request.' });
+  }
+});
+
+// ============================================
+// POST /api/money-requests/:id/approve - PAY IT WITH S-PIN (payer)
+// Posts an ordinary transfer from the payer to the requester
+// ✅ RATE LIMITED: 10 transactions per minute
+// ✅ IDEMPOTENT: optional Idempotency-Key header
+// ============================================
+router.post('/:id/approve', [authMiddleware, transactionLimiter, idempotency], async (req, res) => {
+  try {
+    const { sPin } = req.body;
+
+    if (!isRequestId(req.params.id)) {
+      return res.status(404).json({ message: 'Money request not found.' });
+    }
+    if (!sPin) {
+      return res.status(400).json({ message: 'S-Pin is required for transactions.' });
+    }
+
+    try {
+      await verifySPin(req.user.id, sPin, req.app);
+    } catch (pinError) {
+      return res.status(pinError.status || 401).json({ message: pinError.message, ...(pinError.details || {}) });
+    }
+
+    const result = await sequelize.transaction(async (t) => {
+      // The request row lock makes approval exactly-once
+      const request = await MoneyRequest.findByPk(req.params.id, {
+        lock: t.LOCK.UPDATE,
+        transaction: t
+      });
+
+      if (!request || request.payerId !== req.user.id) {
+        throw httpError(404, 'Money request not found.');
+      }
+      if (request.status === 'PENDING' && request.expiresAt <= new Date()) {
+        throw httpError(409, 'This money request has expired.');
+      }
+      if (request.status !== 'PENDING') {
+        throw httpError(409, `This money request is ${request.status.toLowerCase()}.`);
+      }
+
+      const wallets = await ledger.lockUsers({ id: [request.payerId, request.requesterId] }, t);
+      const payer = wallets.find(u => u.id === request.payerId);
+      const requester = wallets.find(u => u.id === request.requesterId);
+
+      if (!payer || payer.balancePaise < request.amountPaise) {
+        throw httpError(400, 'Insufficient balance or user not found.');
+      }
+      if (!requester) {
+        throw httpError(404, 'The requester no longer exists.');
+      }
+
+      // A Core/Head paying a member's request is a disbursement like /send
+      const budgetDepartment = budgetDepartmentOf(payer, requester);
+      const budgetWarning = budgetDepartment ? await chargeBudget(budgetDepartment, request.amountPaise, t) : null;
+
+      const transaction = await ledger.post({
+        from: payer,
+        to: requester,
+        amountPaise: request.amountPaise,
+        fromPurse: request.purse,
+        toPurse: receivingPurse(payer, requester, request.purse),
+        metadata: {
+          moneyRequestId: request.id,
+          note: request.note,
+          ...(budgetDepartment ? { budgetDepartment } : {})
+        }
+      }, t);
+
+      request.status = 'PAID';
+      request.transactionId = transaction.id;
+      request.respondedAt = new Date();
+      await request.save({ transaction: t });
+
+      return {
+        request,
+        transaction,
+        payer,
+        requester,
+        balances: await purseBalances(payer.id, t),
+        budgetWarning
+      };
+    });
+
+    const { request, transaction, payer, requester, balances, budgetWarning } = result;
+
+    await notifyParties(req.app, request, 'money_request_approved', { transactionId: transaction.id });
+    emitToUser(req.app, requester.userId, 'transaction_received', {
+      id: transaction.id,
+      amount: transaction.amount,
+      senderName: payer.name,
+      purse: transaction.receiverPurse,
+      createdAt: transaction.createdAt,
+      type: 'credit'
+    });
+    if (budgetWarning) {
+      await notifyBudgetWarning(req.app, payer, budgetWarning);
+    }
+
+    res.json({
+      message: `Paid ₹${formatRupees(request.amountPaise)} to ${requester.name}.`,
+      request: serialize(await request.reload({ include: PARTIES })),
+      transaction,
+      newBalance: payer.balance,
+      balances,
+      budgetWarning
+    });
+  } catch (error) {
+    console.error('Money request approve error:', error);
+    res.status(error.status || 500).json({ message: error.message || 'Server error while paying the money request.' });
+  }
+});
+
+// Moves a PENDING, unexpired request of the caller to `status`. The
+// conditional update loses cleanly against a concurrent approval.
+async function closeRequest(req, res, { side, status, event, fields = {} }) {
+  if (!isRequestId(req.params.id)) {
+    return res.status(404).json({ message: 'Money request not found.' });
+  }
+
+  const [count, [request] = []] = await MoneyRequest.update(
+    { status, respondedAt: new Date(), ...fields },
+    {
+      where: { id: req.params.id, [side]: req.user.id, status: 'PENDING', expiresAt: { [Op.gt]: new Date() } },
+      returning: true
+    }
+  );
+
+  if (count === 0) {
+    const existing = await MoneyRequest.findOne({ where: { id: req.params.id, [side]: req.user.id } });
+    if (!existing) {
+      return res.status(404).json({ message: 'Money request not found.' });
+    }
+    return res.status(409).json({ message: 'Only pending money requests can be changed.' });
+  }
+
+  await notifyParties(req.app, request, event, fields);
+  res.json({ message: `Money request ${status.toLowerCase()}.`, request: serialize(await request.reload({ include: PARTIES })) });
+}
+
+// ============================================
+// POST /api/money-requests/:id/decline - DECLINE (payer)
+// Body: { reason? }
+// ✅ RATE LIMITED: 100 requests per 15 minutes
+// ============================================
+router.post('/:id/decline', [authMiddleware, apiLimiter], async (req, res) => {
+  try {
+    const reason = req.body.reason ? String(req.body.reason).trim() : null;
+    if (reason && reason.length > MAX_NOTE_LENGTH) {
+      return res.status(400).json({ message: `Reason must be at most ${MAX_NOTE_LENGTH} characters.` });
+    }
+
+    await closeRequest(req, res, {
+      side: 'payerId',
+      status: 'DECLINED',
+      event: 'money_request_declined',
+      fields: { declineReason: reason }
+    });
+  } catch (error) {
+    console.error('Money request decline error:', error);
+    res.status(500).json({ message: 'Server error while declining the money request.' });
+  }
+});
+
+// ============================================
+// POST /api/money-requests/:id/cancel - WITHDRAW (requester)
+// ✅ RATE LIMITED: 100 requests per 15 minutes
+// ============================================
+router.post('/:id/cancel', [authMiddleware, apiLimiter], async (req, res) => {
+  try {
+    await closeRequest(req, res, {
+      side: 'requesterId',
+      status: 'CANCELLED',
+      event: 'money_request_cancelled'
+    });
+  } catch (error) {
+    console.error('Money request cancel error:', error);
+    res.status(500).json({ message: 'Server error while cancelling the money request.' });
+  }
+});
+
+module.exports = router;
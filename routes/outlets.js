@@ -0,0 +1,328 @@
+// routes/outlets.js - VENDOR OUTLETS AND CASHIER LOGINS
+// A vendor (the merchant) runs several outlets, each with its own cashier
+// logins. Cashiers take payments into the merchant's wallet but can never
+// send money; the merchant sees takings per outlet and per cashier.
+const express = require('express');
+const router = express.Router();
+const { Op, UniqueConstraintError } = require('sequelize');
+const bcrypt = require('bcryptjs');
+const { sequelize } = require('../config/database');
+const User = require('../models/User');
+const Outlet = require('../models/Outlet');
+const Transaction = require('../models/Transaction');
+const authMiddleware = require('../middleware/authMiddleware');
+const { isVendor, isCashier } = require('../middleware/roleMiddleware');
+const { apiLimiter } = require('../middleware/rateLimiter');
+const { createCashier, takingsWhere, revenueBreakdown } = require('../services/outletService');
+const { revokeAllSessions } = require('../services/sessionService');
+const httpError = require('../utils/httpError');
+const { toRupees } = require('../utils/money');
+const { istDateString, istDateTime } = require('../utils/time');
+
+const MAX_NAME_LENGTH = 100;
+const MIN_PASSWORD_LENGTH = 8;
+
+const CASHIER_ATTRIBUTES = ['name', 'userId', 'outletId', 'active', 'createdAt'];
+
+// Trimmed, length-checked string from the body, or a 400
+function parseText(value, label, max, required = true) {
+  const text = typeof value === 'string' ? value.trim() : '';
+  if ((required && !text) || text.length > max) {
+    throw httpError(400, `${label} must be ${required ? 1 : 0}-${max} characters.`);
+  }
+  return text || null;
+}
+
+function parseActive(value) {
+  if (typeof value !== 'boolean') {
+    throw httpError(400, 'active must be true or false.');
+  }
+  return value;
+}
+
+function parsePassword(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw httpError(400, `Password must be at least ${MIN_PASSWORD_LENGTH} characters.`);
+  }
+  return password;
+}
+
+// The caller's outlet with id `id`, or a 404
+async function findOwnOutlet(id, merchantId) {
+  const outlet = await Outlet.findOne({ where: { id: parseInt(id) || 0, merchantId } });
+  if (!outlet) {
+    throw httpError(404, 'Outlet not found.');
+  }
+  return outlet;
+}
+
+// ?startDate&endDate as a createdAt filter, like the vendor statements
+const dateFilter = ({ startDate, endDate }) => (
+  startDate && endDate ? { [Op.between]: [new Date(startDate), new Date(endDate)] } : null
+);
+
+// ============================================
+// GET /api/outlets - VENDOR'S OUTLETS WITH THEIR CASHIERS
+// ✅ RATE LIMITED: 100 requests per 15 minutes
+// ============================================
+router.get('/', [authMiddleware, isVendor, apiLimiter], async (req, res) => {
+  try {
+    const [outlets, cashiers] = await Promise.all([
+      Outlet.findAll({ where: { merchantId: req.user.id }, order: [['name', 'ASC']] }),
+      User.findAll({ where: { merchantId: req.user.id, role: 'Cashier' }, attributes: CASHIER_ATTRIBUTES, order: [['userId', 'ASC']] })
+    ]);
+
+    res.json(outlets.map(outlet => ({
+      ...outlet.toJSON(),
+      cashiers: cashiers.filter(cashier => cashier.outletId === outlet.id)
+    })));
+  } catch (error) {
+    console.error('Outlet list error:', error);
+    res.status(500).json({ message: 'Server error while fetching outlets.' });
+  }
+});
+
+// ============================================
+// GET /api/outlets/revenue - TAKINGS PER OUTLET AND CASHIER (Vendors only)
+// ?startDate&endDate like the statements
+// ✅ RATE LIMITED: 100 requests per 15 minutes
+// ============================================
+router.get('/revenue', [authMiddleware, isVendor, apiLimiter], async (req, res) => {
+  try {
+    const createdAt = dateFilter(req.query);
+    res.json({
+      ...(await revenueBreakdown(req.user.id, createdAt)),
+      isFiltered: !!createdAt
+    });
+  } catch (error) {
+    console.error('Outlet revenue error:', error);
+    res.status(500).json({ message: 'Server error while building the revenue breakdown.' });
+  }
+});
+
+// ============================================
+// GET /api/outlets/me - CASHIER'S COUNTER AND TODAY'S TAKINGS
+// ✅ RATE LIMITED: 100 requests per 15 minutes
+// ============================================
+router.get('/me', [authMiddleware, isCashier, apiLimiter], async (req, res) => {
+  try {
+    const cashier = await User.findByPk(req.user.id, { attributes: ['id', ...CASHIER_ATTRIBUTES, 'merchantId'] });
+    const [outlet, merchant, transactions] = await Promise.all([
+      Outlet.findByPk(cashier.outletId),
+      User.findByPk(cashier.merchantId, { attributes: ['name', 'userId', 'vendorCategory'] }),
+      Transaction.findAll({
+        where: {
+          cashierId: cashier.id,
+          type: 'TRANSFER',
+          createdAt: { [Op.gte]: istDateTime(istDateString()) }
+        },
+        attributes: ['id', 'amountPaise', 'amount', 'senderName', 'senderUserId', 'receiverPurse', 'metadata', 'createdAt'],
+        order: [['createdAt', 'DESC']]
+      })
+    ]);
+
+    res.json({
+      cashier: { name: cashier.name, userId: cashier.userId },
+      outlet: outlet && { id: outlet.id, name: outlet.name, location: outlet.location, active: outlet.active },
+      merchant,
+      today: {
+        payments: transactions.length,
+        received: toRupees(transactions.reduce((sum, tx) => sum + tx.amountPaise, 0)),
+        transactions
+      }
+    });
+  } catch (error) {
+    console.error('Cashier counter error:', error);
+    res.status(500).json({ message: 'Server error while fetching your counter.' });
+  }
+});
+
+// ============================================
+// POST /api/outlets - OPEN AN OUTLET (Vendors only)
+// Body: { name, location? }
+// ✅ RATE LIMITED: 100 requests per 15 minutes
+// ============================================
+router.post('/', [authMiddleware, isVendor, apiLimiter], async (req, res) => {
+  try {
+    const name = parseText(req.body.name, 'Outlet name', MAX_NAME_LENGTH);
+    const location = parseText(req.body.location, 'Location', 255, false);
+
+    const outlet = await Outlet.create({ merchantId: req.user.id, name, location });
+    res.status(201).json(outlet);
+  } catch (error) {
+    if (error instanceof UniqueConstraintError) {
+      return res.status(409).json({ message: 'You already have an outlet with this name.' });
+    }
+    console.error('Outlet create error:', error);
+    res.status(error.status || 500).json({ message: error.message || 'Server error while creating the outlet.' });
+  }
+});
+
+// ============================================
+// PATCH /api/outlets/cashiers/:userId - EDIT A CASHIER LOGIN (their Vendor)
+// Body: { name?, outletId?, active?, password? }
+// A deactivated cashier can no longer log in or be paid, and a new
+// password or deactivation ends the cashier's sessions
+// ✅ RATE LIMITED: 100 requests per 15 minutes
+// ============================================
+router.patch('/cashiers/:userId', [authMiddleware, isVendor, apiLimiter], async (req, res) => {
+  try {
+    const cashier = await User.findOne({
+      where: { userId: req.params.userId.toUpperCase(), role: 'Cashier', merchantId: req.user.id }
+    });
+    if (!cashier) {
+      return res.status(404).json({ message: 'Cashier not found.' });
+    }
+
+    const { name, outletId, active, password } = req.body;
+    if (name !== undefined) {
+      cashier.name = parseText(name, 'Cashier name', MAX_NAME_LENGTH);
+    }
+    if (outletId !== undefined) {
+      cashier.outletId = (await findOwnOutlet(outletId, req.user.id)).id;
+    }
+    if (active !== undefined) {
+      cashier.active = parseActive(active);
+    }
+    if (password !== undefined) {
+      const salt = await bcrypt.genSalt(10);
+      cashier.password = await bcrypt.hash(parsePassword(password), salt);
+    }
+
+    await cashier.save();
+
+    // A new password or deactivation logs the cashier out of every device
+    if (password !== undefined) {
+      await revokeAllSessions(cashier.id, 'PASSWORD_CHANGED');
+    } else if (active === false) {
+      await revokeAllSessions(cashier.id, 'ACCOUNT_DEACTIVATED');
+    }
+
+    res.json({
+      name: cashier.name,
+      userId: cashier.userId,
+      outletId: cashier.outletId,
+      active: cashier.active
+    });
+  } catch (error) {
+    console.error('Cashier update error:', error);
+    res.status(error.status || 500).json({ message: error.message || 'Server error while updating the cashier.' });
+  }
+});
+
+// ============================================
+// PATCH /api/outlets/:id - RENAME, MOVE, OPEN OR CLOSE (owning Vendor)
+// Body: { name?, location?, active? }. A closed outlet takes no payments.
+// ✅ RATE LIMITED: 100 requests per 15 minutes
+// ============================================
+router.patch('/:id', [authMiddleware, isVendor, apiLimiter], async (req, res) => {
+  try {
+    const outlet = await findOwnOutlet(req.params.id, req.user.id);
+
+    const { name, location, active } = req.body;
+    if (name !== undefined) {
+      outlet.name = parseText(name, 'Outlet name', MAX_NAME_LENGTH);
+    }
+    if (location !== undefined) {
+      outlet.location = parseText(location, 'Location', 255, false);
+    }
+    if (active !== undefined) {
+      outlet.active = parseActive(active);
+    }
+
+    await outlet.save();
+    res.json(outlet);
+  } catch (error) {
+    if (error instanceof UniqueConstraintError) {
+      return res.status(409).json({ message: 'You already have an outlet with this name.' });
+    }
+    console.error('Outlet update error:', error);
+    res.status(error.status || 500).json({ message: error.message || 'Server error while updating the outlet.' });
+  }
+});
+
+// ============================================
+// POST /api/outlets/:id/cashiers - ADD A CASHIER LOGIN (owning Vendor)
+// Body: { name, password }. The login ID is generated (VE00A001-C01, ...).
+// Cashiers get no S-Pin: they only take payments.
+// ✅ RATE LIMITED: 100 requests per 15 minutes
+// ============================================
+router.post('/:id/cashiers', [authMiddleware, isVendor, apiLimiter], async (req, res) => {
+  try {
+    const outlet = await findOwnOutlet(req.params.id, req.user.id);
+    const name = parseText(req.body.name, 'Cashier name', MAX_NAME_LENGTH);
+    const password = parsePassword(req.body.password);
+
+    const merchant = await User.findByPk(req.user.id);
+    const cashier = await createCashier({ merchant, outlet, name, password });
+
+    res.status(201).json({
+      message: `Cashier login ${cashier.userId} created for ${outlet.name}.`,
+      cashier: { name: cashier.name, userId: cashier.userId, outletId: outlet.id, active: cashier.active }
+    });
+  } catch (error) {
+    console.error('Cashier create error:', error);
+    res.status(error.status || 500).json({ message: error.message || 'Server error while creating the cashier.' });
+  }
+});
+
+// ============================================
+// GET /api/outlets/:id/statement - ONE OUTLET'S STATEMENT (owning Vendor)
+// ?startDate&endDate like the statements, ?page&limit
+// ✅ RATE LIMITED: 100 requests per 15 minutes
+// ============================================
+router.get('/:id/statement', [authMiddleware, isVendor, apiLimiter], async (req, res) => {
+  try {
+    const outlet = await findOwnOutlet(req.params.id, req.user.id);
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const offset = (page - 1) * limit;
+
+    const createdAt = dateFilter(req.query);
+    const where = { ...takingsWhere(req.user.id, createdAt), outletId: outlet.id };
+
+    const [{ count, rows }, totals] = await Promise.all([
+      Transaction.findAndCountAll({
+        where,
+        include: [{ model: User, as: 'Cashier', attributes: ['name', 'userId'] }],
+        order: [['createdAt', 'DESC']],
+        limit,
+        offset
+      }),
+      Transaction.findAll({
+        where,
+        attributes: ['type', [sequelize.fn('SUM', sequelize.col('amountPaise')), 'paise']],
+        group: ['type'],
+        raw: true
+      })
+    ]);
+
+    // Sum in integer paise, convert once for the response
+    const paiseOf = (type) => Number((totals.find(row => row.type === type) || {}).paise || 0);
+    const receivedPaise = paiseOf('TRANSFER');
+    const refundedPaise = paiseOf('REFUND');
+
+    res.json({
+      outlet,
+      summary: {
+        received: toRupees(receivedPaise),
+        refunds: toRupees(refundedPaise),
+        net: toRupees(receivedPaise - refundedPaise)
+      },
+      transactions: rows,
+      pagination: {
+        totalPages: Math.ceil(count / limit),
+        currentPage: page,
+        totalTransactions: count,
+        hasNextPage: page < Math.ceil(count / limit),
+        hasPrevPage: page > 1
+      },
+      isFiltered: !!createdAt
+    });
+  } catch (error) {
+    console.error('Outlet statement error:', error);
+    res.status(error.status || 500).json({ message: error.message || 'Server error while fetching the outlet statement.' });
+  }
+});
+
+module.exports = router;
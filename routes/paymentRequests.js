@@ -0,0 +1,338 @@
+// routes/paymentRequests.js - VENDOR-INITIATED CHECKOUT
+const express = require('express');
+const router = express.Router();
+const { Op, UniqueConstraintError } = require('sequelize');
+const { sequelize } = require('../config/database');
+const User = require('../models/User');
+const PaymentRequest = require('../models/PaymentRequest');
+const Outlet = require('../models/Outlet');
+const authMiddleware = require('../middleware/authMiddleware');
+const { isVendorOrCashier } = require('../middleware/roleMiddleware');
+const { transactionLimiter, apiLimiter } = require('../middleware/rateLimiter');
+const idempotency = require('../middleware/idempotency');
+const ledger = require('../services/ledgerService');
+const { verifySPin } = require('../services/spinService');
+const { emitToUser } = require('../services/notificationService');
+const { parsePurse, receivingPurse, vendorAccepts } = require('../services/purseService');
+const { resolveLineItems } = require('../services/menuService');
+const { counterOf } = require('../services/outletService');
+const { PURSES } = require('../config/purses');
+const httpError = require('../utils/httpError');
+const { toPaise, formatRupees } = require('../utils/money');
+const { randomCode } = require('../utils/codes');
+
+const DEFAULT_EXPIRY_MINUTES = 10;
+const MAX_EXPIRY_MINUTES = 60;
+
+// What the frontend encodes in the QR shown at the counter
+const qrPayloadFor = (code) => `shaastra-pay:${code}`;
+
+// Marks every PENDING request past its expiry as EXPIRED
+const expireStaleRequests = (where = {}) => PaymentRequest.update(
+  { status: 'EXPIRED' },
+  { where: { ...where, status: 'PENDING', expiresAt: { [Op.lt]: new Date() } } }
+);
+
+const serialize = (request, vendor) => ({
+  id: request.id,
+  code: request.code,
+  qrPayload: qrPayloadFor(request.code),
+  amount: request.amount,
+  description: request.description,
+  items: request.items,
+  status: request.status,
+  expiresAt: request.expiresAt,
+  paidAt: request.paidAt,
+  transactionId: request.transactionId,
+  outletId: request.outletId,
+  ...(vendor ? {
+    vendor: { name: vendor.name, userId: vendor.userId },
+    acceptedPurses: PURSES.filter(purse => vendorAccepts(vendor, purse))
+  } : {})
+});
+
+// Requests the caller may see and cancel: all of a vendor's, a cashier's own
+async function ownRequestsWhere(userId) {
+  const user = await User.findByPk(userId, { attributes: ['id', 'role'] });
+  return user.role === 'Cashier' ? { cashierId: user.id } : { vendorId: user.id };
+}
+
+// ============================================
+// POST /api/payment-requests - CREATE (Vendors and their cashiers)
+// Body: { amount?, items?: [{ itemId, quantity }], description?, expiresInMinutes? }
+// With items the amount is their total (or must equal it when also given).
+// A cashier's request is paid to their vendor, tagged with their outlet.
+// ✅ RATE LIMITED: 100 requests per 15 minutes
+// ============================================
+router.post('/', [authMiddleware, isVendorOrCashier, apiLimiter], async (req, res) => {
+  try {
+    const { amount, items, description, expiresInMinutes } = req.body;
+
+    // With items the amount may be left out and taken from their total
+    let amountPaise = toPaise(amount);
+    if (!amountPaise && !(items !== undefined && (amount === undefined || amount === null))) {
+      return res.status(400).json({ message: 'Amount must be a positive number with at most 2 decimals.' });
+    }
+
+    const user = await User.findByPk(req.user.id);
+    const counter = user.role === 'Cashier' ? await counterOf(user) : null;
+
+    let lineItems = null;
+    if (items !== undefined) {
+      const vendor = counter ? await User.findByPk(counter.merchantId) : user;
+      const resolved = await resolveLineItems(vendor, items, amountPaise);
+      lineItems = resolved.lines;
+      amountPaise = resolved.totalPaise;
+    }
+
+    const minutes = expiresInMinutes === undefined ? DEFAULT_EXPIRY_MINUTES : Number(expiresInMinutes);
+    if (!Number.isFinite(minutes) || minutes <= 0 || minutes > MAX_EXPIRY_MINUTES) {
+      return res.status(400).json({ message: `Expiry must be between 1 and ${MAX_EXPIRY_MINUTES} minutes.` });
+    }
+
+    if (description && String(description).length > 255) {
+      return res.status(400).json({ message: 'Description must be at most 255 characters.' });
+    }
+
+    // Codes are random, so a collision is rare; retry a few times if it happens
+    let request;
+    for (let attempt = 0; !request; attempt++) {
+      try {
+        request = await PaymentRequest.create({
+          code: randomCode(8),
+          vendorId: counter ? counter.merchantId : user.id,
+          ...(counter ? counter.record : {}),
+          amountPaise,
+          description: description || null,
+          items: lineItems,
+          expiresAt: new Date(Date.now() + minutes * 60 * 1000)
+        });
+      } catch (error) {
+        if (!(error instanceof UniqueConstraintError) || attempt >= 4) throw error;
+      }
+    }
+
+    res.status(201).json(serialize(request));
+  } catch (error) {
+    console.error('Payment request create error:', error);
+    res.status(error.status || 500).json({ message: error.message || 'Server error while creating payment request.' });
+  }
+});
+
+// ============================================
+// GET /api/payment-requests/mine - VENDOR'S REQUESTS
+// A vendor sees all of them (?outletId to narrow down), a cashier their own
+// ✅ RATE LIMITED: 100 requests per 15 minutes
+// ============================================
+router.get('/mine', [authMiddleware, isVendorOrCashier, apiLimiter], async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const offset = (page - 1) * limit;
+
+    const whereClause = await ownRequestsWhere(req.user.id);
+    await expireStaleRequests(whereClause);
+
+    if (req.query.outletId) {
+      whereClause.outletId = parseInt(req.query.outletId) || null;
+    }
+    if (req.query.status) {
+      whereClause.status = req.query.status.toUpperCase();
+    }
+
+    const { count, rows } = await PaymentRequest.findAndCountAll({
+      where: whereClause,
+      order: [['createdAt', 'DESC']],
+      limit,
+      offset
+    });
+
+    res.json({
+      requests: rows.map(r => serialize(r)),
+      pagination: {
+        totalPages: Math.ceil(count / limit),
+        currentPage: page,
+        totalRequests: count,
+        hasNextPage: page < Math.ceil(count / limit),
+        hasPrevPage: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Payment request list error:', error);
+    res.status(500).json({ message: 'Server error while fetching payment requests.' });
+  }
+});
+
+// ============================================
+// GET /api/payment-requests/:code - FETCH BEFORE PAYING
+// ✅ RATE LIMITED: 100 requests per 15 minutes
+// ============================================
+router.get('/:code', [authMiddleware, apiLimiter], async (req, res) => {
+  try {
+    const code = req.params.code.toUpperCase();
+    await expireStaleRequests({ code });
+
+    const request = await PaymentRequest.findOne({ where: { code } });
+    if (!request) {
+      return res.status(404).json({ message: 'Payment request not found.' });
+    }
+
+    const vendor = await User.findByPk(request.vendorId, { attributes: ['name', 'userId', 'vendorCategory'] });
+    res.json(serialize(request, vendor));
+  } catch (error) {
+    console.error('Payment request fetch error:', error);
+    res.status(500).json({ message: 'Server error while fetching payment request.' });
+  }
+});
+
+// ============================================
+// POST /api/payment-requests/:code/pay - CONFIRM WITH S-PIN
+// ✅ RATE LIMITED: 10 transactions per minute
+// ✅ IDEMPOTENT: optional Idempotency-Key header
+// ============================================
+router.post('/:code/pay', [authMiddleware, transactionLimiter, idempotency], async (req, res) => {
+  try {
+    const { sPin } = req.body;
+    const code = req.params.code.toUpperCase();
+
+    if (!sPin) {
+      return res.status(400).json({ message: 'S-Pin is required for transactions.' });
+    }
+
+    const purse = parsePurse(req.body.purse);
+
+    try {
+      await verifySPin(req.user.id, sPin, req.app);
+    } catch (pinError) {
+      return res.status(pinError.status || 401).json({ message: pinError.message, ...(pinError.details || {}) });
+    }
+
+    // In its own write: the payment transaction rolls back on the 409 below
+    await expireStaleRequests({ code });
+
+    const { request, transaction, payer, vendor } = await sequelize.transaction(async (t) => {
+      // The request row lock makes settlement exactly-once: a second payer
+      // waits here and then sees status PAID
+      const request = await PaymentRequest.findOne({
+        where: { code },
+        lock: t.LOCK.UPDATE,
+        transaction: t
+      });
+
+      if (!request) {
+        throw httpError(404, 'Payment request not found.');
+      }
+      // It may also have lapsed since the expiry write above
+      const status = request.status === 'PENDING' && request.expiresAt < new Date() ? 'EXPIRED' : request.status;
+      if (status !== 'PENDING') {
+        throw httpError(409, `This payment request is ${status.toLowerCase()}.`);
+      }
+      if (request.vendorId === req.user.id) {
+        throw httpError(400, 'Cannot pay your own payment request.');
+      }
+
+      const wallets = await ledger.lockUsers({ id: [req.user.id, request.vendorId] }, t);
+      const payer = wallets.find(u => u.id === req.user.id);
+      const vendor = wallets.find(u => u.id === request.vendorId);
+
+      if (!vendor) {
+        throw httpError(404, 'Vendor not found.');
+      }
+      if (!payer || payer.balancePaise < request.amountPaise) {
+        throw httpError(400, 'Insufficient balance or user not found.');
+      }
+
+      // Receipts show the outlet's name at the time of payment
+      const outlet = request.outletId ? await Outlet.findByPk(request.outletId, { transaction: t }) : null;
+
+      const transaction = await ledger.post({
+        from: payer,
+        to: vendor,
+        amountPaise: request.amountPaise,
+        fromPurse: purse,
+        toPurse: receivingPurse(payer, vendor, purse),
+        record: { outletId: request.outletId, cashierId: request.cashierId },
+        metadata: {
+          paymentRequestId: request.id,
+          paymentRequestCode: request.code,
+          description: request.description,
+          ...(request.items ? { items: request.items } : {}),
+          ...(outlet ? { outletName: outlet.name } : {})
+        }
+      }, t);
+
+      request.status = 'PAID';
+      request.paidById = payer.id;
+      request.transactionId = transaction.id;
+      request.paidAt = new Date();
+      await request.save({ transaction: t });
+
+      return { request, transaction, payer, vendor };
+    });
+
+    const paidEvent = {
+      code: request.code,
+      amount: request.amount,
+      description: request.description,
+      payerName: payer.name,
+      payerUserId: payer.userId,
+      purse,
+      transactionId: transaction.id,
+      paidAt: request.paidAt
+    };
+    emitToUser(req.app, vendor.userId, 'payment_request_paid', paidEvent);
+    if (request.cashierId) {
+      const cashier = await User.findByPk(request.cashierId, { attributes: ['userId'] });
+      emitToUser(req.app, cashier.userId, 'payment_request_paid', paidEvent);
+    }
+    emitToUser(req.app, vendor.userId, 'transaction_received', {
+      id: transaction.id,
+      amount: transaction.amount,
+      senderName: payer.name,
+      createdAt: transaction.createdAt,
+      type: 'credit'
+    });
+
+    res.json({
+      message: `Paid ₹${formatRupees(request.amountPaise)} to ${vendor.name}.`,
+      request: serialize(request),
+      transaction,
+      newBalance: payer.balance
+    });
+  } catch (error) {
+    console.error('Payment request pay error:', error);
+    res.status(error.status || 500).json({ message: error.message || 'Server error during payment.' });
+  }
+});
+
+// ============================================
+// POST /api/payment-requests/:code/cancel - CANCEL (owning Vendor or cashier)
+// ✅ RATE LIMITED: 100 requests per 15 minutes
+// ============================================
+router.post('/:code/cancel', [authMiddleware, isVendorOrCashier, apiLimiter], async (req, res) => {
+  try {
+    const code = req.params.code.toUpperCase();
+    const own = await ownRequestsWhere(req.user.id);
+
+    // Conditional update: a request that was paid meanwhile cannot be cancelled
+    const [count] = await PaymentRequest.update(
+      { status: 'CANCELLED' },
+      { where: { ...own, code, status: 'PENDING', expiresAt: { [Op.gte]: new Date() } } }
+    );
+
+    if (count === 0) {
+      const request = await PaymentRequest.findOne({ where: { ...own, code } });
+      if (!request) {
+        return res.status(404).json({ message: 'Payment request not found.' });
+      }
+      return res.status(409).json({ message: 'Only pending payment requests can be cancelled.' });
+    }
+
+    res.json({ message: 'Payment request cancelled.' });
+  } catch (error) {
+    console.error('Payment request cancel error:', error);
+    res.status(500).json({ message: 'Server error while cancelling payment request.' });
+  }
+});
+
+module.exports = router;
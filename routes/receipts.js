@@ -0,0 +1,109 @@
+// routes/receipts.js - SIGNED TRANSACTION RECEIPTS
+const express = require('express');
+const router = express.Router();
+const User = require('../models/User');
+const Transaction = require('../models/Transaction');
+const authMiddleware = require('../middleware/authMiddleware');
+const { apiLimiter } = require('../middleware/rateLimiter');
+const {
+  publicKeyPem,
+  signedReceipt,
+  canViewReceipt,
+  verifyReceipt,
+  verifyReferenceCode,
+  renderReceiptHtml
+} = require('../services/receiptService');
+const httpError = require('../utils/httpError');
+
+// The transaction with `reference` if the caller may see its receipt.
+// Others get the same 404 as an unknown reference.
+async function findViewable(reference, userId) {
+  const [tx, user] = await Promise.all([
+    Transaction.findOne({ where: { reference: reference.toUpperCase() } }),
+    User.findByPk(userId, { attributes: ['id', 'role', 'department'] })
+  ]);
+  if (!tx || !user || !canViewReceipt(tx, user)) {
+    throw httpError(404, 'Receipt not found.');
+  }
+  return tx;
+}
+
+// ============================================
+// GET /api/receipts/public-key
+// For checking receipt signatures without calling the server
+// ============================================
+router.get('/public-key', [authMiddleware, apiLimiter], (req, res) => {
+  res.json({ algorithm: 'Ed25519', format: 'spki-pem', publicKey: publicKeyPem() });
+});
+
+// ============================================
+// POST /api/receipts/verify - IS THIS RECEIPT GENUINE AND UNCHANGED?
+// Body: { receipt, signature } as returned by GET /api/receipts/:reference
+// ✅ RATE LIMITED: 100 requests per 15 minutes
+// ============================================
+router.post('/verify', [authMiddleware, apiLimiter], async (req, res) => {
+  try {
+    const { receipt, signature } = req.body;
+    if (!receipt || typeof receipt !== 'object' || typeof signature !== 'string') {
+      return res.status(400).json({ message: 'receipt (object) and signature (string) are required.' });
+    }
+
+    res.json(await verifyReceipt(receipt, signature));
+  } catch (error) {
+    console.error('Receipt verify error:', error);
+    res.status(500).json({ message: 'Server error while verifying the receipt.' });
+  }
+});
+
+// ============================================
+// GET /api/receipts/verify/:reference?code=XXXXXXXXXX
+// Checks a reference against the verification code printed with it, e.g.
+// when shown a screenshot of a receipt
+// ✅ RATE LIMITED: 100 requests per 15 minutes
+// ============================================
+router.get('/verify/:reference', [authMiddleware, apiLimiter], async (req, res) => {
+  try {
+    if (!req.query.code) {
+      return res.status(400).json({ message: 'The verification code is required.' });
+    }
+
+    res.json(await verifyReferenceCode(req.params.reference, req.query.code));
+  } catch (error) {
+    console.error('Receipt code verify error:', error);
+    res.status(500).json({ message: 'Server error while verifying the receipt.' });
+  }
+});
+
+// ============================================
+// GET /api/receipts/:reference - SIGNED RECEIPT (either party)
+// ✅ RATE LIMITED: 100 requests per 15 minutes
+// ============================================
+router.get('/:reference', [authMiddleware, apiLimiter], async (req, res) => {
+  try {
+    const tx = await findViewable(req.params.reference, req.user.id);
+    res.json(await signedReceipt(tx));
+  } catch (error) {
+    console.error('Receipt fetch error:', error);
+    res.status(error.status || 500).json({ message: error.message || 'Server error while fetching the receipt.' });
+  }
+});
+
+// ============================================
+// GET /api/receipts/:reference/print - PRINTABLE RECEIPT (HTML, either party)
+// ✅ RATE LIMITED: 100 requests per 15 minutes
+// ============================================
+router.get('/:reference/print', [authMiddleware, apiLimiter], async (req, res) => {
+  try {
+    const tx = await findViewable(req.params.reference, req.user.id);
+    const html = renderReceiptHtml(await signedReceipt(tx));
+
+    res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    res.setHeader('Content-Disposition', `inline; filename="Shaastra_Receipt_${tx.reference}.html"`);
+    res.send(html);
+  } catch (error) {
+    console.error('Receipt print error:', error);
+    res.status(error.status || 500).json({ message: error.message || 'Server error while rendering the receipt.' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,193 @@
+// routes/scheduledDisbursements.js - RECURRING GROUP ALLOWANCES (Cores)
+const express = require('express');
+const router = express.Router();
+const Group = require('../models/Group');
+const ScheduledDisbursement = require('../models/ScheduledDisbursement');
+const DisbursementRun = require('../models/DisbursementRun');
+const authMiddleware = require('../middleware/authMiddleware');
+const { isCore } = require('../middleware/roleMiddleware');
+const { apiLimiter } = require('../middleware/rateLimiter');
+const { verifySPin } = require('../services/spinService');
+const { computeNextRunAt } = require('../services/disbursementService');
+const { parsePurse } = require('../services/purseService');
+const { toPaise } = require('../utils/money');
+const { istDateString, isDateString, isTimeOfDay } = require('../utils/time');
+
+router.use(authMiddleware, isCore, apiLimiter);
+
+// Loads a schedule owned by the caller, or answers 404
+async function findOwnSchedule(req, res) {
+  const schedule = await ScheduledDisbursement.findByPk(req.params.id);
+  if (!schedule || schedule.createdById !== req.user.id) {
+    res.status(404).json({ message: 'Scheduled disbursement not found.' });
+    return null;
+  }
+  return schedule;
+}
+
+// ============================================
+// POST /api/scheduled-disbursements - CREATE
+// Body: { groupId, amount (per member), purse?, timeOfDay 'HH:MM' IST,
+//         startDate?, endDate 'YYYY-MM-DD', expireAtDayEnd?, sPin }
+// ============================================
+router.post('/', async (req, res) => {
+  try {
+    const { groupId, amount, timeOfDay, startDate, endDate, sPin } = req.body;
+
+    if (!sPin) {
+      return res.status(400).json({ message: 'S-Pin is required to schedule disbursements.' });
+    }
+
+    const amountPaise = toPaise(amount);
+    if (!amountPaise) {
+      return res.status(400).json({ message: 'Amount must be a positive number with at most 2 decimals.' });
+    }
+
+    const purse = parsePurse(req.body.purse);
+
+    if (!isTimeOfDay(timeOfDay)) {
+      return res.status(400).json({ message: 'timeOfDay must be HH:MM (24-hour, IST).' });
+    }
+
+    const firstDate = startDate || istDateString();
+    if (!isDateString(firstDate) || !isDateString(endDate) || endDate < firstDate) {
+      return res.status(400).json({ message: 'startDate and endDate must be YYYY-MM-DD with endDate on or after startDate.' });
+    }
+
+    // Same ownership rule as GET /api/groups/:id
+    const group = await Group.findByPk(groupId);
+    if (!group || group.createdById !== req.user.id) {
+      return res.status(404).json({ message: 'Group not found.' });
+    }
+
+    const nextRunAt = computeNextRunAt(timeOfDay, firstDate, endDate);
+    if (!nextRunAt) {
+      return res.status(400).json({ message: 'No run time is left before endDate.' });
+    }
+
+    try {
+      await verifySPin(req.user.id, sPin, req.app);
+    } catch (pinError) {
+      return res.status(pinError.status || 401).json({ message: pinError.message, ...(pinError.details || {}) });
+    }
+
+    const schedule = await ScheduledDisbursement.create({
+      createdById: req.user.id,
+      groupId: group.id,
+      amountPaise,
+      purse,
+      expireAtDayEnd: req.body.expireAtDayEnd === true,
+      timeOfDay,
+      startDate: firstDate,
+      endDate,
+      nextRunAt
+    });
+
+    res.status(201).json(schedule);
+  } catch (error) {
+    console.error('Schedule create error:', error);
+    res.status(error.status || 500).json({ message: error.message || 'Server error while creating schedule.' });
+  }
+});
+
+// ============================================
+// GET /api/scheduled-disbursements - CALLER'S SCHEDULES
+// ============================================
+router.get('/', async (req, res) => {
+  try {
+    const schedules = await ScheduledDisbursement.findAll({
+      where: { createdById: req.user.id },
+      include: [{ model: Group, attributes: ['id', 'name'] }],
+      order: [['createdAt', 'DESC']]
+    });
+    res.json(schedules);
+  } catch (error) {
+    console.error('Schedule list error:', error);
+    res.status(500).json({ message: 'Server error while fetching schedules.' });
+  }
+});
+
+// ============================================
+// GET /api/scheduled-disbursements/:id/runs - AUDIT TRAIL
+// ============================================
+router.get('/:id/runs', async (req, res) => {
+  try {
+    const schedule = await findOwnSchedule(req, res);
+    if (!schedule) return;
+
+    const runs = await DisbursementRun.findAll({
+      where: { scheduleId: schedule.id },
+      order: [['runDate', 'DESC']]
+    });
+    res.json({ schedule, runs });
+  } catch (error) {
+    console.error('Schedule runs error:', error);
+    res.status(500).json({ message: 'Server error while fetching runs.' });
+  }
+});
+
+// ============================================
+// POST /api/scheduled-disbursements/:id/pause | /resume
+// ============================================
+router.post('/:id/pause', async (req, res) => {
+  try {
+    const schedule = await findOwnSchedule(req, res);
+    if (!schedule) return;
+
+    if (schedule.status !== 'ACTIVE') {
+      return res.status(409).json({ message: 'Only active schedules can be paused.' });
+    }
+    schedule.status = 'PAUSED';
+    await schedule.save();
+    res.json(schedule);
+  } catch (error) {
+    console.error('Schedule pause error:', error);
+    res.status(500).json({ message: 'Server error while pausing schedule.' });
+  }
+});
+
+router.post('/:id/resume', async (req, res) => {
+  try {
+    const schedule = await findOwnSchedule(req, res);
+    if (!schedule) return;
+
+    if (schedule.status !== 'PAUSED') {
+      return res.status(409).json({ message: 'Only paused schedules can be resumed.' });
+    }
+
+    // Days missed while paused are not paid retroactively
+    const today = istDateString();
+    const nextRunAt = computeNextRunAt(schedule.timeOfDay, today > schedule.startDate ? today : schedule.startDate, schedule.endDate);
+    schedule.status = nextRunAt ? 'ACTIVE' : 'COMPLETED';
+    schedule.nextRunAt = nextRunAt;
+    await schedule.save();
+    res.json(schedule);
+  } catch (error) {
+    console.error('Schedule resume error:', error);
+    res.status(500).json({ message: 'Server error while resuming schedule.' });
+  }
+});
+
+// ============================================
+// DELETE /api/scheduled-disbursements/:id - CANCEL
+// Runs are kept for the audit trail
+// ============================================
+router.delete('/:id', async (req, res) => {
+  try {
+    const schedule = await findOwnSchedule(req, res);
+    if (!schedule) return;
+
+    if (['CANCELLED', 'COMPLETED'].includes(schedule.status)) {
+      return res.status(409).json({ message: `Schedule is already ${schedule.status.toLowerCase()}.` });
+    }
+    schedule.status = 'CANCELLED';
+    schedule.nextRunAt = null;
+    await schedule.save();
+    res.json({ message: 'Scheduled disbursement cancelled.' });
+  } catch (error) {
+    console.error('Schedule cancel error:', error);
+    res.status(500).json({ message: 'Server error while cancelling schedule.' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,279 @@
+// routes/settlements.js - VENDOR SETTLEMENTS
+// Finance Core closes a vendor's takings for a period and records the
+// payout; vendors see their own settlement history.
+const express = require('express');
+const router = express.Router();
+const { sequelize } = require('../config/database');
+const User = require('../models/User');
+const VendorSettlement = require('../models/VendorSettlement');
+const authMiddleware = require('../middleware/authMiddleware');
+const { isFinanceCore, isVendor } = require('../middleware/roleMiddleware');
+const { transactionLimiter, apiLimiter } = require('../middleware/rateLimiter');
+const idempotency = require('../middleware/idempotency');
+const { verifySPin } = require('../services/spinService');
+const { emitToUser } = require('../services/notificationService');
+const { computeSettlement, summarize, createSettlement, settlementSheet } = require('../services/settlementService');
+const { formatRupees } = require('../utils/money');
+const { istDateTime, istDayEnd, isDateString } = require('../utils/time');
+
+const MAX_REFERENCE_LENGTH = 100;
+
+const WITH_PEOPLE = [
+  { model: User, as: 'Vendor', attributes: ['name', 'userId', 'vendorCategory'] },
+  { model: User, as: 'CreatedBy', attributes: ['name', 'userId'] },
+  { model: User, as: 'PaidBy', attributes: ['name', 'userId'] }
+];
+
+// Paginated settlements matching `where`, newest first
+async function listSettlements(req, res, where) {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+  const offset = (page - 1) * limit;
+
+  if (req.query.status) {
+    where.status = req.query.status.toUpperCase();
+  }
+
+  const { count, rows } = await VendorSettlement.findAndCountAll({
+    where,
+    include: WITH_PEOPLE,
+    order: [['createdAt', 'DESC']],
+    limit,
+    offset
+  });
+
+  res.json({
+    settlements: rows,
+    pagination: {
+      totalPages: Math.ceil(count / limit),
+      currentPage: page,
+      totalSettlements: count,
+      hasNextPage: page < Math.ceil(count / limit),
+      hasPrevPage: page > 1
+    }
+  });
+}
+
+// Sends the settlement sheet as a CSV download
+async function sendSheet(res, settlement) {
+  const csvContent = await settlementSheet(settlement, settlement.Vendor);
+
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="Shaastra_Settlement_${settlement.reference}.csv"`);
+  res.setHeader('Content-Length', Buffer.byteLength(csvContent, 'utf8'));
+  res.send(csvContent);
+}
+
+// ============================================
+// POST /api/settlements - CLOSE A VENDOR'S PERIOD (Finance Core only)
+// Body: { vendorId, from 'YYYY-MM-DD', to? 'YYYY-MM-DD' (IST, inclusive),
+//         sPin, dryRun? }
+// dryRun only works out the amount owed. Otherwise the vendor's unsettled
+// transactions in the period are locked into the settlement and the amount
+// owed moves from their wallet to the settlement account.
+// ✅ RATE LIMITED: 10 transactions per minute
+// ✅ IDEMPOTENT: optional Idempotency-Key header
+// ============================================
+router.post('/', [authMiddleware, isFinanceCore, transactionLimiter, idempotency], async (req, res) => {
+  try {
+    const { vendorId, from, sPin } = req.body;
+    const to = req.body.to || from;
+    const dryRun = req.body.dryRun === true || req.body.dryRun === 'true';
+
+    if (!isDateString(from) || !isDateString(to) || to < from) {
+      return res.status(400).json({ message: 'from and to must be YYYY-MM-DD with to on or after from.' });
+    }
+
+    // A period that has not ended yet is closed as of now
+    const periodStart = istDateTime(from);
+    const periodEnd = new Date(Math.min(istDayEnd(to).getTime(), Date.now()));
+    if (periodStart >= periodEnd) {
+      return res.status(400).json({ message: 'The period has not started yet.' });
+    }
+
+    const vendor = await User.findOne({ where: { userId: String(vendorId || '').toUpperCase() } });
+    if (!vendor || vendor.role !== 'Vendor') {
+      return res.status(404).json({ message: 'Vendor not found.' });
+    }
+
+    if (dryRun) {
+      const computed = await computeSettlement(vendor.id, periodStart, periodEnd);
+      return res.json({
+        dryRun: true,
+        vendor: { name: vendor.name, userId: vendor.userId },
+        periodStart,
+        periodEnd,
+        ...summarize(computed),
+        currentBalance: vendor.balance
+      });
+    }
+
+    if (!sPin) {
+      return res.status(400).json({ message: 'S-Pin is required to settle with a vendor.' });
+    }
+
+    let admin;
+    try {
+      admin = await verifySPin(req.user.id, sPin, req.app);
+    } catch (pinError) {
+      return res.status(pinError.status || 401).json({ message: pinError.message, ...(pinError.details || {}) });
+    }
+
+    const { settlement, vendor: settled } = await sequelize.transaction((t) => (
+      createSettlement({ admin, vendor, periodStart, periodEnd }, t)
+    ));
+
+    emitToUser(req.app, settled.userId, 'settlement_created', {
+      id: settlement.id,
+      reference: settlement.reference,
+      amount: settlement.amount,
+      periodStart,
+      periodEnd,
+      newBalance: settled.balance
+    });
+
+    res.status(201).json({
+      message: `Settled ₹${formatRupees(settlement.amountPaise)} with ${settled.name}. Record the payout reference once paid.`,
+      settlement: await settlement.reload({ include: WITH_PEOPLE }),
+      newVendorBalance: settled.balance
+    });
+  } catch (error) {
+    console.error('Settlement create error:', error);
+    res.status(error.status || 500).json({ message: error.message || 'Server error while creating the settlement.' });
+  }
+});
+
+// ============================================
+// GET /api/settlements - ALL SETTLEMENTS (Finance Core only)
+// ?vendorId=VE00A001&status=PENDING_PAYOUT
+// ✅ RATE LIMITED: 100 requests per 15 minutes
+// ============================================
+router.get('/', [authMiddleware, isFinanceCore, apiLimiter], async (req, res) => {
+  try {
+    const where = {};
+    if (req.query.vendorId) {
+      const vendor = await User.findOne({ where: { userId: String(req.query.vendorId).toUpperCase() }, attributes: ['id'] });
+      if (!vendor) {
+        return res.status(404).json({ message: 'Vendor not found.' });
+      }
+      where.vendorId = vendor.id;
+    }
+
+    await listSettlements(req, res, where);
+  } catch (error) {
+    console.error('Settlement list error:', error);
+    res.status(500).json({ message: 'Server error while fetching settlements.' });
+  }
+});
+
+// ============================================
+// GET /api/settlements/mine - VENDOR'S OWN SETTLEMENTS
+// ✅ RATE LIMITED: 100 requests per 15 minutes
+// ============================================
+router.get('/mine', [authMiddleware, isVendor, apiLimiter], async (req, res) => {
+  try {
+    await listSettlements(req, res, { vendorId: req.user.id });
+  } catch (error) {
+    console.error('Vendor settlement list error:', error);
+    res.status(500).json({ message: 'Server error while fetching settlements.' });
+  }
+});
+
+// ============================================
+// GET /api/settlements/mine/:id/sheet - VENDOR'S SETTLEMENT SHEET (CSV)
+// ✅ RATE LIMITED: 100 requests per 15 minutes
+// ============================================
+router.get('/mine/:id/sheet', [authMiddleware, isVendor, apiLimiter], async (req, res) => {
+  try {
+    const settlement = await VendorSettlement.findByPk(req.params.id, { include: WITH_PEOPLE });
+    if (!settlement || settlement.vendorId !== req.user.id) {
+      return res.status(404).json({ message: 'Settlement not found.' });
+    }
+    await sendSheet(res, settlement);
+  } catch (error) {
+    console.error('Vendor settlement sheet error:', error);
+    res.status(500).json({ message: 'Server error while exporting the settlement sheet.' });
+  }
+});
+
+// ============================================
+// GET /api/settlements/:id - ONE SETTLEMENT (Finance Core only)
+// ✅ RATE LIMITED: 100 requests per 15 minutes
+// ============================================
+router.get('/:id', [authMiddleware, isFinanceCore, apiLimiter], async (req, res) => {
+  try {
+    const settlement = await VendorSettlement.findByPk(req.params.id, { include: WITH_PEOPLE });
+    if (!settlement) {
+      return res.status(404).json({ message: 'Settlement not found.' });
+    }
+    res.json(settlement);
+  } catch (error) {
+    console.error('Settlement fetch error:', error);
+    res.status(500).json({ message: 'Server error while fetching the settlement.' });
+  }
+});
+
+// ============================================
+// GET /api/settlements/:id/sheet - SETTLEMENT SHEET (CSV, Finance Core only)
+// ✅ RATE LIMITED: 100 requests per 15 minutes
+// ============================================
+router.get('/:id/sheet', [authMiddleware, isFinanceCore, apiLimiter], async (req, res) => {
+  try {
+    const settlement = await VendorSettlement.findByPk(req.params.id, { include: WITH_PEOPLE });
+    if (!settlement) {
+      return res.status(404).json({ message: 'Settlement not found.' });
+    }
+    await sendSheet(res, settlement);
+  } catch (error) {
+    console.error('Settlement sheet error:', error);
+    res.status(500).json({ message: 'Server error while exporting the settlement sheet.' });
+  }
+});
+
+// ============================================
+// POST /api/settlements/:id/payout - RECORD THE PAYOUT (Finance Core only)
+// Body: { payoutReference (bank/UPI reference), note? }
+// ✅ RATE LIMITED: 100 requests per 15 minutes
+// ============================================
+router.post('/:id/payout', [authMiddleware, isFinanceCore, apiLimiter], async (req, res) => {
+  try {
+    const payoutReference = String(req.body.payoutReference || '').trim();
+    const note = req.body.note ? String(req.body.note).trim() : null;
+
+    if (!payoutReference || payoutReference.length > MAX_REFERENCE_LENGTH) {
+      return res.status(400).json({ message: `A payout reference of 1-${MAX_REFERENCE_LENGTH} characters is required.` });
+    }
+    if (note && note.length > 255) {
+      return res.status(400).json({ message: 'Note must be at most 255 characters.' });
+    }
+
+    // Conditional update: a payout is recorded once
+    const [count] = await VendorSettlement.update(
+      { status: 'PAID', payoutReference, payoutNote: note, paidById: req.user.id, paidAt: new Date() },
+      { where: { id: req.params.id, status: 'PENDING_PAYOUT' } }
+    );
+
+    const settlement = await VendorSettlement.findByPk(req.params.id, { include: WITH_PEOPLE });
+    if (!settlement) {
+      return res.status(404).json({ message: 'Settlement not found.' });
+    }
+    if (count === 0) {
+      return res.status(409).json({ message: `The payout was already recorded (${settlement.payoutReference}).` });
+    }
+
+    emitToUser(req.app, settlement.Vendor.userId, 'settlement_paid', {
+      id: settlement.id,
+      reference: settlement.reference,
+      amount: settlement.amount,
+      payoutReference,
+      paidAt: settlement.paidAt
+    });
+
+    res.json({ message: 'Payout recorded.', settlement });
+  } catch (error) {
+    console.error('Settlement payout error:', error);
+    res.status(500).json({ message: 'Server error while recording the payout.' });
+  }
+});
+
+module.exports = router;
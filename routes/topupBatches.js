@@ -0,0 +1,184 @@
+// routes/topupBatches.js - BULK CSV ALLOCATIONS (Finance Core only)
+const express = require('express');
+const router = express.Router();
+const { sequelize } = require('../config/database');
+const User = require('../models/User');
+const TopupBatch = require('../models/TopupBatch');
+const ApprovalRequest = require('../models/ApprovalRequest');
+const authMiddleware = require('../middleware/authMiddleware');
+const { isFinanceCore } = require('../middleware/roleMiddleware');
+const { transactionLimiter, apiLimiter } = require('../middleware/rateLimiter');
+const idempotency = require('../middleware/idempotency');
+const { verifySPin } = require('../services/spinService');
+const { emitToUser } = require('../services/notificationService');
+const { parsePurse } = require('../services/purseService');
+const { parseCreditExpiry } = require('../services/expiryService');
+const { previewBatch, assertCommittable, commitBatch } = require('../services/topupService');
+const { requestApproval } = require('../services/approvalService');
+const { TOPUP_LIMIT_PAISE } = require('../config/approvals');
+const { toRupees, formatRupees } = require('../utils/money');
+
+// Rows in rupees for API responses
+const serialize = (batch) => ({
+  id: batch.id,
+  status: batch.status,
+  purse: batch.purse,
+  creditExpiresAt: batch.creditExpiresAt,
+  description: batch.description,
+  validCount: batch.rows.length,
+  invalidCount: batch.invalidRows.length,
+  total: batch.total,
+  rows: batch.rows.map(({ amountPaise, ...row }) => ({ ...row, amount: toRupees(amountPaise) })),
+  invalidRows: batch.invalidRows,
+  previewExpiresAt: batch.previewExpiresAt,
+  committedAt: batch.committedAt,
+  createdBy: batch.CreatedBy ? batch.CreatedBy.userId : undefined,
+  createdAt: batch.createdAt
+});
+
+const WITH_CREATOR = { include: [{ model: User, as: 'CreatedBy', attributes: ['userId', 'name'] }] };
+
+// ============================================
+// POST /api/topup-batches/preview - VALIDATE AN UPLOAD
+// Body: { csv: 'userId,amount\n...', purse?, expiresAt?, description? }
+// Nothing is credited; the returned batch id is committed separately.
+// ✅ RATE LIMITED: 100 requests per 15 minutes
+// ============================================
+router.post('/preview', [authMiddleware, isFinanceCore, apiLimiter], async (req, res) => {
+  try {
+    const { csv, description } = req.body;
+    if (!csv || typeof csv !== 'string') {
+      return res.status(400).json({ message: 'csv (the file contents, "userId,amount" rows) is required.' });
+    }
+
+    const purse = parsePurse(req.body.purse);
+    const expiresAt = parseCreditExpiry(req.body.expiresAt);
+    const admin = await User.findByPk(req.user.id);
+
+    const batch = await previewBatch(admin, { csvText: csv, purse, expiresAt, description });
+
+    res.status(201).json(serialize(batch));
+  } catch (error) {
+    console.error('Top-up batch preview error:', error);
+    res.status(error.status || 500).json({ message: error.message || 'Server error while previewing the batch.' });
+  }
+});
+
+// ============================================
+// GET /api/topup-batches - RECENT BATCHES
+// ✅ RATE LIMITED: 100 requests per 15 minutes
+// ============================================
+router.get('/', [authMiddleware, isFinanceCore, apiLimiter], async (req, res) => {
+  try {
+    const batches = await TopupBatch.findAll({
+      ...WITH_CREATOR,
+      order: [['createdAt', 'DESC']],
+      limit: 50
+    });
+    res.json(batches.map(batch => {
+      const { rows, invalidRows, ...summary } = serialize(batch);
+      return summary;
+    }));
+  } catch (error) {
+    console.error('Top-up batch list error:', error);
+    res.status(500).json({ message: 'Server error while fetching batches.' });
+  }
+});
+
+// ============================================
+// GET /api/topup-batches/:id - ONE BATCH WITH ITS ROWS
+// ✅ RATE LIMITED: 100 requests per 15 minutes
+// ============================================
+router.get('/:id', [authMiddleware, isFinanceCore, apiLimiter], async (req, res) => {
+  try {
+    const batch = await TopupBatch.findByPk(req.params.id, WITH_CREATOR);
+    if (!batch) {
+      return res.status(404).json({ message: 'Top-up batch not found.' });
+    }
+    res.json(serialize(batch));
+  } catch (error) {
+    console.error('Top-up batch fetch error:', error);
+    res.status(500).json({ message: 'Server error while fetching the batch.' });
+  }
+});
+
+// ============================================
+// POST /api/topup-batches/:id/commit - CREDIT EVERY ROW
+// Body: { sPin }. All rows are credited in one transaction, or none.
+// A total above the approval limit answers 202 with a pending ApprovalRequest.
+// ✅ RATE LIMITED: 10 transactions per minute
+// ✅ IDEMPOTENT: optional Idempotency-Key header
+// ============================================
+router.post('/:id/commit', [authMiddleware, isFinanceCore, transactionLimiter, idempotency], async (req, res) => {
+  try {
+    const { sPin } = req.body;
+    if (!sPin) {
+      return res.status(400).json({ message: 'S-Pin is required to commit a top-up batch.' });
+    }
+
+    let admin;
+    try {
+      admin = await verifySPin(req.user.id, sPin, req.app);
+    } catch (pinError) {
+      return res.status(pinError.status || 401).json({ message: pinError.message, ...(pinError.details || {}) });
+    }
+
+    // Batches above the top-up limit wait for a second Finance Core
+    const pending = await TopupBatch.findByPk(req.params.id);
+    if (!pending) {
+      return res.status(404).json({ message: 'Top-up batch not found.' });
+    }
+    if (pending.totalPaise > TOPUP_LIMIT_PAISE) {
+      assertCommittable(pending);
+
+      const existing = await ApprovalRequest.findOne({
+        where: { action: 'TOPUP_BATCH', status: 'PENDING', payload: { batchId: pending.id } }
+      });
+      if (existing) {
+        return res.status(409).json({ message: 'This batch is already waiting for approval.', approvalRequest: existing });
+      }
+
+      const approvalRequest = await requestApproval({
+        app: req.app,
+        action: 'TOPUP_BATCH',
+        requester: admin,
+        amountPaise: pending.totalPaise,
+        payload: { batchId: pending.id },
+        summary: `Commit top-up batch of ${pending.rows.length} user(s), ₹${formatRupees(pending.totalPaise)} in ${pending.purse}`
+      });
+      // The preview stays committable for as long as the request can be approved
+      await pending.update({ previewExpiresAt: approvalRequest.expiresAt });
+
+      return res.status(202).json({
+        message: `Top-ups above ₹${formatRupees(TOPUP_LIMIT_PAISE)} need approval by another Finance Core.`,
+        approvalRequest
+      });
+    }
+
+    const { batch, credited } = await sequelize.transaction(async (t) => (
+      commitBatch({ batchId: pending.id, admin }, t)
+    ));
+
+    credited.forEach(({ user, transaction }) => {
+      emitToUser(req.app, user.userId, 'transaction_received', {
+        id: transaction.id,
+        amount: transaction.amount,
+        senderName: 'Shaastra Finance',
+        purse: transaction.receiverPurse,
+        createdAt: transaction.createdAt,
+        type: 'credit'
+      });
+    });
+
+    res.json({
+      message: `Credited ₹${formatRupees(batch.totalPaise)} to ${credited.length} user(s).`,
+      batch: serialize(batch),
+      transactionIds: credited.map(({ transaction }) => transaction.id)
+    });
+  } catch (error) {
+    console.error('Top-up batch commit error:', error);
+    res.status(error.status || 500).json({ message: error.message || 'Server error while committing the batch.' });
+  }
+});
+
+module.exports = router;
@@ -2,9 +2,14 @@
 const express = require('express');
 const router = express.Router();
 const User = require('../models/User');
+const CreditLot = require('../models/CreditLot');
 const authMiddleware = require('../middleware/authMiddleware');
-const { isCore } = require('../middleware/roleMiddleware');
+const { isCore, isFinanceCore } = require('../middleware/roleMiddleware');
 const { apiLimiter } = require('../middleware/rateLimiter');
+const { purseBalances } = require('../services/purseService');
+const { findByRoleInDepartment } = require('../services/userService');
+const { clearSPinLock } = require('../services/spinService');
+const { emitToUser } = require('../services/notificationService');
 const { Op } = require('sequelize');
 
 
@@ -15,14 +20,26 @@ const { Op } = require('sequelize');
 router.get('/profile', [authMiddleware, apiLimiter], async (req, res) => {
   try {
     const user = await User.findByPk(req.user.id, {
-      attributes: { exclude: ['password', 'sPin', 'otp', 'otpExpiry'] }
+      attributes: { exclude: ['password', 'sPin'] }
     });
     
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
     }
     
-    res.json(user);
+    // Credits that will expire, soonest first
+    const expiring = await CreditLot.findAll({
+      where: { userId: user.id, status: 'ACTIVE' },
+      attributes: ['purse', 'remainingPaise', 'remaining', 'expiresAt'],
+      order: [['expiresAt', 'ASC']]
+    });
+
+    // `balance` is the total; `purses` splits it by earmark
+    res.json({
+      ...user.toJSON(),
+      purses: await purseBalances(user.id),
+      expiringCredits: expiring.map(lot => ({ purse: lot.purse, amount: lot.remaining, expiresAt: lot.expiresAt }))
+    });
   } catch (error) {
     console.error('Profile fetch error:', error);
     res.status(500).send('Server error');
@@ -65,27 +82,47 @@ router.get('/by-role-in-my-department', [authMiddleware, isCore, apiLimiter], as
       return res.status(400).json({ message: 'Role query parameter is required.' });
     }
 
-    const requestingUser = await User.findByPk(req.user.id, {
-      attributes: ['department']
-    });
-
-    if (!requestingUser || !requestingUser.department) {
-      return res.status(400).json({ message: 'User department not found.' });
-    }
-
-    const users = await User.findAll({
-      where: {
-        role: role,
-        department: requestingUser.department
-      },
-      attributes: ['name', 'userId', 'id']
-    });
+    const users = await findByRoleInDepartment(req.user.id, [role]);
     
     res.json(users);
   } catch (error) {
     console.error("Error fetching users by role in department:", error);
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
     res.status(500).send('Server Error');
   }
 });
 
-module.exports = router;
\ No newline at end of file
+// ============================================
+// POST /api/user/:userId/unlock-spin - UNLOCK A WALLET (Finance Core only)
+// Ends a lock from too many wrong S-Pins, e.g. once the owner is verified
+// in person.
+// ✅ RATE LIMITED: 100 requests per 15 minutes
+// ============================================
+router.post('/:userId/unlock-spin', [authMiddleware, isFinanceCore, apiLimiter], async (req, res) => {
+  try {
+    const user = await User.findOne({ where: { userId: req.params.userId.toUpperCase() } });
+    if (!user) {
+      return res.status(404).json({ message: 'User not found.' });
+    }
+
+    const wasLocked = !!user.sPinLockedUntil && user.sPinLockedUntil > new Date();
+    await clearSPinLock(user);
+
+    if (wasLocked) {
+      emitToUser(req.app, user.userId, 'wallet_unlocked', { by: 'FINANCE' });
+    }
+
+    res.json({
+      message: wasLocked ? `${user.name}'s wallet has been unlocked.` : `${user.name}'s wallet was not locked.`,
+      userId: user.userId,
+      wasLocked
+    });
+  } catch (error) {
+    console.error('S-Pin unlock error:', error);
+    res.status(500).json({ message: 'Server error while unlocking the wallet.' });
+  }
+});
+
+module.exports = router;
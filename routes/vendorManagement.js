@@ -7,6 +7,10 @@ const Transaction = require('../models/Transaction');
 const authMiddleware = require('../middleware/authMiddleware');
 const { isFinanceCore } = require('../middleware/roleMiddleware');
 const { vendorLimiter } = require('../middleware/rateLimiter');
+const { toRupees } = require('../utils/money');
+const { purseOf, purseBalances, vendorCategoryOf } = require('../services/purseService');
+const { describeLineItems, summarizeItemSales } = require('../services/menuService');
+const { VENDOR_CATEGORIES } = require('../config/purses');
 
 // Apply middleware to all routes
 router.use(authMiddleware, isFinanceCore, vendorLimiter);
@@ -94,9 +98,11 @@ router.get('/user/:userId/statement', async (req, res) => {
       order: [['createdAt', 'ASC']]
     });
 
-    let totalReceived = 0;
-    let totalSent = 0;
+    // Sum in integer paise, convert once for the response
+    let totalReceivedPaise = 0;
+    let totalSentPaise = 0;
     const dateSummary = {};
+    const purseSummary = {};
 
     transactions.forEach(tx => {
       const txDate = new Date(tx.createdAt).toLocaleDateString('en-IN', {
@@ -108,45 +114,64 @@ router.get('/user/:userId/statement', async (req, res) => {
       if (!dateSummary[txDate]) {
         dateSummary[txDate] = {
           received: 0,
-          sent: 0,
-          net: 0
+          sent: 0
         };
       }
 
       const isSender = tx.senderUserId === user.userId;
       const isTopUp = tx.senderUserId === tx.receiverUserId;
+      const purse = purseOf(tx, user.id);
+
+      if (!purseSummary[purse]) {
+        purseSummary[purse] = { received: 0, sent: 0 };
+      }
 
       if (isSender && !isTopUp) {
-        totalSent += tx.amount;
-        dateSummary[txDate].sent += tx.amount;
+        totalSentPaise += tx.amountPaise;
+        dateSummary[txDate].sent += tx.amountPaise;
+        purseSummary[purse].sent += tx.amountPaise;
       } else {
-        totalReceived += tx.amount;
-        dateSummary[txDate].received += tx.amount;
+        totalReceivedPaise += tx.amountPaise;
+        dateSummary[txDate].received += tx.amountPaise;
+        purseSummary[purse].received += tx.amountPaise;
       }
-
-      dateSummary[txDate].net = dateSummary[txDate].received - dateSummary[txDate].sent;
     });
 
-    const netAmount = totalReceived - totalSent;
+    const totalReceived = toRupees(totalReceivedPaise);
+    const totalSent = toRupees(totalSentPaise);
+    const netAmount = toRupees(totalReceivedPaise - totalSentPaise);
 
     const dateSummaryArray = Object.entries(dateSummary).map(([date, summary]) => ({
       date,
-      ...summary
+      received: toRupees(summary.received),
+      sent: toRupees(summary.sent),
+      net: toRupees(summary.received - summary.sent)
+    }));
+
+    const purseSummaryArray = Object.entries(purseSummary).map(([purse, summary]) => ({
+      purse,
+      received: toRupees(summary.received),
+      sent: toRupees(summary.sent),
+      net: toRupees(summary.received - summary.sent)
     }));
 
     res.json({
       user: user,
+      // What was sold, from the itemised payments this user received
+      itemSummary: summarizeItemSales(transactions, user.id),
       summary: {
         totalReceived,
         totalSent,
         netAmount,
         currentBalance: user.balance,
+        currentPurses: await purseBalances(user.id),
         periodNetAmount: netAmount,
         transactionCount: transactions.length,
         isFiltered: !!(startDate && endDate)
       },
       dateSummary: dateSummaryArray,
-      transactions: transactions
+      purseSummary: purseSummaryArray,
+      transactions: transactions.map(tx => ({ ...tx.toJSON(), purse: purseOf(tx, user.id) }))
     });
 
   } catch (error) {
@@ -219,7 +244,7 @@ router.get('/user/:userId/transactions/download', async (req, res) => {
     });
 
     // Generate CSV content
-    const csvHeader = 'Date,Time,From/To ID,From/To Name,Credit,Debit\n';
+    const csvHeader = 'Date,Time,Reference,From/To ID,From/To Name,Purse,Credit,Debit,Items\n';
 
     
     const csvRows = transactions.map(tx => {
@@ -264,7 +289,9 @@ router.get('/user/:userId/transactions/download', async (req, res) => {
       // Escape names for CSV safety
       const escapedName = `"${fromToName.replace(/"/g, '""')}"`;
 
-      return `${date},${time},${fromToId},${escapedName},${credit},${debit}`;
+      const items = tx.metadata && tx.metadata.items ? `"${describeLineItems(tx.metadata.items).replace(/"/g, '""')}"` : '';
+
+      return `${date},${time},${tx.reference || ''},${fromToId},${escapedName},${purseOf(tx, user.id)},${credit},${debit},${items}`;
     }).join('\n');
 
 
@@ -290,4 +317,37 @@ router.get('/user/:userId/transactions/download', async (req, res) => {
   }
 });
 
-module.exports = router;
\ No newline at end of file
+/**
+ * PUT /api/vendor-management/vendors/:userId/category
+ * Sets the category that decides which purses a Vendor accepts
+ * ✅ RATE LIMITED: 20 requests per minute
+ */
+router.put('/vendors/:userId/category', async (req, res) => {
+  try {
+    const category = String(req.body.category || '').toUpperCase();
+    if (!VENDOR_CATEGORIES.includes(category)) {
+      return res.status(400).json({ message: `Category must be one of: ${VENDOR_CATEGORIES.join(', ')}.` });
+    }
+
+    const vendor = await User.findOne({ where: { userId: req.params.userId.toUpperCase(), role: 'Vendor' } });
+    if (!vendor) {
+      return res.status(404).json({ message: 'Vendor not found.' });
+    }
+
+    const previousCategory = vendorCategoryOf(vendor);
+    vendor.vendorCategory = category;
+    await vendor.save();
+
+    res.json({
+      message: `${vendor.name} is now a ${category} vendor.`,
+      userId: vendor.userId,
+      previousCategory,
+      vendorCategory: category
+    });
+  } catch (error) {
+    console.error('Error updating vendor category:', error);
+    res.status(500).json({ message: 'Server error while updating vendor category.' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,158 @@
+// routes/vouchers.js - SIGNED OFFLINE PAYMENT VOUCHERS
+const express = require('express');
+const router = express.Router();
+const crypto = require('crypto');
+const { sequelize } = require('../config/database');
+const User = require('../models/User');
+const Voucher = require('../models/Voucher');
+const authMiddleware = require('../middleware/authMiddleware');
+const { isVendor } = require('../middleware/roleMiddleware');
+const { transactionLimiter, apiLimiter } = require('../middleware/rateLimiter');
+const idempotency = require('../middleware/idempotency');
+const ledger = require('../services/ledgerService');
+const { verifySPin } = require('../services/spinService');
+const { publicKeyPem, issueVoucher, settleVoucher } = require('../services/voucherService');
+const { parsePurse } = require('../services/purseService');
+const { toPaise, toRupees } = require('../utils/money');
+
+const DEFAULT_EXPIRY_MINUTES = 120;
+const MAX_EXPIRY_MINUTES = 12 * 60;
+const MAX_BATCH_SIZE = 200;
+
+// ============================================
+// GET /api/vouchers/public-key
+// Vendor devices cache this to verify vouchers with no connectivity
+// ============================================
+router.get('/public-key', [authMiddleware, apiLimiter], (req, res) => {
+  res.json({ algorithm: 'Ed25519', format: 'spki-pem', publicKey: publicKeyPem() });
+});
+
+// ============================================
+// POST /api/vouchers - ISSUE A VOUCHER
+// Holds the amount from the caller's balance until settled or expired
+// ✅ RATE LIMITED: 10 transactions per minute
+// ✅ IDEMPOTENT: optional Idempotency-Key header
+// ============================================
+router.post('/', [authMiddleware, transactionLimiter, idempotency], async (req, res) => {
+  try {
+    const { amount, expiresInMinutes, sPin } = req.body;
+
+    if (!sPin) {
+      return res.status(400).json({ message: 'S-Pin is required to issue a voucher.' });
+    }
+
+    const amountPaise = toPaise(amount);
+    if (!amountPaise) {
+      return res.status(400).json({ message: 'Amount must be a positive number with at most 2 decimals.' });
+    }
+
+    const purse = parsePurse(req.body.purse);
+
+    const minutes = expiresInMinutes === undefined ? DEFAULT_EXPIRY_MINUTES : Number(expiresInMinutes);
+    if (!Number.isFinite(minutes) || minutes <= 0 || minutes > MAX_EXPIRY_MINUTES) {
+      return res.status(400).json({ message: `Expiry must be between 1 and ${MAX_EXPIRY_MINUTES} minutes.` });
+    }
+
+    try {
+      await verifySPin(req.user.id, sPin, req.app);
+    } catch (pinError) {
+      return res.status(pinError.status || 401).json({ message: pinError.message, ...(pinError.details || {}) });
+    }
+
+    const result = await sequelize.transaction(async (t) => {
+      const [owner] = await ledger.lockUsers({ id: req.user.id }, t);
+      const { voucher, token } = await issueVoucher(owner, amountPaise, purse, new Date(Date.now() + minutes * 60 * 1000), t);
+
+      return {
+        message: 'Voucher issued. Show it at the counter before it expires.',
+        voucher: {
+          id: voucher.id,
+          amount: voucher.amount,
+          purse: voucher.purse,
+          expiresAt: voucher.expiresAt,
+          token
+        },
+        newBalance: owner.balance
+      };
+    });
+
+    res.status(201).json(result);
+  } catch (error) {
+    console.error('Voucher issue error:', error);
+    res.status(error.status || 500).json({ message: error.message || 'Server error while issuing voucher.' });
+  }
+});
+
+// ============================================
+// GET /api/vouchers/mine - CALLER'S VOUCHERS
+// ✅ RATE LIMITED: 100 requests per 15 minutes
+// ============================================
+router.get('/mine', [authMiddleware, apiLimiter], async (req, res) => {
+  try {
+    const vouchers = await Voucher.findAll({
+      where: { userId: req.user.id },
+      attributes: ['id', 'amountPaise', 'amount', 'purse', 'status', 'expiresAt', 'acceptedAt', 'createdAt'],
+      include: [{ model: User, as: 'RedeemedBy', attributes: ['name', 'userId'] }],
+      order: [['createdAt', 'DESC']],
+      limit: 50
+    });
+    res.json(vouchers);
+  } catch (error) {
+    console.error('Voucher list error:', error);
+    res.status(500).json({ message: 'Server error while fetching vouchers.' });
+  }
+});
+
+// ============================================
+// POST /api/vouchers/settle - UPLOAD A BATCH (Vendors only)
+// Body: { vouchers: [{ token, acceptedAt }] } where acceptedAt is when the
+// device accepted the voucher offline. Re-uploading a batch is safe.
+// ✅ RATE LIMITED: 10 transactions per minute
+// ============================================
+router.post('/settle', [authMiddleware, isVendor, transactionLimiter], async (req, res) => {
+  try {
+    const { vouchers } = req.body;
+
+    if (!Array.isArray(vouchers) || vouchers.length === 0) {
+      return res.status(400).json({ message: 'At least one voucher is required.' });
+    }
+    if (vouchers.length > MAX_BATCH_SIZE) {
+      return res.status(400).json({ message: `At most ${MAX_BATCH_SIZE} vouchers per batch.` });
+    }
+
+    const vendor = await User.findByPk(req.user.id);
+    const batchId = crypto.randomUUID();
+    const results = [];
+
+    for (const entry of vouchers) {
+      try {
+        results.push(await settleVoucher({
+          token: entry && entry.token,
+          acceptedAt: entry && entry.acceptedAt,
+          vendor,
+          batchId
+        }));
+      } catch (error) {
+        console.error('Voucher settle error:', error);
+        results.push({ voucherId: null, status: 'REJECTED', reason: 'SERVER_ERROR' });
+      }
+    }
+
+    const settled = results.filter(r => r.status === 'SETTLED');
+    const settledPaise = settled.reduce((acc, r) => acc + toPaise(r.amount), 0);
+
+    res.json({
+      batchId,
+      settledCount: settled.length,
+      alreadySettledCount: results.filter(r => r.status === 'ALREADY_SETTLED').length,
+      rejectedCount: results.filter(r => r.status === 'REJECTED').length,
+      totalSettled: toRupees(settledPaise),
+      results
+    });
+  } catch (error) {
+    console.error('Voucher batch error:', error);
+    res.status(500).json({ message: 'Server error while settling vouchers.' });
+  }
+});
+
+module.exports = router;
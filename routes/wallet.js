@@ -1,96 +1,169 @@
 // routes/wallet.js - WITH S-PIN VERIFICATION + RATE LIMITING + PERFORMANCE OPTIMIZATIONS + PAGINATION
 const express = require('express');
 const router = express.Router();
-const bcrypt = require('bcryptjs');
 const { sequelize } = require('../config/database');
 const { Op } = require('sequelize');
 const User = require('../models/User');
 const Transaction = require('../models/Transaction');
+const ExpiryReport = require('../models/ExpiryReport');
 const authMiddleware = require('../middleware/authMiddleware');
 const { isFinanceCore, isCore } = require('../middleware/roleMiddleware');
 const { transactionLimiter, apiLimiter } = require('../middleware/rateLimiter');
+const idempotency = require('../middleware/idempotency');
+const ledger = require('../services/ledgerService');
+const { returnFunds } = require('../services/refundService');
+const { emitToUser } = require('../services/notificationService');
+const { verifySPin } = require('../services/spinService');
+const { parsePurse, receivingPurse, purseOf, purseBalances } = require('../services/purseService');
+const { parseCreditExpiry } = require('../services/expiryService');
+const topupService = require('../services/topupService');
+const {
+  findResetTargets,
+  resetBalances,
+  notifyResetUsers,
+  previewReset,
+  signResetPreview,
+  verifyResetPreview
+} = require('../services/resetService');
+const { requestApproval } = require('../services/approvalService');
+const { budgetDepartmentOf, chargeBudget, notifyBudgetWarning } = require('../services/budgetService');
+const { findGroupFor } = require('../services/groupService');
+const { resolveLineItems, describeLineItems } = require('../services/menuService');
+const { findCounter } = require('../services/outletService');
+const { MAX_RECIPIENTS, resultOf, validateRecipients, groupRecipientRows, sendToRecipients } = require('../services/groupSendService');
+const { TOPUP_LIMIT_PAISE, RESET_LIMIT_PAISE } = require('../config/approvals');
+const httpError = require('../utils/httpError');
+const { toPaise, toRupees, formatRupees } = require('../utils/money');
 
-// ============================================
-// HELPER FUNCTION: Verify S-PIN
-// ============================================
-async function verifySPin(userId, sPin) {
-  const user = await User.findByPk(userId);
-  
-  if (!user) {
-    throw new Error('User not found.');
-  }
-  
-  if (!user.sPin) {
-    throw new Error('S-Pin not set. Please set up your S-Pin first.');
+// Notifies the recipients (and budget watchers) of a group send and builds
+// its response. Shared by send-group and send-to-group.
+async function reportGroupSend(app, { sender, rows, created, budgetWarning }, { purse, expiresAt, bestEffort }) {
+  created.forEach(({ receiver, transaction }) => {
+    emitToUser(app, receiver.userId, 'transaction_received', {
+      id: transaction.id,
+      amount: transaction.amount,
+      senderName: sender.name,
+      purse: transaction.receiverPurse,
+      createdAt: transaction.createdAt,
+      type: 'credit'
+    });
+  });
+  if (budgetWarning) {
+    await notifyBudgetWarning(app, sender, budgetWarning);
   }
-  
-  const isPinValid = await bcrypt.compare(sPin, user.sPin);
-  
-  if (!isPinValid) {
-    throw new Error('Invalid S-Pin. Transaction cancelled.');
+
+  const results = rows.map(resultOf);
+  const count = (status) => results.filter(r => r.status === status).length;
+  const totalPaiseSent = created.reduce((acc, { transaction }) => acc + transaction.amountPaise, 0);
+
+  let message = 'Group transaction successful!';
+  if (created.length === 0) {
+    message = 'No recipient could be paid.';
+  } else if (created.length < rows.length) {
+    message = `Sent to ${created.length} of ${rows.length} recipients.`;
   }
-  
-  return user;
+
+  return {
+    message,
+    mode: bestEffort ? 'BEST_EFFORT' : 'ALL_OR_NOTHING',
+    totalSent: toRupees(totalPaiseSent),
+    recipientCount: created.length,
+    purse,
+    expiresAt,
+    newBalance: sender.balance,
+    transactions: created.map(({ receiver, transaction }) => ({
+      to: receiver.name,
+      amount: transaction.amount,
+      purse: transaction.receiverPurse
+    })),
+    summary: { succeeded: count('SUCCEEDED'), failed: count('FAILED'), skipped: count('SKIPPED') },
+    results,
+    budgetWarning
+  };
 }
 
 // ============================================
 // POST /api/wallet/send - SEND MONEY
+// Body: { receiverId, amount, sPin, purse?, items?: [{ itemId, quantity }] }
+// items (payments to vendors only) must add up to the amount
 // ✅ RATE LIMITED: 10 transactions per minute
+// ✅ IDEMPOTENT: optional Idempotency-Key header
 // ============================================
-router.post('/send', [authMiddleware, transactionLimiter], async (req, res) => {
+router.post('/send', [authMiddleware, transactionLimiter, idempotency], async (req, res) => {
   try {
-    const { receiverId, amount, sPin } = req.body;
+    const { receiverId, amount, sPin, items } = req.body;
     
     // Validate S-PIN
     if (!sPin) {
       return res.status(400).json({ message: 'S-Pin is required for transactions.' });
     }
     
-    const numericAmount = Number(amount);
+    const amountPaise = toPaise(amount);
+    if (!amountPaise) {
+      return res.status(400).json({ message: 'Amount must be a positive number with at most 2 decimals.' });
+    }
+
+    // Purse to pay from (GENERAL unless the client picks one)
+    const purse = parsePurse(req.body.purse);
     
     // Verify S-PIN before proceeding
     try {
-      await verifySPin(req.user.id, sPin);
+      await verifySPin(req.user.id, sPin, req.app);
     } catch (pinError) {
-      return res.status(401).json({ message: pinError.message });
+      return res.status(pinError.status || 401).json({ message: pinError.message, ...(pinError.details || {}) });
     }
     
     // Proceed with transaction
     const result = await sequelize.transaction(async (t) => {
-      const sender = await User.findByPk(req.user.id, { transaction: t });
+      // Lock both wallets (in id order) before checking the balance, so a
+      // parallel send from the same wallet waits instead of double-spending
+      const receiverUserId = String(receiverId || '').toUpperCase();
+
+      // Paying a cashier pays their vendor, tagged with the counter
+      const counter = await findCounter(receiverUserId, t);
+      const wallets = await ledger.lockUsers({
+        [Op.or]: [{ id: req.user.id }, counter ? { id: counter.merchantId } : { userId: receiverUserId }]
+      }, t);
+      const sender = wallets.find(u => u.id === req.user.id);
+      const receiver = counter
+        ? wallets.find(u => u.id === counter.merchantId)
+        : wallets.find(u => u.userId === receiverUserId);
       
-      if (!sender || sender.balance < numericAmount) {
-        throw new Error('Insufficient balance or user not found.');
+      if (!sender || sender.balancePaise < amountPaise) {
+        throw httpError(400, 'Insufficient balance or user not found.');
       }
-
-      const receiver = await User.findOne({ 
-        where: { userId: receiverId.toUpperCase() }, 
-        transaction: t 
-      });
       
       if (!receiver) { 
-        throw new Error('Receiver not found.'); 
+        throw httpError(404, 'Receiver not found.'); 
       }
       
       if (sender.id === receiver.id) { 
-        throw new Error('Cannot send money to yourself.'); 
+        throw httpError(400, 'Cannot send money to yourself.'); 
       }
 
-      sender.balance -= numericAmount;
-      receiver.balance += numericAmount;
+      // Optional line items from the vendor's menu; they must add up to the amount
+      const lineItems = items === undefined ? null : (await resolveLineItems(receiver, items, amountPaise, t)).lines;
 
-      await sender.save({ transaction: t });
-      await receiver.save({ transaction: t });
+      // Core/Head disbursements count against their department's budget
+      const budgetDepartment = budgetDepartmentOf(sender, receiver);
+      const budgetWarning = budgetDepartment ? await chargeBudget(budgetDepartment, amountPaise, t) : null;
 
-      const newTransaction = await Transaction.create({
-        senderId: sender.id, 
-        receiverId: receiver.id,
-        senderName: sender.name, 
-        receiverName: receiver.name,
-        senderUserId: sender.userId, 
-        receiverUserId: receiver.userId,
-        amount: numericAmount
-      }, { transaction: t });
+      const metadata = {
+        ...(budgetDepartment ? { budgetDepartment } : {}),
+        ...(lineItems ? { items: lineItems } : {}),
+        // Receipts show the outlet's name at the time of payment
+        ...(counter ? { outletName: counter.outlet.name } : {})
+      };
+
+      const newTransaction = await ledger.post({
+        from: sender,
+        to: receiver,
+        amountPaise,
+        fromPurse: purse,
+        toPurse: receivingPurse(sender, receiver, purse),
+        record: counter ? counter.record : {},
+        metadata: Object.keys(metadata).length > 0 ? metadata : null
+      }, t);
 
       // Real-time notification
       const io = req.app.get('io');
@@ -100,25 +173,44 @@ router.post('/send', [authMiddleware, transactionLimiter], async (req, res) => {
       if (receiverSocketId) {
         io.to(receiverSocketId).emit("transaction_received", {
            id: newTransaction.id,
-           amount: numericAmount,
+           amount: toRupees(amountPaise),
            senderName: sender.name,
+           purse: newTransaction.receiverPurse,
            createdAt: new Date(),
            type: 'credit'
         });
       }
 
+      // The counter screen sees the payment too
+      const cashierSocketId = counter && onlineUsers.get(counter.cashier.userId);
+      if (cashierSocketId) {
+        io.to(cashierSocketId).emit("counter_payment_received", {
+           id: newTransaction.id,
+           amount: toRupees(amountPaise),
+           senderName: sender.name,
+           outletName: counter.outlet.name,
+           createdAt: new Date()
+        });
+      }
+
       return { 
         message: 'Transaction successful!',
         transaction: newTransaction,
-        newBalance: sender.balance
+        newBalance: sender.balance,
+        balances: await purseBalances(sender.id, t),
+        budgetWarning
       };
     });
+
+    if (result.budgetWarning) {
+      await notifyBudgetWarning(req.app, await User.findByPk(req.user.id), result.budgetWarning);
+    }
     
     res.json(result);
     
   } catch (error) {
     console.error('Transaction error:', error);
-    res.status(500).json({ message: error.message || 'Server error during transaction.' });
+    res.status(error.status || 500).json({ message: error.message || 'Server error during transaction.' });
   }
 });
 
@@ -143,6 +235,7 @@ router.get('/history', [authMiddleware, apiLimiter], async (req, res) => {
     const startDate = req.query.startDate;
     const endDate = req.query.endDate;
     const txType = req.query.type; // 'sent', 'received', 'topup'
+    const purse = req.query.purse ? parsePurse(req.query.purse) : null;
 
     // Build where clause
     let whereClause = {
@@ -162,7 +255,8 @@ router.get('/history', [authMiddleware, apiLimiter], async (req, res) => {
             { senderName: { [Op.iLike]: `%${searchQuery}%` } },
             { receiverName: { [Op.iLike]: `%${searchQuery}%` } },
             { senderUserId: { [Op.iLike]: `%${searchQuery}%` } },
-            { receiverUserId: { [Op.iLike]: `%${searchQuery}%` } }
+            { receiverUserId: { [Op.iLike]: `%${searchQuery}%` } },
+            { reference: { [Op.iLike]: `%${searchQuery}%` } }
           ]
         }
       ];
@@ -205,6 +299,17 @@ router.get('/history', [authMiddleware, apiLimiter], async (req, res) => {
       }
     }
 
+    // Only movements of the caller's side in one purse
+    if (purse) {
+      if (!whereClause[Op.and]) whereClause[Op.and] = [];
+      whereClause[Op.and].push({
+        [Op.or]: [
+          { senderId: req.user.id, senderPurse: purse },
+          { receiverId: req.user.id, receiverPurse: purse }
+        ]
+      });
+    }
+
     // ============================================
     // ✅ NEW: Fetch paginated results
     // ============================================
@@ -216,7 +321,7 @@ router.get('/history', [authMiddleware, apiLimiter], async (req, res) => {
     });
 
     res.json({
-      transactions: rows,
+      transactions: rows.map(tx => ({ ...tx.toJSON(), purse: purseOf(tx, req.user.id) })),
       pagination: {
         totalPages: Math.ceil(count / limit),
         currentPage: page,
@@ -228,192 +333,403 @@ router.get('/history', [authMiddleware, apiLimiter], async (req, res) => {
 
   } catch (error) {
     console.error('History fetch error:', error);
-    res.status(500).json({ message: 'Server error fetching history.' });
+    res.status(error.status || 500).json({ message: error.message || 'Server error fetching history.' });
   }
 });
 
 // ============================================
 // POST /api/wallet/topup - TOP UP WALLET
+// Body: { amount, sPin, purse?, expiresAt?, receiverId? }. Without
+// receiverId the caller's own wallet is credited; with it, that user's
+// (newBalance / balances in the response are the credited wallet's).
+// Amounts above the approval limit answer 202 with a pending ApprovalRequest.
+// Bulk allocations go through /api/topup-batches.
 // ✅ RATE LIMITED: 10 transactions per minute
+// ✅ IDEMPOTENT: optional Idempotency-Key header
 // ============================================
-router.post('/topup', [authMiddleware, isFinanceCore, transactionLimiter], async (req, res) => {
+router.post('/topup', [authMiddleware, isFinanceCore, transactionLimiter, idempotency], async (req, res) => {
     try {
         const { amount, sPin } = req.body;
+        const receiverUserId = req.body.receiverId ? String(req.body.receiverId).trim().toUpperCase() : null;
         
         // Validate S-PIN
         if (!sPin) {
           return res.status(400).json({ message: 'S-Pin is required for top-up.' });
         }
         
-        const numericAmount = Number(amount);
+        const amountPaise = toPaise(amount);
+        if (!amountPaise) {
+          return res.status(400).json({ message: 'Amount must be a positive number with at most 2 decimals.' });
+        }
+
+        // Purse the top-up funds, and when (if ever) it expires
+        const purse = parsePurse(req.body.purse);
+        const expiresAt = parseCreditExpiry(req.body.expiresAt);
         
         // Verify S-PIN before proceeding
+        let admin;
         try {
-          await verifySPin(req.user.id, sPin);
+          admin = await verifySPin(req.user.id, sPin, req.app);
         } catch (pinError) {
-          return res.status(401).json({ message: pinError.message });
+          return res.status(pinError.status || 401).json({ message: pinError.message, ...(pinError.details || {}) });
+        }
+
+        // Large top-ups wait for a second Finance Core (config/approvals.js)
+        if (amountPaise > TOPUP_LIMIT_PAISE) {
+            const receiver = receiverUserId ? await User.findOne({ where: { userId: receiverUserId } }) : admin;
+            if (!receiver) {
+                return res.status(404).json({ message: 'Receiver not found.' });
+            }
+            // Refuse now what the approval could only fail on
+            receivingPurse(admin, receiver, purse);
+
+            const approvalRequest = await requestApproval({
+                app: req.app,
+                action: 'TOPUP',
+                requester: admin,
+                amountPaise,
+                payload: { receiverId: receiver.userId, amountPaise, purse, expiresAt },
+                summary: `Top up ₹${formatRupees(amountPaise)} to ${receiver.name} (${receiver.userId}), ${purse} purse`
+            });
+
+            return res.status(202).json({
+                message: `Top-ups above ₹${formatRupees(TOPUP_LIMIT_PAISE)} need approval by another Finance Core.`,
+                approvalRequest
+            });
         }
         
         // Proceed with top-up
-        const result = await sequelize.transaction(async (t) => {
-            const user = await User.findByPk(req.user.id, { transaction: t });
-            
-            user.balance += numericAmount;
-            await user.save({ transaction: t });
-
-            // Create transaction record for top-up
-            await Transaction.create({
-                senderId: user.id,
-                receiverId: user.id,
+        const { transaction, user } = await sequelize.transaction(async (t) => {
+            const where = receiverUserId ? { userId: receiverUserId } : { id: req.user.id };
+            const [user] = await ledger.lockUsers(where, t);
+            if (!user) {
+                throw httpError(404, 'Receiver not found.');
+            }
+
+            // Money enters circulation from the issuance account
+            const transaction = await topupService.postTopup({
+                admin,
+                user,
+                amountPaise,
+                purse,
+                expiresAt
+            }, t);
+
+            return { transaction, user };
+        });
+
+        const self = user.id === req.user.id;
+        if (!self) {
+            emitToUser(req.app, user.userId, 'transaction_received', {
+                id: transaction.id,
+                amount: toRupees(amountPaise),
                 senderName: 'Shaastra Finance',
-                receiverName: user.name,
-                senderUserId: 'FINANCE_TOPUP',
-                receiverUserId: user.userId,
-                amount: numericAmount
-            }, { transaction: t });
-
-            return { 
-                message: `Successfully topped up ₹${numericAmount.toFixed(2)}.`, 
-                newBalance: user.balance 
-            };
+                purse: transaction.receiverPurse,
+                createdAt: transaction.createdAt,
+                type: 'credit'
+            });
+        }
+
+        res.json({
+            message: self
+                ? `Successfully topped up ₹${formatRupees(amountPaise)} to your ${transaction.receiverPurse} purse.`
+                : `Successfully topped up ₹${formatRupees(amountPaise)} to ${user.name}'s ${transaction.receiverPurse} purse.`,
+            transaction,
+            receiver: { userId: user.userId, name: user.name },
+            newBalance: user.balance,
+            balances: await purseBalances(user.id)
         });
         
-        res.json(result);
-        
     } catch (error) {
         console.error("Topup Error:", error);
-        res.status(500).json({ message: error.message || 'Server error during top-up.' });
+        res.status(error.status || 500).json({ message: error.message || 'Server error during top-up.' });
     }
 });
 
 // ============================================
 // POST /api/wallet/send-group - GROUP SEND
+// Body: { recipients: [{ receiverId, amount }], sPin, purse?, expiresAt?, bestEffort? }
+// Every recipient is reported as SUCCEEDED, FAILED or SKIPPED with a reason
+// code. By default one bad recipient cancels the whole batch (400/403 with
+// the per-recipient `results`); with `bestEffort: true` the valid ones are
+// still paid.
 // ✅ RATE LIMITED: 10 transactions per minute
 // ✅ PERFORMANCE OPTIMIZATION: Fixed N+1 query problem
+// ✅ IDEMPOTENT: optional Idempotency-Key header
 // ============================================
-router.post('/send-group', [authMiddleware, isCore, transactionLimiter], async (req, res) => {
+router.post('/send-group', [authMiddleware, isCore, transactionLimiter, idempotency], async (req, res) => {
   try {
     const { recipients, sPin } = req.body;
+    const bestEffort = req.body.bestEffort === true || req.body.bestEffort === 'true';
     
     // Validate S-PIN
     if (!sPin) {
       return res.status(400).json({ message: 'S-Pin is required for group transactions.' });
     }
+
+    if (!Array.isArray(recipients) || recipients.length === 0) {
+      return res.status(400).json({ message: 'At least one recipient is required.' });
+    }
+    if (recipients.length > MAX_RECIPIENTS) {
+      return res.status(400).json({ message: `A group send can have at most ${MAX_RECIPIENTS} recipients.` });
+    }
+
+    // One purse (and optional expiry) for the whole allocation
+    const purse = parsePurse(req.body.purse);
+    const expiresAt = parseCreditExpiry(req.body.expiresAt);
     
     // Verify S-PIN before proceeding
     try {
-      await verifySPin(req.user.id, sPin);
+      await verifySPin(req.user.id, sPin, req.app);
     } catch (pinError) {
-      return res.status(401).json({ message: pinError.message });
+      return res.status(pinError.status || 401).json({ message: pinError.message, ...(pinError.details || {}) });
     }
     
-    // Proceed with group transaction
-    const result = await sequelize.transaction(async (t) => {
-      const sender = await User.findByPk(req.user.id, { transaction: t });
-      const totalAmountToSend = recipients.reduce((acc, r) => acc + r.amount, 0);
+    const result = await sendToRecipients({
+      senderId: req.user.id,
+      rows: validateRecipients(recipients),
+      purse,
+      expiresAt,
+      bestEffort
+    });
+
+    res.status(result.created.length > 0 ? 200 : 400).json(
+      await reportGroupSend(req.app, result, { purse, expiresAt, bestEffort })
+    );
+    
+  } catch (error) {
+      console.error('Group transaction error:', error);
+      res.status(error.status || 500).json({
+        message: error.message || 'Server error during group transaction.',
+        ...(error.details ? { results: error.details } : {})
+      });
+  }
+});
 
-      if (!sender || sender.balance < totalAmountToSend) {
-        throw new Error('Insufficient balance for group transaction.');
+// ============================================
+// POST /api/wallet/send-to-group - PAY A SAVED GROUP
+// Body: { groupId, sPin, amount | amountsByRole: { Volunteer: 50, ... },
+//         purse?, expiresAt?, bestEffort? }
+// Pays every current member of a Group the caller owns or may disburse to
+// (the caller excluded). Same results and modes as send-group; each
+// transaction records the group's ID and name.
+// ✅ RATE LIMITED: 10 transactions per minute
+// ✅ IDEMPOTENT: optional Idempotency-Key header
+// ============================================
+router.post('/send-to-group', [authMiddleware, isCore, transactionLimiter, idempotency], async (req, res) => {
+  try {
+    const { groupId, sPin, amount, amountsByRole } = req.body;
+    const bestEffort = req.body.bestEffort === true || req.body.bestEffort === 'true';
+
+    if (!sPin) {
+      return res.status(400).json({ message: 'S-Pin is required for group transactions.' });
+    }
+    if (!groupId) {
+      return res.status(400).json({ message: 'groupId is required.' });
+    }
+    if (!/^\d+$/.test(String(groupId))) {
+      return res.status(400).json({ message: 'groupId must be a group ID number.' });
+    }
+    if ((amount === undefined) === (amountsByRole === undefined)) {
+      return res.status(400).json({ message: 'Provide either amount or amountsByRole.' });
+    }
+
+    let amountPaise = null;
+    let rolePaise = null;
+    if (amountsByRole === undefined) {
+      amountPaise = toPaise(amount);
+      if (!amountPaise) {
+        return res.status(400).json({ message: 'Amount must be a positive number with at most 2 decimals.' });
       }
+    } else {
+      const roles = User.rawAttributes.role.values;
+      const entries = amountsByRole && typeof amountsByRole === 'object' ? Object.entries(amountsByRole) : [];
+      if (entries.length === 0) {
+        return res.status(400).json({ message: 'amountsByRole must map at least one role to an amount.' });
+      }
+      rolePaise = {};
+      for (const [role, roleAmount] of entries) {
+        if (!roles.includes(role)) {
+          return res.status(400).json({ message: `Unknown role "${role}". Roles are: ${roles.join(', ')}.` });
+        }
+        rolePaise[role] = toPaise(roleAmount);
+        if (!rolePaise[role]) {
+          return res.status(400).json({ message: `Amount for ${role} must be a positive number with at most 2 decimals.` });
+        }
+      }
+    }
 
-      // ============================================
-      // ✅ PERFORMANCE OPTIMIZATION: Batch fetch all receivers in one query
-      // OLD: Was fetching receivers one by one in a loop (N+1 problem)
-      // NEW: Fetch all receivers at once with a single query
-      // ============================================
-      const receiverIds = recipients.map(r => r.receiverId.toUpperCase());
-      const receivers = await User.findAll({ 
-        where: { userId: { [Op.in]: receiverIds } },
-        transaction: t 
-      });
+    const purse = parsePurse(req.body.purse);
+    const expiresAt = parseCreditExpiry(req.body.expiresAt);
+
+    try {
+      await verifySPin(req.user.id, sPin, req.app);
+    } catch (pinError) {
+      return res.status(pinError.status || 401).json({ message: pinError.message, ...(pinError.details || {}) });
+    }
 
-      // Create a map for quick lookup
-      const receiverMap = new Map();
-      receivers.forEach(receiver => {
-        receiverMap.set(receiver.userId, receiver);
+    // The owner, or a Core the group is shared with for disbursing
+    const { group } = await findGroupFor(groupId, req.user.id, 'DISBURSE', {
+      include: [{ model: User, attributes: ['id', 'userId', 'name', 'role'] }]
+    });
+
+    const rows = groupRecipientRows(group, req.user.id, { amountPaise, amountsByRole: rolePaise });
+    if (!rows.some(row => !row.status)) {
+      return res.status(400).json({
+        message: rows.length === 0
+          ? `Group "${group.name}" has no members to pay.`
+          : `No member of "${group.name}" has a role with an amount set.`,
+        results: rows.map(resultOf)
       });
+    }
 
-      // Validate all receivers exist
-      const missingReceivers = receiverIds.filter(id => !receiverMap.has(id));
-      if (missingReceivers.length > 0) {
-        throw new Error(`Receiver(s) not found: ${missingReceivers.join(', ')}`);
-      }
+    const result = await sendToRecipients({
+      senderId: req.user.id,
+      rows,
+      purse,
+      expiresAt,
+      bestEffort,
+      metadata: { groupId: group.id, groupName: group.name }
+    });
 
-      const io = req.app.get('io');
-      const onlineUsers = req.app.get('onlineUsers');
-      const successfulTransactions = [];
-      const transactionsToCreate = [];
-
-      // ============================================
-      // ✅ PERFORMANCE OPTIMIZATION: Batch operations
-      // Process all recipients and prepare bulk operations
-      // ============================================
-      for (const r of recipients) {
-        const receiver = receiverMap.get(r.receiverId.toUpperCase());
-
-        sender.balance -= r.amount;
-        receiver.balance += r.amount;
-
-        // Save receiver balance
-        await receiver.save({ transaction: t });
-
-        // Prepare transaction data for bulk insert
-        transactionsToCreate.push({
-          senderId: sender.id, 
-          receiverId: receiver.id,
-          senderName: sender.name, 
-          receiverName: receiver.name,
-          senderUserId: sender.userId, 
-          receiverUserId: receiver.userId,
-          amount: r.amount
-        });
+    res.status(result.created.length > 0 ? 200 : 400).json({
+      group: { id: group.id, name: group.name },
+      ...(await reportGroupSend(req.app, result, { purse, expiresAt, bestEffort }))
+    });
 
-        successfulTransactions.push({
-          to: receiver.name,
-          amount: r.amount
-        });
+  } catch (error) {
+    console.error('Group disbursement error:', error);
+    res.status(error.status || 500).json({
+      message: error.message || 'Server error during group disbursement.',
+      ...(error.details ? { results: error.details } : {})
+    });
+  }
+});
+
+// ============================================
+// POST /api/wallet/refund - VENDOR REFUND
+// ✅ RATE LIMITED: 10 transactions per minute
+// ✅ IDEMPOTENT: optional Idempotency-Key header
+// Refunds all (no amount) or part of a payment the vendor received
+// ============================================
+router.post('/refund', [authMiddleware, transactionLimiter, idempotency], async (req, res) => {
+  try {
+    const { transactionId, amount, reason, sPin } = req.body;
+
+    if (!sPin) {
+      return res.status(400).json({ message: 'S-Pin is required for refunds.' });
+    }
+
+    if (!transactionId) {
+      return res.status(400).json({ message: 'transactionId of the payment to refund is required.' });
+    }
+
+    let amountPaise = null;
+    if (amount !== undefined && amount !== null && amount !== '') {
+      amountPaise = toPaise(amount);
+      if (!amountPaise) {
+        return res.status(400).json({ message: 'Amount must be a positive number with at most 2 decimals.' });
       }
+    }
 
-      // ============================================
-      // ✅ PERFORMANCE OPTIMIZATION: Bulk create transactions
-      // OLD: Created transactions one by one in the loop
-      // NEW: Create all transactions at once
-      // ============================================
-      const createdTransactions = await Transaction.bulkCreate(transactionsToCreate, { transaction: t });
-
-      // Send real-time notifications
-      createdTransactions.forEach((newTxn, index) => {
-        const r = recipients[index];
-        const receiver = receiverMap.get(r.receiverId.toUpperCase());
-        
-        const receiverSocketId = onlineUsers.get(receiver.userId);
-        if (receiverSocketId) {
-            io.to(receiverSocketId).emit("transaction_received", {
-               id: newTxn.id,
-               amount: r.amount,
-               senderName: sender.name,
-               createdAt: new Date(),
-               type: 'credit'
-            });
-        }
-      });
+    let vendor;
+    try {
+      vendor = await verifySPin(req.user.id, sPin, req.app);
+    } catch (pinError) {
+      return res.status(pinError.status || 401).json({ message: pinError.message, ...(pinError.details || {}) });
+    }
 
-      await sender.save({ transaction: t });
-      
-      return { 
-        message: 'Group transaction successful!',
-        totalSent: totalAmountToSend,
-        recipientCount: recipients.length,
-        newBalance: sender.balance,
-        transactions: successfulTransactions
-      };
+    if (vendor.role !== 'Vendor') {
+      return res.status(403).json({ message: 'Only vendors can issue refunds.' });
+    }
+
+    const { returned, remainingPaise, payer, payee } = await sequelize.transaction(async (t) => {
+      return returnFunds({
+        transactionId,
+        amountPaise,
+        type: 'REFUND',
+        actor: vendor,
+        reason,
+        receiverId: vendor.id
+      }, t);
     });
-    
-    res.json(result);
-    
+
+    emitToUser(req.app, payee.userId, 'transaction_received', {
+      id: returned.id,
+      amount: returned.amount,
+      senderName: payer.name,
+      createdAt: returned.createdAt,
+      type: 'credit',
+      transactionType: 'REFUND',
+      originalTransactionId: Number(transactionId)
+    });
+
+    res.json({
+      message: `Refunded ₹${formatRupees(returned.amountPaise)} to ${payee.name}.`,
+      transaction: returned,
+      remainingRefundable: toRupees(remainingPaise),
+      newBalance: payer.balance
+    });
+
   } catch (error) {
-      console.error('Group transaction error:', error);
-      res.status(500).json({ message: error.message || 'Server error during group transaction.' });
+    console.error('Refund error:', error);
+    res.status(error.status || 500).json({ message: error.message || 'Server error during refund.' });
+  }
+});
+
+// ============================================
+// POST /api/wallet/admin-reverse - REVERSE A TRANSFER
+// Finance Core only. Returns everything not yet refunded to the sender.
+// ✅ RATE LIMITED: 10 transactions per minute
+// ✅ IDEMPOTENT: optional Idempotency-Key header
+// ============================================
+router.post('/admin-reverse', [authMiddleware, isFinanceCore, transactionLimiter, idempotency], async (req, res) => {
+  try {
+    const { transactionId, reason, sPin } = req.body;
+
+    if (!sPin) {
+      return res.status(400).json({ message: 'S-Pin is required for reversals.' });
+    }
+
+    if (!transactionId || !reason) {
+      return res.status(400).json({ message: 'transactionId and reason are required.' });
+    }
+
+    let admin;
+    try {
+      admin = await verifySPin(req.user.id, sPin, req.app);
+    } catch (pinError) {
+      return res.status(pinError.status || 401).json({ message: pinError.message, ...(pinError.details || {}) });
+    }
+
+    const { returned, payer, payee } = await sequelize.transaction(async (t) => {
+      return returnFunds({
+        transactionId,
+        type: 'REVERSAL',
+        actor: admin,
+        reason
+      }, t);
+    });
+
+    const notice = {
+      id: returned.id,
+      originalTransactionId: Number(transactionId),
+      amount: returned.amount,
+      reason,
+      reversedBy: 'Finance Team',
+      timestamp: returned.createdAt
+    };
+    emitToUser(req.app, payer.userId, 'transaction_reversed', { ...notice, type: 'debit' });
+    emitToUser(req.app, payee.userId, 'transaction_reversed', { ...notice, type: 'credit' });
+
+    res.json({
+      message: `Reversed ₹${formatRupees(returned.amountPaise)} from ${payer.name} back to ${payee.name}.`,
+      transaction: returned
+    });
+
+  } catch (error) {
+    console.error('Reversal error:', error);
+    res.status(error.status || 500).json({ message: error.message || 'Server error during reversal.' });
   }
 });
 
@@ -435,6 +751,7 @@ router.get('/history/download', [authMiddleware, apiLimiter], async (req, res) =
     const startDate = req.query.startDate;
     const endDate = req.query.endDate;
     const txType = req.query.type;
+    const purse = req.query.purse ? parsePurse(req.query.purse) : null;
 
     // Build where clause (same as pagination endpoint)
     let whereClause = {
@@ -451,7 +768,8 @@ router.get('/history/download', [authMiddleware, apiLimiter], async (req, res) =
             { senderName: { [Op.iLike]: `%${searchQuery}%` } },
             { receiverName: { [Op.iLike]: `%${searchQuery}%` } },
             { senderUserId: { [Op.iLike]: `%${searchQuery}%` } },
-            { receiverUserId: { [Op.iLike]: `%${searchQuery}%` } }
+            { receiverUserId: { [Op.iLike]: `%${searchQuery}%` } },
+            { reference: { [Op.iLike]: `%${searchQuery}%` } }
           ]
         }
       ];
@@ -485,6 +803,16 @@ router.get('/history/download', [authMiddleware, apiLimiter], async (req, res) =
       }
     }
 
+    if (purse) {
+      if (!whereClause[Op.and]) whereClause[Op.and] = [];
+      whereClause[Op.and].push({
+        [Op.or]: [
+          { senderId: req.user.id, senderPurse: purse },
+          { receiverId: req.user.id, receiverPurse: purse }
+        ]
+      });
+    }
+
     // Fetch all matching transactions (no pagination for download)
     const transactions = await Transaction.findAll({
       where: whereClause,
@@ -492,7 +820,7 @@ router.get('/history/download', [authMiddleware, apiLimiter], async (req, res) =
     });
 
     // Generate CSV content
-    const csvHeader = 'Date,Time,From/To ID,From/To Name,Credit,Debit\n';
+    const csvHeader = 'Date,Time,Reference,From/To ID,From/To Name,Purse,Credit,Debit,Items\n';
 
     
     const csvRows = transactions.map(tx => {
@@ -537,7 +865,9 @@ router.get('/history/download', [authMiddleware, apiLimiter], async (req, res) =
       // Escape names for CSV safety
       const escapedName = `"${fromToName.replace(/"/g, '""')}"`;
 
-      return `${date},${time},${fromToId},${escapedName},${credit},${debit}`;
+      const items = tx.metadata && tx.metadata.items ? `"${describeLineItems(tx.metadata.items).replace(/"/g, '""')}"` : '';
+
+      return `${date},${time},${tx.reference || ''},${fromToId},${escapedName},${purseOf(tx, user.id)},${credit},${debit},${items}`;
     }).join('\n');
 
 
@@ -556,15 +886,32 @@ router.get('/history/download', [authMiddleware, apiLimiter], async (req, res) =
 
   } catch (error) {
     console.error('Transaction download error:', error);
-    res.status(500).json({ message: 'Server error downloading transactions.' });
+    res.status(error.status || 500).json({ message: error.message || 'Server error downloading transactions.' });
   }
 });
 // ✅ NEW: Reset user balances to zero (Finance Core only)
 // Supports three modes: all, vendors, csv
+// Optional `purse` resets only that purse; otherwise every purse is cleared
+// targetType 'all', or more than the approval limit, answers 202 with a
+// pending ApprovalRequest instead
+// `dryRun: true` changes nothing (no S-Pin needed): it lists every target
+// wallet and what would be cleared, plus a `previewToken`. Sending that token
+// (instead of targetType/userIds/purse) resets exactly the previewed wallets.
+// ✅ IDEMPOTENT: optional Idempotency-Key header
 // ============================================
-router.post('/admin-reset-balances', [authMiddleware, isFinanceCore, transactionLimiter], async (req, res) => {
+router.post('/admin-reset-balances', [authMiddleware, isFinanceCore, transactionLimiter, idempotency], async (req, res) => {
   try {
-    const { targetType, userIds, sPin, reason } = req.body;
+    const { sPin, reason, previewToken } = req.body;
+    const dryRun = req.body.dryRun === true || req.body.dryRun === 'true';
+
+    if (dryRun && previewToken) {
+      return res.status(400).json({ message: 'Send either dryRun or a previewToken, not both.' });
+    }
+
+    // A preview token fixes the targets to the previewed wallets
+    const preview = previewToken ? verifyResetPreview(previewToken, req.user.id) : null;
+    const targetType = preview ? preview.targetType : req.body.targetType;
+    const userIds = preview ? preview.userIds : req.body.userIds;
     
     // Validate input
     if (!targetType || !['all', 'vendors', 'csv'].includes(targetType)) {
@@ -574,141 +921,122 @@ router.post('/admin-reset-balances', [authMiddleware, isFinanceCore, transaction
     if ((targetType === 'vendors' || targetType === 'csv') && (!userIds || !Array.isArray(userIds) || userIds.length === 0)) {
       return res.status(400).json({ message: 'User IDs are required for vendors or CSV mode.' });
     }
+
+    let purse;
+    if (preview) {
+      purse = preview.purse;
+    } else {
+      purse = req.body.purse ? parsePurse(req.body.purse) : null;
+    }
+    const target = { targetType, userIds, purse, ids: preview ? preview.ids : null };
+
+    if (dryRun) {
+      const result = await previewReset(target);
+      const { token, expiresAt } = signResetPreview(req.user.id, target, result);
+      return res.json({
+        dryRun: true,
+        targetType,
+        purse: purse || 'ALL',
+        totalUsers: result.totalUsers,
+        usersWithBalance: result.usersWithBalance,
+        totalAmountToReset: formatRupees(result.totalPaise),
+        needsApproval: targetType === 'all' || result.totalPaise > RESET_LIMIT_PAISE,
+        unmatchedUserIds: result.unmatchedUserIds,
+        users: result.targets.map(({ id, ...user }) => user),
+        previewToken: token,
+        previewExpiresAt: expiresAt
+      });
+    }
     
     // Verify S-PIN
     if (!sPin) {
       return res.status(400).json({ message: 'S-Pin is required for balance reset.' });
     }
     
+    let admin;
     try {
-      await verifySPin(req.user.id, sPin);
+      admin = await verifySPin(req.user.id, sPin, req.app);
     } catch (pinError) {
-      return res.status(401).json({ message: pinError.message });
+      return res.status(pinError.status || 401).json({ message: pinError.message, ...(pinError.details || {}) });
+    }
+    
+    // Big resets, and any reset of every wallet, wait for a second Finance Core
+    const { totalPaise } = await findResetTargets(target);
+    if (targetType === 'all' || totalPaise > RESET_LIMIT_PAISE) {
+      const approvalRequest = await requestApproval({
+        app: req.app,
+        action: 'BALANCE_RESET',
+        requester: admin,
+        amountPaise: totalPaise,
+        payload: { ...target, userIds: userIds || null, reason: reason || null },
+        summary: `Reset ${purse || 'all'} balances of ${targetType === 'all' ? 'every wallet' : `${userIds.length} user(s)`} (₹${formatRupees(totalPaise)} now)`
+      });
+
+      return res.status(202).json({
+        message: `Resetting ${targetType === 'all' ? 'every wallet' : `more than ₹${formatRupees(RESET_LIMIT_PAISE)}`} needs approval by another Finance Core.`,
+        approvalRequest
+      });
     }
     
     // Execute reset in transaction
-    const result = await sequelize.transaction(async (t) => {
-      const admin = await User.findByPk(req.user.id, { transaction: t });
-      
-      // Determine target users based on mode
-      let usersToReset = [];
-      
-      if (targetType === 'all') {
-        // Reset all users EXCEPT Finance Core
-        usersToReset = await User.findAll({
-          where: {
-            [Op.or]: [
-              { role: { [Op.in]: ['Vendor', 'Head', 'Coordinator', 'Volunteer'] } },
-              {
-                [Op.and]: [
-                  { role: 'Core' },
-                  { department: { [Op.ne]: 'Finance' } }
-                ]
-              }
-            ]
-          },
-          transaction: t
-        });
-      } else if (targetType === 'vendors') {
-        // Reset only selected vendors
-        usersToReset = await User.findAll({
-          where: { 
-            userId: { [Op.in]: userIds.map(id => id.toUpperCase()) },
-            role: 'Vendor'
-          },
-          transaction: t
-        });
-      } else if (targetType === 'csv') {
-        // Reset users from CSV
-        usersToReset = await User.findAll({
-          where: { 
-            userId: { [Op.in]: userIds.map(id => id.toUpperCase()) }
-          },
-          transaction: t
-        });
-      }
-      
-      if (usersToReset.length === 0) {
-        throw new Error('No users found matching the criteria.');
-      }
-      
-      // Process each user
-      let totalAmountReset = 0;
-      let usersWithBalance = 0;
-      const resetDetails = [];
-      
-      for (const user of usersToReset) {
-        const previousBalance = user.balance;
-        
-        if (previousBalance > 0) {
-          totalAmountReset += previousBalance;
-          usersWithBalance++;
-          
-          // Create transaction record for audit trail
-          await Transaction.create({
-            senderId: user.id,
-            receiverId: user.id,
-            senderName: user.name,
-            receiverName: 'System Reset',
-            senderUserId: user.userId,
-            receiverUserId: 'ADMIN_RESET',
-            amount: previousBalance, // Store as positive for display
-            type: 'ADMIN_RESET',
-            metadata: {
-              resetBy: admin.userId,
-              resetByName: admin.name,
-              reason: reason || 'Balance reset by Finance Core',
-              previousBalance: previousBalance,
-              targetType: targetType,
-              timestamp: new Date().toISOString()
-            }
-          }, { transaction: t });
-          
-          // Reset balance to zero
-          user.balance = 0;
-          await user.save({ transaction: t });
-          
-          resetDetails.push({
-            userId: user.userId,
-            name: user.name,
-            previousBalance: previousBalance
-          });
-        }
-      }
-      
-      // Send real-time notifications to affected users
-      const io = req.app.get('io');
-      const onlineUsers = req.app.get('onlineUsers');
-      
-      for (const detail of resetDetails) {
-        const socketId = onlineUsers.get(detail.userId);
-        if (socketId) {
-          io.to(socketId).emit('balance_reset', {
-            message: `Your wallet balance of ₹${detail.previousBalance.toFixed(2)} has been reset to ₹0.00`,
-            resetBy: 'Finance Team',
-            reason: reason || 'Daily balance reset',
-            timestamp: new Date()
-          });
-        }
-      }
-      
-      return {
-        success: true,
-        totalUsers: usersToReset.length,
-        usersWithBalance: usersWithBalance,
-        totalAmountReset: totalAmountReset.toFixed(2),
-        resetBy: admin.name,
-        targetType: targetType,
-        timestamp: new Date().toISOString(),
-        details: resetDetails.slice(0, 10) // Return first 10 for preview
-      };
-    });
+    const { summary, resetDetails } = await sequelize.transaction(async (t) => (
+      resetBalances({ admin, ...target, reason }, t)
+    ));
+
+    // Send real-time notifications to affected users
+    notifyResetUsers(req.app, resetDetails, { purse, reason });
     
-    res.json(result);
+    res.json(summary);
     
   } catch (error) {
     console.error('Balance reset error:', error);
-    res.status(500).json({ message: error.message || 'Server error during balance reset.' });
+    res.status(error.status || 500).json({ message: error.message || 'Server error during balance reset.' });
+  }
+});
+
+// ============================================
+// GET /api/wallet/admin-ledger-check
+// Compares every cached wallet balance with the ledger (Finance Core only)
+// ============================================
+router.get('/admin-ledger-check', [authMiddleware, isFinanceCore, apiLimiter], async (req, res) => {
+  try {
+    const report = await ledger.reconcileBalances();
+    res.json(report);
+  } catch (error) {
+    console.error('Ledger check error:', error);
+    res.status(500).json({ message: 'Server error while checking the ledger.' });
+  }
+});
+
+// ============================================
+// GET /api/wallet/admin-expiry-reports
+// Summaries written by the automatic expiry sweep (Finance Core only)
+// ============================================
+router.get('/admin-expiry-reports', [authMiddleware, isFinanceCore, apiLimiter], async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const offset = (page - 1) * limit;
+
+    const { count, rows } = await ExpiryReport.findAndCountAll({
+      order: [['createdAt', 'DESC']],
+      limit,
+      offset
+    });
+
+    res.json({
+      reports: rows,
+      pagination: {
+        totalPages: Math.ceil(count / limit),
+        currentPage: page,
+        totalReports: count,
+        hasNextPage: page < Math.ceil(count / limit),
+        hasPrevPage: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Expiry report fetch error:', error);
+    res.status(500).json({ message: 'Server error while fetching expiry reports.' });
   }
 });
 
@@ -19,10 +19,8 @@ const usersToCreate = sampleUsers.map(user => ({
   smail: user['Smail ID'],
   contact: user['Contact Number'],
   department: user.Department,
-  balance: 0,                // Default balance
+  balancePaise: 0,           // Default balance (paise)
   password: null,            // Users will register to set this
-  otp: null,
-  otpExpiry: null,
 }));
 
 // Function to seed the database
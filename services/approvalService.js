@@ -0,0 +1,242 @@
+// services/approvalService.js
+// Maker-checker flow for large Finance actions. The maker's request is
+// stored as an ApprovalRequest; a different Finance Core approves it (which
+// runs the action) or rejects it. Undecided requests expire.
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const User = require('../models/User');
+const ApprovalRequest = require('../models/ApprovalRequest');
+const ledger = require('./ledgerService');
+const { emitToUser } = require('./notificationService');
+const { postTopup, commitBatch } = require('./topupService');
+const { resetBalances, notifyResetUsers } = require('./resetService');
+const httpError = require('../utils/httpError');
+const { APPROVAL_TTL_HOURS } = require('../config/approvals');
+
+// Socket payload for a newly credited wallet
+const creditEvent = (transaction) => ({
+  id: transaction.id,
+  amount: transaction.amount,
+  senderName: 'Shaastra Finance',
+  purse: transaction.receiverPurse,
+  createdAt: transaction.createdAt,
+  type: 'credit'
+});
+
+// Runs an approved action inside transaction `t` as its maker, with the
+// approval record merged into every transaction's metadata.
+// Each returns { result, notify(app) }.
+const EXECUTORS = {
+  async TOPUP(payload, maker, metadata, t) {
+    const expiresAt = payload.expiresAt ? new Date(payload.expiresAt) : null;
+    if (expiresAt && expiresAt <= new Date()) {
+      throw httpError(400, 'The credit expiry of this top-up has passed.');
+    }
+
+    const [user] = await ledger.lockUsers({ userId: payload.receiverId }, t);
+    if (!user) {
+      throw httpError(404, 'Receiver not found.');
+    }
+
+    const transaction = await postTopup({
+      admin: maker,
+      user,
+      amountPaise: payload.amountPaise,
+      purse: payload.purse,
+      expiresAt,
+      metadata
+    }, t);
+
+    return {
+      result: { transactionIds: [transaction.id] },
+      notify: (app) => emitToUser(app, user.userId, 'transaction_received', creditEvent(transaction))
+    };
+  },
+
+  async TOPUP_BATCH(payload, maker, metadata, t) {
+    const { batch, credited } = await commitBatch({ batchId: payload.batchId, admin: maker, metadata }, t);
+
+    return {
+      result: {
+        batchId: batch.id,
+        credited: credited.length,
+        transactionIds: credited.map(({ transaction }) => transaction.id)
+      },
+      notify: (app) => credited.forEach(({ user, transaction }) => {
+        emitToUser(app, user.userId, 'transaction_received', creditEvent(transaction));
+      })
+    };
+  },
+
+  async BALANCE_RESET(payload, maker, metadata, t) {
+    const { summary, resetDetails, transactionIds } = await resetBalances({ admin: maker, ...payload, metadata }, t);
+
+    return {
+      result: { ...summary, transactionIds },
+      notify: (app) => notifyResetUsers(app, resetDetails, payload)
+    };
+  }
+};
+
+// Finance Cores other than `exceptId`
+async function otherFinanceCores(exceptId) {
+  return User.findAll({
+    where: { department: 'Finance', role: 'Core', id: { [Op.ne]: exceptId } },
+    attributes: ['userId']
+  });
+}
+
+// Tells the maker what happened to their request
+async function notifyRequester(app, request) {
+  const requester = await User.findByPk(request.requestedById, { attributes: ['userId'] });
+  if (requester) {
+    emitToUser(app, requester.userId, 'approval_updated', request.toJSON());
+  }
+}
+
+/**
+ * Marks every pending request past its expiry as EXPIRED.
+ * Returns how many expired. Runs as a background job and before every
+ * decision, so an expired request can never be approved.
+ */
+async function expireStaleApprovals() {
+  const [count] = await ApprovalRequest.update(
+    { status: 'EXPIRED' },
+    { where: { status: 'PENDING', expiresAt: { [Op.lte]: new Date() } } }
+  );
+  return count;
+}
+
+/**
+ * Stores a maker's action for approval and alerts the other Finance Cores.
+ * `payload` must be everything EXECUTORS[action] needs, already validated.
+ */
+async function requestApproval({ app, action, requester, amountPaise, payload, summary }) {
+  const request = await ApprovalRequest.create({
+    action,
+    payload,
+    amountPaise,
+    summary,
+    requestedById: requester.id,
+    expiresAt: new Date(Date.now() + APPROVAL_TTL_HOURS * 60 * 60 * 1000)
+  });
+
+  const checkers = await otherFinanceCores(requester.id);
+  checkers.forEach(({ userId }) => {
+    emitToUser(app, userId, 'approval_requested', {
+      ...request.toJSON(),
+      requestedBy: requester.userId,
+      requestedByName: requester.name
+    });
+  });
+
+  return request;
+}
+
+// Locks a request that `checker` may still decide
+async function lockDecidable(requestId, checker, t) {
+  const request = await ApprovalRequest.findByPk(requestId, { lock: t.LOCK.UPDATE, transaction: t });
+  if (!request) {
+    throw httpError(404, 'Approval request not found.');
+  }
+  if (request.status !== 'PENDING') {
+    throw httpError(409, `This request is already ${request.status.toLowerCase()}.`);
+  }
+  if (request.requestedById === checker.id) {
+    throw httpError(403, 'A different Finance Core must decide on this request.');
+  }
+  return request;
+}
+
+/**
+ * Approves a pending request and runs its action, in one transaction.
+ * When the action itself is refused (e.g. a balance no longer covers it)
+ * the request is closed as FAILED with the reason, and the error rethrown.
+ * Returns the updated request.
+ */
+async function approveRequest({ app, requestId, approver, note = null }) {
+  await expireStaleApprovals();
+
+  let executing = false;
+  try {
+    const { request, notify } = await sequelize.transaction(async (t) => {
+      const request = await lockDecidable(requestId, approver, t);
+      const maker = await User.findByPk(request.requestedById, { transaction: t });
+      const decidedAt = new Date();
+
+      // Written into the metadata of every transaction the action posts
+      const approval = {
+        requestId: request.id,
+        action: request.action,
+        requestedBy: maker.userId,
+        requestedByName: maker.name,
+        requestedAt: request.createdAt.toISOString(),
+        approvedBy: approver.userId,
+        approvedByName: approver.name,
+        approvedAt: decidedAt.toISOString(),
+        outcome: 'APPROVED',
+        note
+      };
+
+      executing = true;
+      const { result, notify } = await EXECUTORS[request.action](request.payload, maker, { approval }, t);
+
+      request.status = 'APPROVED';
+      request.decidedById = approver.id;
+      request.decidedAt = decidedAt;
+      request.decisionNote = note;
+      request.result = result;
+      await request.save({ transaction: t });
+
+      return { request, notify };
+    });
+
+    notify(app);
+    await notifyRequester(app, request);
+    return request;
+  } catch (error) {
+    // Only business refusals close the request; unexpected errors leave it
+    // pending so it can be approved again
+    if (executing && error.status) {
+      const [count] = await ApprovalRequest.update({
+        status: 'FAILED',
+        decidedById: approver.id,
+        decidedAt: new Date(),
+        decisionNote: note,
+        result: { error: error.message }
+      }, { where: { id: requestId, status: 'PENDING' } });
+
+      if (count > 0) {
+        await notifyRequester(app, await ApprovalRequest.findByPk(requestId));
+      }
+    }
+    throw error;
+  }
+}
+
+// Rejects a pending request; nothing is run
+async function rejectRequest({ app, requestId, approver, note }) {
+  await expireStaleApprovals();
+
+  const request = await sequelize.transaction(async (t) => {
+    const request = await lockDecidable(requestId, approver, t);
+
+    request.status = 'REJECTED';
+    request.decidedById = approver.id;
+    request.decidedAt = new Date();
+    request.decisionNote = note;
+    await request.save({ transaction: t });
+
+    return request;
+  });
+
+  await notifyRequester(app, request);
+  return request;
+}
+
+module.exports = {
+  expireStaleApprovals,
+  requestApproval,
+  approveRequest,
+  rejectRequest
+};
@@ -0,0 +1,118 @@
+// services/budgetService.js
+// Department budgets. Money a department's Cores and Heads disburse to
+// other members is counted against their department; Finance can cap it,
+// with warnings as thresholds are crossed and a hard block at the cap.
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const User = require('../models/User');
+const DepartmentBudget = require('../models/DepartmentBudget');
+const { emitToUser } = require('./notificationService');
+const httpError = require('../utils/httpError');
+const { toRupees, formatRupees } = require('../utils/money');
+
+// Senders whose disbursements count against their department
+const BUDGETED_ROLES = ['Core', 'Head'];
+const DEFAULT_THRESHOLDS = [75, 90];
+
+/**
+ * Department a payment from `sender` to `receiver` is charged to, or null.
+ * Paying a vendor is spending, not disbursing, so it is never counted.
+ */
+function budgetDepartmentOf(sender, receiver) {
+  if (!sender.department || !BUDGETED_ROLES.includes(sender.role)) return null;
+  if (receiver.role === 'Vendor') return null;
+  return sender.department;
+}
+
+const percentUsed = (budget) => (
+  budget.budgetPaise ? Math.floor((budget.spentPaise * 100) / budget.budgetPaise) : null
+);
+
+// UNCAPPED | OK | WARNING | EXHAUSTED
+function budgetStatus(budget) {
+  if (budget.budgetPaise === null) return 'UNCAPPED';
+  if (budget.spentPaise >= budget.budgetPaise) return 'EXHAUSTED';
+  const lowest = Math.min(...budget.warningThresholds);
+  return percentUsed(budget) >= lowest ? 'WARNING' : 'OK';
+}
+
+// Budget vs spent, in rupees
+function serializeBudget(budget) {
+  const capped = budget.budgetPaise !== null;
+  return {
+    department: budget.department,
+    budget: budget.budget,
+    spent: budget.spent,
+    remaining: capped ? toRupees(Math.max(budget.budgetPaise - budget.spentPaise, 0)) : null,
+    percentUsed: percentUsed(budget),
+    status: budgetStatus(budget),
+    warningThresholds: budget.warningThresholds,
+    updatedAt: budget.updatedAt
+  };
+}
+
+// Locks the department's row, creating an uncapped one on first use
+async function lockBudget(department, t) {
+  await sequelize.query(`
+    INSERT INTO "DepartmentBudgets" (department, "spentPaise", "warningThresholds", "createdAt", "updatedAt")
+    VALUES (:department, 0, :thresholds, NOW(), NOW())
+    ON CONFLICT (department) DO NOTHING
+  `, { replacements: { department, thresholds: JSON.stringify(DEFAULT_THRESHOLDS) }, transaction: t });
+
+  return DepartmentBudget.findOne({ where: { department }, lock: t.LOCK.UPDATE, transaction: t });
+}
+
+/**
+ * Counts `amountPaise` of disbursements against `department` inside
+ * transaction `t`. Throws 403 when that would go over the cap.
+ * Returns a warning message when a threshold was crossed, otherwise null.
+ */
+async function chargeBudget(department, amountPaise, t) {
+  const budget = await lockBudget(department, t);
+  const beforePaise = budget.spentPaise;
+  const afterPaise = beforePaise + amountPaise;
+
+  if (budget.budgetPaise !== null && afterPaise > budget.budgetPaise) {
+    const leftPaise = Math.max(budget.budgetPaise - beforePaise, 0);
+    throw httpError(403, `The ${department} budget does not cover this: ₹${formatRupees(leftPaise)} left of ₹${formatRupees(budget.budgetPaise)}.`);
+  }
+
+  budget.spentPaise = afterPaise;
+  await budget.save({ transaction: t });
+
+  if (budget.budgetPaise === null || budget.budgetPaise === 0) return null;
+
+  const crossed = budget.warningThresholds
+    .filter(pct => beforePaise * 100 < pct * budget.budgetPaise && afterPaise * 100 >= pct * budget.budgetPaise);
+  if (crossed.length === 0) return null;
+
+  return `${department} has used ${percentUsed(budget)}% of its ₹${formatRupees(budget.budgetPaise)} budget (₹${formatRupees(budget.budgetPaise - afterPaise)} left).`;
+}
+
+// Gives back a refunded or reversed disbursement to its department
+async function releaseBudget(department, amountPaise, t) {
+  await DepartmentBudget.update(
+    { spentPaise: sequelize.literal(`GREATEST("spentPaise" - ${Number(amountPaise)}, 0)`) },
+    { where: { department }, transaction: t }
+  );
+}
+
+// Sends a threshold warning to the sender and every Finance Core
+async function notifyBudgetWarning(app, sender, warning) {
+  const financeCores = await User.findAll({
+    where: { department: 'Finance', role: 'Core', id: { [Op.ne]: sender.id } },
+    attributes: ['userId']
+  });
+
+  const payload = { department: sender.department, message: warning, timestamp: new Date() };
+  [sender, ...financeCores].forEach(({ userId }) => emitToUser(app, userId, 'budget_warning', payload));
+}
+
+module.exports = {
+  BUDGETED_ROLES,
+  budgetDepartmentOf,
+  serializeBudget,
+  chargeBudget,
+  releaseBudget,
+  notifyBudgetWarning
+};
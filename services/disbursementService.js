@@ -0,0 +1,247 @@
+// services/disbursementService.js
+// Background runner for ScheduledDisbursements (daily group allowances).
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const User = require('../models/User');
+const Group = require('../models/Group');
+const PurseBalance = require('../models/PurseBalance');
+const ScheduledDisbursement = require('../models/ScheduledDisbursement');
+const DisbursementRun = require('../models/DisbursementRun');
+const ledger = require('./ledgerService');
+const { emitToUser } = require('./notificationService');
+const { receivingPurse } = require('./purseService');
+const { budgetDepartmentOf, chargeBudget, notifyBudgetWarning } = require('./budgetService');
+const { sendNotificationEmail } = require('./emailService');
+const { formatRupees } = require('../utils/money');
+const { istDateString, istDateTime, istDayEnd, nextDateString } = require('../utils/time');
+
+/**
+ * First run time on or after `fromDate` (IST) that is still in the future,
+ * or null once that would be after `endDate`. Days the server missed are
+ * skipped rather than paid late.
+ */
+function computeNextRunAt(timeOfDay, fromDate, endDate, now = new Date()) {
+  let day = fromDate;
+  while (istDateTime(day, timeOfDay) <= now) {
+    day = nextDateString(day);
+  }
+  return day <= endDate ? istDateTime(day, timeOfDay) : null;
+}
+
+// Moves the schedule past `runDate`, completing it after its last day
+function advanceSchedule(schedule, runDate) {
+  schedule.lastRunAt = new Date();
+  schedule.nextRunAt = computeNextRunAt(schedule.timeOfDay, nextDateString(runDate), schedule.endDate);
+  if (!schedule.nextRunAt) {
+    schedule.status = 'COMPLETED';
+  }
+}
+
+// Pays every current member of the group. Returns the run attributes.
+async function disburse(schedule, runDate, t) {
+  const group = await Group.findByPk(schedule.groupId, {
+    include: [{ model: User, attributes: ['id'] }],
+    transaction: t
+  });
+  if (!group) {
+    return { status: 'FAILED', reasonCode: 'GROUP_NOT_FOUND', message: 'The group no longer exists.' };
+  }
+
+  const memberIds = group.Users.map(u => u.id).filter(id => id !== schedule.createdById);
+  if (memberIds.length === 0) {
+    return { status: 'SKIPPED', reasonCode: 'NO_MEMBERS', message: `Group "${group.name}" has no members to pay.` };
+  }
+
+  const wallets = await ledger.lockUsers({ id: [schedule.createdById, ...memberIds] }, t);
+  const sender = wallets.find(u => u.id === schedule.createdById);
+  const receivers = wallets.filter(u => u.id !== schedule.createdById);
+  const totalPaise = schedule.amountPaise * memberIds.length;
+
+  const senderPurse = sender && await PurseBalance.findOne({
+    where: { userId: sender.id, purse: schedule.purse },
+    transaction: t
+  });
+  const availablePaise = senderPurse ? senderPurse.balancePaise : 0;
+
+  if (availablePaise < totalPaise) {
+    return {
+      status: 'FAILED',
+      reasonCode: 'INSUFFICIENT_BALANCE',
+      message: `Needed ₹${formatRupees(totalPaise)} for ${memberIds.length} member(s), ${schedule.purse} balance was ₹${formatRupees(availablePaise)}.`,
+      recipientCount: memberIds.length,
+      totalPaise
+    };
+  }
+
+  // Purse rules are checked for every member before anyone is paid
+  const toPurses = new Map();
+  for (const receiver of receivers) {
+    try {
+      toPurses.set(receiver.id, receivingPurse(sender, receiver, schedule.purse));
+    } catch (error) {
+      if (!error.status) throw error;
+      return {
+        status: 'FAILED',
+        reasonCode: 'PURSE_NOT_ALLOWED',
+        message: error.message,
+        recipientCount: memberIds.length,
+        totalPaise
+      };
+    }
+  }
+
+  // Allowances to non-vendors count against the owner's department budget
+  const budgetedPaise = receivers.filter(receiver => budgetDepartmentOf(sender, receiver)).length * schedule.amountPaise;
+  let budgetWarning = null;
+  if (budgetedPaise > 0) {
+    try {
+      budgetWarning = await chargeBudget(sender.department, budgetedPaise, t);
+    } catch (error) {
+      if (!error.status) throw error;
+      return {
+        status: 'FAILED',
+        reasonCode: 'BUDGET_EXCEEDED',
+        message: error.message,
+        recipientCount: memberIds.length,
+        totalPaise
+      };
+    }
+  }
+
+  const transactionIds = [];
+  for (const receiver of receivers) {
+    const txn = await ledger.post({
+      from: sender,
+      to: receiver,
+      amountPaise: schedule.amountPaise,
+      fromPurse: schedule.purse,
+      toPurse: toPurses.get(receiver.id),
+      expiresAt: schedule.expireAtDayEnd ? istDayEnd(runDate) : null,
+      metadata: {
+        scheduledDisbursementId: schedule.id,
+        runDate,
+        groupId: group.id,
+        groupName: group.name,
+        budgetDepartment: budgetDepartmentOf(sender, receiver)
+      }
+    }, t);
+    transactionIds.push(txn.id);
+  }
+
+  return {
+    status: 'SUCCEEDED',
+    message: [
+      `Paid ₹${formatRupees(schedule.amountPaise)} ${schedule.purse} to each of ${transactionIds.length} member(s) of "${group.name}".`,
+      budgetWarning
+    ].filter(Boolean).join(' '),
+    recipientCount: transactionIds.length,
+    totalPaise,
+    transactionIds,
+    budgetWarning
+  };
+}
+
+// Socket + email report of a run to the Core who owns the schedule
+async function notifyOwner(app, schedule, run) {
+  const owner = await User.findByPk(schedule.createdById, { attributes: ['userId', 'smail'] });
+  if (!owner) return;
+
+  const payload = {
+    scheduleId: schedule.id,
+    runDate: run.runDate,
+    status: run.status,
+    reasonCode: run.reasonCode,
+    message: run.message,
+    recipientCount: run.recipientCount,
+    total: run.total,
+    nextRunAt: schedule.nextRunAt
+  };
+
+  if (app) {
+    emitToUser(app, owner.userId, 'scheduled_disbursement_run', payload);
+  }
+  await sendNotificationEmail(
+    owner.smail,
+    `Scheduled allowance ${run.status.toLowerCase()} (${run.runDate})`,
+    `${run.message}\n\nSchedule #${schedule.id} - next run: ${schedule.nextRunAt ? schedule.nextRunAt.toISOString() : 'none (completed)'}`
+  );
+}
+
+/**
+ * Executes one due schedule. The schedule row is locked (SKIP LOCKED), so
+ * two runners never pay the same day twice; the unique (scheduleId, runDate)
+ * index backs that up.
+ */
+async function runSchedule(scheduleId, app) {
+  let outcome;
+  try {
+    outcome = await sequelize.transaction(async (t) => {
+      const schedule = await ScheduledDisbursement.findByPk(scheduleId, {
+        lock: t.LOCK.UPDATE,
+        skipLocked: true,
+        transaction: t
+      });
+      if (!schedule || schedule.status !== 'ACTIVE' || !schedule.nextRunAt || schedule.nextRunAt > new Date()) {
+        return null;
+      }
+
+      const runDate = istDateString(schedule.nextRunAt);
+      const { budgetWarning, ...result } = await disburse(schedule, runDate, t);
+
+      advanceSchedule(schedule, runDate);
+      await schedule.save({ transaction: t });
+
+      const run = await DisbursementRun.create({ scheduleId: schedule.id, runDate, ...result }, { transaction: t });
+      return { schedule, run, budgetWarning };
+    });
+  } catch (error) {
+    // Nothing was paid (rolled back). Record the failure and move on to the
+    // next day so a broken schedule does not retry every minute.
+    console.error(`Scheduled disbursement #${scheduleId} error:`, error);
+    outcome = await sequelize.transaction(async (t) => {
+      const schedule = await ScheduledDisbursement.findByPk(scheduleId, { lock: t.LOCK.UPDATE, transaction: t });
+      if (!schedule || schedule.status !== 'ACTIVE' || !schedule.nextRunAt) return null;
+
+      const runDate = istDateString(schedule.nextRunAt);
+      advanceSchedule(schedule, runDate);
+      await schedule.save({ transaction: t });
+
+      const run = await DisbursementRun.create({
+        scheduleId: schedule.id,
+        runDate,
+        status: 'FAILED',
+        reasonCode: 'ERROR',
+        message: 'The run failed unexpectedly. No money was moved.'
+      }, { transaction: t });
+      return { schedule, run };
+    });
+  }
+
+  if (outcome) {
+    await notifyOwner(app, outcome.schedule, outcome.run);
+    if (outcome.budgetWarning && app) {
+      await notifyBudgetWarning(app, await User.findByPk(outcome.schedule.createdById), outcome.budgetWarning);
+    }
+  }
+  return outcome && outcome.run;
+}
+
+// Job entry point: runs every ACTIVE schedule whose nextRunAt has passed
+async function runDueDisbursements(app) {
+  const due = await ScheduledDisbursement.findAll({
+    where: { status: 'ACTIVE', nextRunAt: { [Op.lte]: new Date() } },
+    attributes: ['id'],
+    order: [['nextRunAt', 'ASC']]
+  });
+
+  for (const { id } of due) {
+    await runSchedule(id, app);
+  }
+  return due.length;
+}
+
+module.exports = {
+  computeNextRunAt,
+  runSchedule,
+  runDueDisbursements
+};
@@ -9,13 +9,16 @@ const transporter = nodemailer.createTransport({
   },
 });
 
-const sendOtpEmail = async (to, otp) => {
+// `purpose` says what the code is for, e.g. 'password reset'
+const sendOtpEmail = async (to, otp, purpose, validMinutes) => {
   const mailOptions = {
     from: process.env.EMAIL_USER,
     to: to,
-    subject: 'Your Shaastra Wallet Verification Code',
-    text: `Your OTP for registration is: ${otp}. It is valid for 10 minutes.`,
-    html: `<b>Your OTP for registration is: ${otp}</b><p>It is valid for 10 minutes.</p>`,
+    subject: `Your Shaastra Wallet ${purpose} code`,
+    text: `Your OTP for ${purpose} is: ${otp}. It is valid for ${validMinutes} minutes and can be used once. ` +
+      `If you did not ask for a ${purpose}, ignore this email and do not share the code.`,
+    html: `<b>Your OTP for ${purpose} is: ${otp}</b><p>It is valid for ${validMinutes} minutes and can be used once.</p>` +
+      `<p>If you did not ask for a ${purpose}, ignore this email and do not share the code.</p>`,
   };
 
   try {
@@ -27,4 +30,23 @@ const sendOtpEmail = async (to, otp) => {
   }
 };
 
-module.exports = { sendOtpEmail };
\ No newline at end of file
+// Plain informational email (job outcomes, alerts). Failures are logged,
+// not thrown: a notification must never undo the work it reports on.
+const sendNotificationEmail = async (to, subject, text) => {
+  if (!to) return;
+
+  const mailOptions = {
+    from: process.env.EMAIL_USER,
+    to: to,
+    subject: `Shaastra Wallet: ${subject}`,
+    text: text,
+  };
+
+  try {
+    await transporter.sendMail(mailOptions);
+  } catch (error) {
+    console.error('Error sending notification email:', error);
+  }
+};
+
+module.exports = { sendOtpEmail, sendNotificationEmail };
\ No newline at end of file
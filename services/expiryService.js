@@ -0,0 +1,189 @@
+// services/expiryService.js
+// Automatic expiry of credits, replacing the nightly manual admin reset.
+// Credits posted with an expiry open CreditLots; the sweep clears the part
+// of each lot that is still unspent once it expires, with the same
+// ADMIN_RESET audit records and `balance_reset` event as a manual reset.
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const User = require('../models/User');
+const CreditLot = require('../models/CreditLot');
+const ExpiryReport = require('../models/ExpiryReport');
+const ledger = require('./ledgerService');
+const { emitToUser } = require('./notificationService');
+const { sendNotificationEmail } = require('./emailService');
+const httpError = require('../utils/httpError');
+const { toRupees, formatRupees } = require('../utils/money');
+const { istDayEnd, isDateString } = require('../utils/time');
+
+/**
+ * Request value -> expiry Date, or null for a credit that never expires.
+ * A 'YYYY-MM-DD' fest day expires at the end of that day in IST.
+ */
+function parseCreditExpiry(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const expiresAt = isDateString(value) ? istDayEnd(value) : new Date(value);
+  if (Number.isNaN(expiresAt.getTime())) {
+    throw httpError(400, 'expiresAt must be a fest day (YYYY-MM-DD, expires at the end of that day IST) or an ISO date-time.');
+  }
+  if (expiresAt <= new Date()) {
+    throw httpError(400, 'expiresAt must be in the future.');
+  }
+  return expiresAt;
+}
+
+// Clears one wallet's expired lots in a single transaction, one ADMIN_RESET
+// per purse. Returns the detail rows for the report.
+async function expireWalletCredits(userDbId, now) {
+  return sequelize.transaction(async (t) => {
+    const [user] = await ledger.lockUsers({ id: userDbId }, t);
+    if (!user) return [];
+
+    const lots = await CreditLot.findAll({
+      where: { userId: user.id, status: 'ACTIVE', expiresAt: { [Op.lte]: now } },
+      order: [['expiresAt', 'ASC'], ['id', 'ASC']],
+      transaction: t
+    });
+
+    const byPurse = new Map();
+    lots.forEach(lot => {
+      const entry = byPurse.get(lot.purse) || { paise: 0, lotIds: [] };
+      entry.paise += lot.remainingPaise;
+      entry.lotIds.push(lot.id);
+      byPurse.set(lot.purse, entry);
+    });
+
+    const details = [];
+    for (const [purse, { paise, lotIds }] of byPurse) {
+      // ADMIN_RESET debits drain the soonest-expiring lots first, which are
+      // exactly the expired ones summed here
+      const reset = await ledger.post({
+        from: user,
+        to: ledger.SYSTEM_ACCOUNTS.RESET,
+        amountPaise: paise,
+        fromPurse: purse,
+        type: 'ADMIN_RESET',
+        record: {
+          receiverId: user.id,
+          receiverName: 'System Reset',
+          receiverUserId: 'ADMIN_RESET'
+        },
+        metadata: {
+          resetBy: 'SYSTEM',
+          resetByName: 'Automatic expiry',
+          reason: 'Credit expired',
+          purse,
+          previousBalance: toRupees(paise),
+          creditLotIds: lotIds,
+          targetType: 'expiry',
+          timestamp: new Date().toISOString()
+        }
+      }, t);
+
+      details.push({
+        userId: user.userId,
+        name: user.name,
+        purse,
+        expired: toRupees(paise),
+        expiredPaise: paise,
+        lotCount: lotIds.length,
+        transactionId: reset.id
+      });
+    }
+    return details;
+  });
+}
+
+// Emails the sweep summary to every Finance Core
+async function notifyFinance(report) {
+  const financeCores = await User.findAll({
+    where: { department: 'Finance', role: 'Core' },
+    attributes: ['smail']
+  });
+
+  const purseLines = Object.entries(report.byPurse)
+    .map(([purse, paise]) => `  ${purse}: ₹${formatRupees(paise)}`)
+    .join('\n');
+  const failureLines = (report.failures || [])
+    .map(f => `  user #${f.userId}: ${f.error}`)
+    .join('\n');
+
+  const text = [
+    `Expiry sweep #${report.id} at ${report.createdAt.toISOString()}`,
+    `Expired ₹${formatRupees(report.totalExpiredPaise)} across ${report.usersAffected} wallet(s) (${report.lotsExpired} credit(s)).`,
+    purseLines && `By purse:\n${purseLines}`,
+    failureLines && `Failed (retried on the next sweep):\n${failureLines}`
+  ].filter(Boolean).join('\n\n');
+
+  for (const { smail } of financeCores) {
+    await sendNotificationEmail(smail, `Balance expiry report #${report.id}`, text);
+  }
+}
+
+/**
+ * Job entry point: expires every credit lot whose expiry has passed and
+ * writes an ExpiryReport when anything was expired.
+ * Returns the report, or null when nothing was expired.
+ */
+async function expireDueCredits(app) {
+  const now = new Date();
+  const due = await CreditLot.findAll({
+    where: { status: 'ACTIVE', expiresAt: { [Op.lte]: now } },
+    attributes: ['userId'],
+    group: ['userId'],
+    raw: true
+  });
+  if (due.length === 0) return null;
+
+  const details = [];
+  const failures = [];
+  for (const { userId } of due) {
+    try {
+      const walletDetails = await expireWalletCredits(userId, now);
+      details.push(...walletDetails);
+
+      if (walletDetails.length > 0 && app) {
+        const totalPaise = walletDetails.reduce((acc, d) => acc + d.expiredPaise, 0);
+        emitToUser(app, walletDetails[0].userId, 'balance_reset', {
+          message: `₹${formatRupees(totalPaise)} of your wallet balance has expired.`,
+          purses: Object.fromEntries(walletDetails.map(d => [d.purse, d.expired])),
+          resetBy: 'Automatic expiry',
+          reason: 'Credit expired',
+          timestamp: new Date()
+        });
+      }
+    } catch (error) {
+      console.error(`Credit expiry failed for user #${userId}:`, error);
+      failures.push({ userId, error: error.message });
+    }
+  }
+
+  // A wallet that keeps failing is already logged; it only makes it into a
+  // report alongside real expiries, so Finance is not mailed every minute
+  if (details.length === 0) return null;
+
+  const byPurse = {};
+  details.forEach(d => {
+    byPurse[d.purse] = (byPurse[d.purse] || 0) + d.expiredPaise;
+  });
+
+  const report = await ExpiryReport.create({
+    usersAffected: new Set(details.map(d => d.userId)).size,
+    lotsExpired: details.reduce((acc, d) => acc + d.lotCount, 0),
+    totalExpiredPaise: details.reduce((acc, d) => acc + d.expiredPaise, 0),
+    byPurse,
+    details,
+    failures: failures.length > 0 ? failures : null
+  });
+
+  console.log(`Expired ₹${formatRupees(report.totalExpiredPaise)} of credits across ${report.usersAffected} wallet(s).`);
+  await notifyFinance(report);
+  return report;
+}
+
+module.exports = {
+  parseCreditExpiry,
+  expireDueCredits
+};
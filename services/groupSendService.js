@@ -0,0 +1,195 @@
+// services/groupSendService.js
+// One sender paying many recipients (send-group). Every recipient gets a
+// result with a reason code; by default any problem cancels the whole
+// batch, in best-effort mode the recipients that can be paid still are.
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const ledger = require('./ledgerService');
+const { receivingPurse } = require('./purseService');
+const { budgetDepartmentOf, chargeBudget } = require('./budgetService');
+const httpError = require('../utils/httpError');
+const { toPaise, toRupees } = require('../utils/money');
+
+const MAX_RECIPIENTS = 500;
+
+// Result of one recipient for the API. status is SUCCEEDED, FAILED (this
+// recipient could not be paid) or SKIPPED (not attempted: batch cancelled).
+const resultOf = (row) => ({
+  index: row.index,
+  receiverId: row.receiverId,
+  receiverName: row.receiverName || null,
+  amount: row.amountPaise ? toRupees(row.amountPaise) : (row.rawAmount ?? null),
+  status: row.status,
+  reasonCode: row.reasonCode || null,
+  message: row.message || null,
+  transactionId: row.transactionId || null
+});
+
+const fail = (row, reasonCode, message) => Object.assign(row, { status: 'FAILED', reasonCode, message });
+
+/**
+ * Checks the shape of each { receiverId, amount } entry.
+ * Returns one row per entry: { index, receiverId, amountPaise, rawAmount }
+ * plus status FAILED and a reason code for the invalid ones.
+ */
+function validateRecipients(recipients) {
+  const seen = new Map();
+
+  return recipients.map((entry, index) => {
+    const row = {
+      index,
+      receiverId: entry && typeof entry.receiverId === 'string' ? entry.receiverId.trim().toUpperCase() : null,
+      rawAmount: entry ? entry.amount : undefined,
+      amountPaise: entry ? toPaise(entry.amount) : null
+    };
+
+    if (!row.receiverId) {
+      return fail(row, 'MISSING_RECEIVER_ID', 'receiverId is required.');
+    }
+    if (!row.amountPaise) {
+      return fail(row, 'INVALID_AMOUNT', 'Amount must be a positive number with at most 2 decimals.');
+    }
+    if (seen.has(row.receiverId)) {
+      return fail(row, 'DUPLICATE_RECIPIENT', `Duplicate of recipient #${seen.get(row.receiverId)}.`);
+    }
+    seen.set(row.receiverId, index);
+    return row;
+  });
+}
+
+/**
+ * One row per current member of `group` (loaded with its Users), the
+ * sender excluded. Each member gets `amountPaise`, or the amount for their
+ * role from `amountsByRole` ({ role: paise }); members of a role without
+ * an amount are SKIPPED with ROLE_NOT_PAID.
+ */
+function groupRecipientRows(group, senderId, { amountPaise = null, amountsByRole = null }) {
+  return group.Users
+    .filter(member => member.id !== senderId)
+    .sort((a, b) => a.userId.localeCompare(b.userId))
+    .map((member, index) => {
+      const row = {
+        index,
+        receiverId: member.userId,
+        receiverName: member.name,
+        amountPaise: amountsByRole ? amountsByRole[member.role] || null : amountPaise
+      };
+      if (!row.amountPaise) {
+        Object.assign(row, { status: 'SKIPPED', reasonCode: 'ROLE_NOT_PAID', message: `No amount set for ${member.role}s.` });
+      }
+      return row;
+    });
+}
+
+/**
+ * Pays every valid row from `senderId`'s `purse` in one database
+ * transaction. Each payment runs in its own savepoint, so in best-effort
+ * mode a refused one (balance, budget) rolls back alone. In the default
+ * mode the first failure cancels everything with a 400/403 whose `details`
+ * are the per-recipient results. `metadata` goes on every transaction.
+ * Returns { sender, rows, created: [{ receiver, transaction }], budgetWarning }.
+ */
+async function sendToRecipients({ senderId, rows, purse, expiresAt = null, bestEffort = false, metadata = {} }) {
+  const abort = (status, message) => {
+    // Payments already made in this batch are rolled back with it
+    rows.filter(row => !row.status || row.status === 'SUCCEEDED')
+      .forEach(row => Object.assign(row, { status: 'SKIPPED', reasonCode: 'BATCH_CANCELLED', transactionId: null }));
+    return httpError(status, message, rows.map(resultOf));
+  };
+
+  if (!bestEffort && rows.some(row => row.status === 'FAILED')) {
+    throw abort(400, `${rows.filter(row => row.status === 'FAILED').length} recipient(s) are invalid. Nothing was sent.`);
+  }
+
+  return sequelize.transaction(async (t) => {
+    // ✅ CONCURRENCY: Sender and receivers are locked together in id order,
+    // so two group sends sharing wallets can never deadlock
+    const receiverIds = rows.filter(row => !row.status).map(row => row.receiverId);
+    const wallets = await ledger.lockUsers({
+      [Op.or]: [{ id: senderId }, { userId: { [Op.in]: receiverIds } }]
+    }, t);
+    const sender = wallets.find(u => u.id === senderId);
+    if (!sender) {
+      throw httpError(404, 'Sender not found.');
+    }
+    const byUserId = new Map(wallets.map(user => [user.userId, user]));
+
+    // Per-recipient checks that need the wallets
+    for (const row of rows.filter(r => !r.status)) {
+      const receiver = byUserId.get(row.receiverId);
+      if (!receiver) {
+        fail(row, 'RECEIVER_NOT_FOUND', 'No user with this ID.');
+        continue;
+      }
+      row.receiver = receiver;
+      row.receiverName = receiver.name;
+
+      if (receiver.id === sender.id) {
+        fail(row, 'SELF_TRANSFER', 'Cannot send money to yourself.');
+        continue;
+      }
+      if (receiver.role === 'Cashier') {
+        fail(row, 'CASHIER_ACCOUNT', 'Cashier logins take payments for their vendor and cannot be paid directly.');
+        continue;
+      }
+      try {
+        row.toPurse = receivingPurse(sender, receiver, purse);
+      } catch (error) {
+        if (!error.status) throw error;
+        fail(row, 'PURSE_NOT_ALLOWED', error.message);
+      }
+    }
+
+    if (!bestEffort && rows.some(row => row.status === 'FAILED')) {
+      throw abort(400, `${rows.filter(row => row.status === 'FAILED').length} recipient(s) are invalid. Nothing was sent.`);
+    }
+
+    const created = [];
+    let budgetWarning = null;
+
+    for (const row of rows.filter(r => !r.status)) {
+      const budgetDepartment = budgetDepartmentOf(sender, row.receiver);
+      const legMetadata = budgetDepartment ? { ...metadata, budgetDepartment } : metadata;
+      let reasonCode = 'BUDGET_EXCEEDED';
+
+      try {
+        const { transaction, warning } = await sequelize.transaction({ transaction: t }, async (savepoint) => {
+          const warning = budgetDepartment ? await chargeBudget(budgetDepartment, row.amountPaise, savepoint) : null;
+
+          reasonCode = 'INSUFFICIENT_BALANCE';
+          const transaction = await ledger.post({
+            from: sender,
+            to: row.receiver,
+            amountPaise: row.amountPaise,
+            fromPurse: purse,
+            toPurse: row.toPurse,
+            expiresAt,
+            metadata: Object.keys(legMetadata).length > 0 ? legMetadata : null
+          }, savepoint);
+
+          return { transaction, warning };
+        });
+
+        budgetWarning = warning || budgetWarning;
+        Object.assign(row, { status: 'SUCCEEDED', transactionId: transaction.id });
+        created.push({ receiver: row.receiver, transaction });
+      } catch (error) {
+        if (!error.status) throw error;
+        fail(row, reasonCode, error.message);
+        if (!bestEffort) {
+          throw abort(error.status, `Recipient #${row.index} (${row.receiverId}): ${error.message} Nothing was sent.`);
+        }
+      }
+    }
+
+    return { sender, rows, created, budgetWarning };
+  });
+}
+
+module.exports = {
+  MAX_RECIPIENTS,
+  resultOf,
+  validateRecipients,
+  groupRecipientRows,
+  sendToRecipients
+};
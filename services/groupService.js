@@ -0,0 +1,66 @@
+// services/groupService.js
+// Access to saved Groups. The owner can do everything; Cores the group is
+// shared with can VIEW it or, with DISBURSE, also pay it.
+const { Op } = require('sequelize');
+const User = require('../models/User');
+const Group = require('../models/Group');
+const GroupShare = require('../models/GroupShare');
+const httpError = require('../utils/httpError');
+
+// Weakest to strongest
+const ACCESS_LEVELS = ['VIEW', 'DISBURSE', 'OWNER'];
+
+/**
+ * Loads group `groupId` for `userId` and checks they have at least `need`
+ * access. Groups the user cannot see at all are a 404, like
+ * GET /api/groups/:id always answered; visible ones with too little access
+ * are a 403. `options` go to findByPk (include, transaction, ...).
+ * Returns { group, access }.
+ */
+async function findGroupFor(groupId, userId, need = 'VIEW', options = {}) {
+  // Group IDs are integers; anything else would fail the Postgres cast
+  const group = /^\d+$/.test(String(groupId)) ? await Group.findByPk(groupId, options) : null;
+  if (!group) {
+    throw httpError(404, 'Group not found.');
+  }
+
+  let access = 'OWNER';
+  if (group.createdById !== userId) {
+    const share = await GroupShare.findOne({
+      where: { groupId: group.id, userId },
+      transaction: options.transaction
+    });
+    if (!share) {
+      throw httpError(404, 'Group not found.');
+    }
+    access = share.permission;
+  }
+
+  if (ACCESS_LEVELS.indexOf(access) < ACCESS_LEVELS.indexOf(need)) {
+    throw httpError(403, need === 'OWNER'
+      ? 'Only the group owner can do this.'
+      : 'This group is shared with you for viewing only.');
+  }
+  return { group, access };
+}
+
+// Users for a list of user IDs. Throws 400 naming the unknown ones.
+async function findMembers(memberUserIds, t = null) {
+  if (!Array.isArray(memberUserIds) || memberUserIds.some(id => typeof id !== 'string')) {
+    throw httpError(400, 'memberUserIds must be a list of user IDs.');
+  }
+
+  const wanted = [...new Set(memberUserIds)];
+  const users = await User.findAll({ where: { userId: { [Op.in]: wanted } }, transaction: t });
+  if (users.length !== wanted.length) {
+    const found = new Set(users.map(user => user.userId));
+    throw httpError(400, `Unknown user IDs: ${wanted.filter(id => !found.has(id)).join(', ')}.`);
+  }
+  return users;
+}
+
+module.exports = {
+  ACCESS_LEVELS,
+  findGroupFor,
+  findMembers
+};
@@ -0,0 +1,211 @@
+// services/ledgerMigration.js
+// Migration path from the old FLOAT `balance` / `amount` columns to integer
+// paise plus a double-entry ledger. Every step is safe to run more than once.
+const { DataTypes, QueryTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const Transaction = require('../models/Transaction');
+const LedgerEntry = require('../models/LedgerEntry');
+const PurseBalance = require('../models/PurseBalance');
+const { DEFAULT_PURSE } = require('../config/purses');
+const { SYSTEM_ACCOUNTS, writeEntries, reconcileBalances } = require('./ledgerService');
+const { transactionReference } = require('./receiptService');
+
+// Legacy FLOAT column -> new integer paise column
+const LEGACY_COLUMNS = [
+  { table: 'Users', from: 'balance', to: 'balancePaise', defaultValue: 0 },
+  { table: 'Transactions', from: 'amount', to: 'amountPaise', defaultValue: null }
+];
+
+/**
+ * Converts the FLOAT columns to paise and drops them.
+ * Must run BEFORE sequelize.sync({ alter: true }), which would otherwise
+ * drop the legacy columns (and the money in them) without converting.
+ */
+async function convertLegacyFloatColumns() {
+  const queryInterface = sequelize.getQueryInterface();
+
+  for (const { table, from, to, defaultValue } of LEGACY_COLUMNS) {
+    let columns;
+    try {
+      columns = await queryInterface.describeTable(table);
+    } catch (error) {
+      continue; // Fresh database, sync will create the table
+    }
+    if (!columns[from]) continue;
+
+    await sequelize.transaction(async (t) => {
+      if (!columns[to]) {
+        await queryInterface.addColumn(table, to, {
+          type: DataTypes.INTEGER,
+          allowNull: true
+        }, { transaction: t });
+      }
+      await sequelize.query(
+        `UPDATE "${table}" SET "${to}" = ROUND("${from}" * 100) WHERE "${to}" IS NULL`,
+        { transaction: t }
+      );
+      if (defaultValue !== null) {
+        await sequelize.query(
+          `UPDATE "${table}" SET "${to}" = ${defaultValue} WHERE "${to}" IS NULL`,
+          { transaction: t }
+        );
+      }
+      await queryInterface.removeColumn(table, from, { transaction: t });
+    });
+
+    console.log(`Migrated ${table}.${from} (FLOAT) -> ${table}.${to} (paise)`);
+  }
+}
+
+// Which parties a pre-ledger Transaction row moved money between
+function legacyParties(tx) {
+  if (tx.type === 'ADMIN_RESET') {
+    return { from: { id: tx.senderId }, to: SYSTEM_ACCOUNTS.RESET };
+  }
+  if (tx.type === 'TOPUP' || tx.senderUserId === 'FINANCE_TOPUP') {
+    return { from: SYSTEM_ACCOUNTS.ISSUANCE, to: { id: tx.receiverId } };
+  }
+  return { from: { id: tx.senderId }, to: { id: tx.receiverId } };
+}
+
+/**
+ * Writes ledger entries for every Transaction that has none (rows created
+ * before the ledger existed). Cached balances are not touched.
+ * Returns the number of transactions backfilled.
+ */
+async function backfillLedgerEntries() {
+  const legacy = await sequelize.query(`
+    SELECT t.id, t.type, t."senderId", t."receiverId", t."senderUserId", t."amountPaise"
+    FROM "Transactions" t
+    WHERE NOT EXISTS (SELECT 1 FROM "LedgerEntries" e WHERE e."transactionId" = t.id)
+      -- Old routes did not validate amounts: zero rows move nothing
+      AND t."amountPaise" <> 0
+    ORDER BY t.id ASC
+  `, { type: QueryTypes.SELECT });
+
+  await sequelize.transaction(async (t) => {
+    for (const tx of legacy) {
+      // Negative rows moved money the other way
+      const { from, to } = legacyParties(tx);
+      if (tx.amountPaise < 0) {
+        await writeEntries(tx.id, to, from, -tx.amountPaise, t);
+      } else {
+        await writeEntries(tx.id, from, to, tx.amountPaise, t);
+      }
+    }
+  });
+
+  return legacy.length;
+}
+
+/**
+ * Posts an ADJUSTMENT for every user whose cached balance differs from the
+ * ledger (the rounding drift left behind by FLOAT arithmetic), so that the
+ * converted balance becomes the ledger's opening position.
+ */
+async function postDriftAdjustments() {
+  const { mismatches } = await reconcileBalances();
+
+  await sequelize.transaction(async (t) => {
+    for (const row of mismatches) {
+      const user = { id: row.id };
+      const amountPaise = Math.abs(row.differencePaise);
+      const credit = row.differencePaise > 0;
+
+      const adjustment = await Transaction.create({
+        reference: transactionReference(),
+        senderId: row.id,
+        receiverId: row.id,
+        senderName: credit ? 'Ledger Migration' : row.name,
+        receiverName: credit ? row.name : 'Ledger Migration',
+        senderUserId: credit ? 'LEDGER_MIGRATION' : row.userId,
+        receiverUserId: credit ? row.userId : 'LEDGER_MIGRATION',
+        amountPaise,
+        type: 'ADJUSTMENT',
+        metadata: {
+          reason: 'FLOAT to paise ledger migration',
+          cachedBalance: row.cachedBalance,
+          ledgerBalance: row.ledgerBalance,
+          timestamp: new Date().toISOString()
+        }
+      }, { transaction: t });
+
+      await writeEntries(
+        adjustment.id,
+        credit ? SYSTEM_ACCOUNTS.ADJUSTMENT : user,
+        credit ? user : SYSTEM_ACCOUNTS.ADJUSTMENT,
+        amountPaise,
+        t
+      );
+    }
+  });
+
+  return mismatches;
+}
+
+/**
+ * Moves money from before purses existed into DEFAULT_PURSE: wallet ledger
+ * entries and the user sides of Transaction rows without a purse get it,
+ * and every wallet with a balance but no purse rows yet gets one
+ * DEFAULT_PURSE row holding the whole balance.
+ * Returns the number of wallets given an opening purse.
+ */
+async function backfillPurseBalances() {
+  return sequelize.transaction(async (t) => {
+    await sequelize.query(
+      'UPDATE "LedgerEntries" SET purse = :purse WHERE "userId" IS NOT NULL AND purse IS NULL',
+      { replacements: { purse: DEFAULT_PURSE }, transaction: t }
+    );
+
+    // A Transaction side is a wallet when its ledger entry belongs to a user
+    for (const [column, direction] of [['senderPurse', 'DEBIT'], ['receiverPurse', 'CREDIT']]) {
+      await sequelize.query(`
+        UPDATE "Transactions" t SET "${column}" = :purse
+        WHERE t."${column}" IS NULL
+          AND EXISTS (
+            SELECT 1 FROM "LedgerEntries" e
+            WHERE e."transactionId" = t.id AND e.direction = '${direction}' AND e."userId" IS NOT NULL
+          )
+      `, { replacements: { purse: DEFAULT_PURSE }, transaction: t });
+    }
+
+    const opened = await sequelize.query(`
+      INSERT INTO "PurseBalances" ("userId", purse, "balancePaise", "createdAt", "updatedAt")
+      SELECT u.id, :purse, u."balancePaise", NOW(), NOW()
+      FROM "Users" u
+      WHERE u."balancePaise" <> 0
+        AND NOT EXISTS (SELECT 1 FROM "PurseBalances" p WHERE p."userId" = u.id)
+      RETURNING "userId"
+    `, { replacements: { purse: DEFAULT_PURSE }, type: QueryTypes.SELECT, transaction: t });
+
+    return opened.length;
+  });
+}
+
+/**
+ * Full migration: convert columns, create the ledger table, backfill old
+ * transactions and absorb drift. Returns the final reconciliation report.
+ */
+async function migrateToLedger() {
+  await convertLegacyFloatColumns();
+  // Plain sync: adds new enum values / the ledger table without altering
+  // columns that only index.js associations know about (senderId, receiverId)
+  await Transaction.sync();
+  await LedgerEntry.sync();
+  await PurseBalance.sync();
+
+  const backfilled = await backfillLedgerEntries();
+  const adjusted = await postDriftAdjustments();
+  await backfillPurseBalances();
+  const report = await reconcileBalances();
+
+  return { backfilled, adjusted, report };
+}
+
+module.exports = {
+  convertLegacyFloatColumns,
+  backfillLedgerEntries,
+  postDriftAdjustments,
+  backfillPurseBalances,
+  migrateToLedger
+};
@@ -0,0 +1,363 @@
+// services/ledgerService.js
+// Double-entry posting API. Every money movement in the wallet goes through
+// post(): it writes the Transaction record, a balanced DEBIT/CREDIT pair of
+// LedgerEntries and the cached User.balancePaise and PurseBalance of the
+// users involved.
+const { Op, QueryTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const User = require('../models/User');
+const Transaction = require('../models/Transaction');
+const LedgerEntry = require('../models/LedgerEntry');
+const PurseBalance = require('../models/PurseBalance');
+const CreditLot = require('../models/CreditLot');
+const { DEFAULT_PURSE } = require('../config/purses');
+const { transactionReference } = require('./receiptService');
+const httpError = require('../utils/httpError');
+const { toRupees } = require('../utils/money');
+
+// Accounts that do not belong to a user. Their balances are derived from
+// the entries only (ISSUANCE goes negative by the amount in circulation).
+const SYSTEM_ACCOUNTS = {
+  ISSUANCE: 'SYSTEM:ISSUANCE',     // source of Finance top-ups
+  RESET: 'SYSTEM:RESET',           // sink for admin balance resets
+  ADJUSTMENT: 'SYSTEM:ADJUSTMENT', // float -> paise migration corrections
+  VOUCHER_HOLD: 'SYSTEM:VOUCHER_HOLD', // money behind issued, unsettled offline vouchers
+  SETTLEMENT: 'SYSTEM:SETTLEMENT'      // vendor takings closed by Finance for payout
+};
+
+// A party is either a User (anything with an `id`) or a SYSTEM_ACCOUNTS code
+const isUser = (party) => typeof party !== 'string';
+const accountFor = (party) => (isUser(party) ? `USER:${party.id}` : party);
+
+// Sender/receiver columns of the Transaction record for a user party
+function partyFields(party, side, purse) {
+  if (!isUser(party)) return {};
+  return {
+    [`${side}Id`]: party.id,
+    [`${side}Name`]: party.name,
+    [`${side}UserId`]: party.userId,
+    [`${side}Purse`]: purse
+  };
+}
+
+// Writes the balanced entry pair for an existing Transaction row.
+// Does not touch cached balances (used directly by the migration backfill).
+async function writeEntries(transactionId, from, to, amountPaise, t, { fromPurse = DEFAULT_PURSE, toPurse = DEFAULT_PURSE } = {}) {
+  return LedgerEntry.bulkCreate([
+    {
+      transactionId,
+      account: accountFor(from),
+      userId: isUser(from) ? from.id : null,
+      purse: isUser(from) ? fromPurse : null,
+      direction: 'DEBIT',
+      amountPaise
+    },
+    {
+      transactionId,
+      account: accountFor(to),
+      userId: isUser(to) ? to.id : null,
+      purse: isUser(to) ? toPurse : null,
+      direction: 'CREDIT',
+      amountPaise
+    }
+  ], { transaction: t });
+}
+
+/**
+ * Locks the matching wallet rows (SELECT ... FOR UPDATE) in ascending id
+ * order. Every operation that touches several wallets takes its locks
+ * through here, so two requests never wait on each other's rows in
+ * opposite order and cannot deadlock.
+ */
+async function lockUsers(where, t) {
+  return User.findAll({
+    where,
+    order: [['id', 'ASC']],
+    lock: t.LOCK.UPDATE,
+    transaction: t
+  });
+}
+
+/**
+ * Draws `amountPaise` of a debit from the purse's expiring credit lots,
+ * soonest expiry first. Lots already past expiry are only drained by
+ * ADMIN_RESET postings (manual resets and the expiry sweep); for any other
+ * debit that money is not spendable.
+ * Returns { reservedPaise, drawn }: the paise the debit must leave
+ * untouched in the purse, and [{ creditLotId, expiresAt, paise }] taken from
+ * unexpired lots (so money given back can expire again, see creditsToRestore).
+ */
+async function drawCreditLots(user, purse, amountPaise, type, t) {
+  const lots = await CreditLot.findAll({
+    where: { userId: user.id, purse, status: 'ACTIVE' },
+    order: [['expiresAt', 'ASC'], ['id', 'ASC']],
+    lock: t.LOCK.UPDATE,
+    transaction: t
+  });
+
+  const now = new Date();
+  const draining = type === 'ADMIN_RESET';
+  let reservedPaise = 0;
+  let leftPaise = amountPaise;
+  const drawn = [];
+
+  for (const lot of lots) {
+    const expired = lot.expiresAt <= now;
+    if (expired && !draining) {
+      reservedPaise += lot.remainingPaise;
+      continue;
+    }
+    if (leftPaise === 0) break;
+
+    const takePaise = Math.min(leftPaise, lot.remainingPaise);
+    lot.remainingPaise -= takePaise;
+    if (expired) {
+      lot.expiredPaise += takePaise;
+    }
+    if (lot.remainingPaise === 0) {
+      lot.status = expired ? 'EXPIRED' : 'CONSUMED';
+    }
+    await lot.save({ transaction: t });
+    leftPaise -= takePaise;
+    if (!expired) {
+      drawn.push({ creditLotId: lot.id, expiresAt: lot.expiresAt.toISOString(), paise: takePaise });
+    }
+  }
+
+  return { reservedPaise, drawn };
+}
+
+// Changes one purse with a conditional UPDATE (debits) or an upsert
+// (credits; purse rows are created on first use). Returns the expiring
+// credit a debit drew (see drawCreditLots).
+async function applyPurseDelta(user, purse, deltaPaise, type, t) {
+  if (deltaPaise > 0) {
+    await sequelize.query(`
+      INSERT INTO "PurseBalances" ("userId", purse, "balancePaise", "createdAt", "updatedAt")
+      VALUES (:userId, :purse, :deltaPaise, NOW(), NOW())
+      ON CONFLICT ("userId", purse)
+      DO UPDATE SET "balancePaise" = "PurseBalances"."balancePaise" + EXCLUDED."balancePaise", "updatedAt" = NOW()
+    `, { replacements: { userId: user.id, purse, deltaPaise }, transaction: t });
+    return [];
+  }
+
+  const { reservedPaise, drawn } = await drawCreditLots(user, purse, -deltaPaise, type, t);
+
+  const [count] = await PurseBalance.update(
+    { balancePaise: sequelize.literal(`"balancePaise" + ${deltaPaise}`) },
+    { where: { userId: user.id, purse, balancePaise: { [Op.gte]: reservedPaise - deltaPaise } }, transaction: t }
+  );
+  if (count === 0) {
+    throw httpError(400, `Insufficient ${purse} balance.`);
+  }
+  return drawn;
+}
+
+// Changes a cached balance with one conditional UPDATE. A debit only
+// matches while the balance still covers it, so even a caller that forgot
+// to lock the row cannot overdraw the wallet.
+async function applyBalanceDelta(user, purse, deltaPaise, type, t) {
+  const drawn = await applyPurseDelta(user, purse, deltaPaise, type, t);
+
+  const where = { id: user.id };
+  if (deltaPaise < 0) {
+    where.balancePaise = { [Op.gte]: -deltaPaise };
+  }
+
+  const [count, rows] = await User.update(
+    { balancePaise: sequelize.literal(`"balancePaise" + ${deltaPaise}`) },
+    { where, returning: true, transaction: t }
+  );
+  if (count === 0) {
+    throw httpError(400, 'Insufficient balance.');
+  }
+
+  // Keep the caller's instance current without marking it dirty
+  user.setDataValue('balancePaise', rows[0].balancePaise);
+  user.changed('balancePaise', false);
+  return drawn;
+}
+
+/**
+ * Moves `amountPaise` from one party to another inside the caller's
+ * sequelize transaction `t`.
+ *
+ * `fromPurse` / `toPurse` pick the purses of user parties (see
+ * purseService.receivingPurse for the spending rules callers enforce).
+ * `expiresAt` makes the credit to a user expire (see models/CreditLot.js);
+ * `expiringParts` ([{ amountPaise, expiresAt }], from creditsToRestore)
+ * makes only those parts of it expire, each on its own date.
+ * Expiring credit the sender spends is listed in metadata.creditsDrawn.
+ * `record` overrides the sender/receiver columns of the Transaction row,
+ * which is needed whenever one side is a system account.
+ * Returns the created Transaction.
+ */
+async function post({
+  from,
+  to,
+  amountPaise,
+  fromPurse = DEFAULT_PURSE,
+  toPurse = DEFAULT_PURSE,
+  type = 'TRANSFER',
+  record = {},
+  metadata = null,
+  expiresAt = null,
+  expiringParts = []
+}, t) {
+  if (!t) {
+    throw new Error('Ledger postings must run inside a database transaction.');
+  }
+  if (!Number.isInteger(amountPaise) || amountPaise <= 0) {
+    throw httpError(400, 'Amount must be a positive number.');
+  }
+  if (accountFor(from) === accountFor(to)) {
+    throw httpError(400, 'Cannot send money to yourself.');
+  }
+  // Cashier logins take payments into their vendor's wallet (services/outletService.js)
+  if ([from, to].some(party => isUser(party) && party.role === 'Cashier')) {
+    throw httpError(403, 'Cashier accounts cannot send or hold money.');
+  }
+  const lots = expiresAt ? [{ amountPaise, expiresAt }] : expiringParts;
+  if (lots.length > 0 && !isUser(to)) {
+    throw new Error('Only credits to a user can expire.');
+  }
+
+  const drawn = isUser(from) ? await applyBalanceDelta(from, fromPurse, -amountPaise, type, t) : [];
+
+  if (isUser(to)) {
+    await applyBalanceDelta(to, toPurse, amountPaise, type, t);
+  }
+
+  const transaction = await Transaction.create({
+    ...partyFields(from, 'sender', fromPurse),
+    ...partyFields(to, 'receiver', toPurse),
+    ...record,
+    reference: transactionReference(),
+    amountPaise,
+    type,
+    metadata: expiresAt || drawn.length > 0
+      ? {
+        ...metadata,
+        ...(expiresAt ? { creditExpiresAt: expiresAt.toISOString() } : {}),
+        ...(drawn.length > 0 ? { creditsDrawn: drawn } : {})
+      }
+      : metadata
+  }, { transaction: t });
+
+  await writeEntries(transaction.id, from, to, amountPaise, t, { fromPurse, toPurse });
+
+  for (const lot of lots) {
+    await CreditLot.create({
+      userId: to.id,
+      purse: toPurse,
+      transactionId: transaction.id,
+      amountPaise: lot.amountPaise,
+      remainingPaise: lot.amountPaise,
+      expiresAt: lot.expiresAt
+    }, { transaction: t });
+  }
+
+  return transaction;
+}
+
+/**
+ * The expiring parts of money given back from debit `original` (refunds,
+ * reversals, voucher releases), as `expiringParts` for post(). Returns are
+ * matched against the credit drawn, soonest expiry first, continuing after
+ * the `alreadyReturnedPaise` given back before; the rest never expired.
+ * A part whose date has passed reopens as an already-expired lot, which is
+ * not spendable and goes in the next expiry sweep.
+ */
+function creditsToRestore(original, returnPaise, alreadyReturnedPaise = 0) {
+  const drawn = (original.metadata && original.metadata.creditsDrawn) || [];
+  const start = alreadyReturnedPaise;
+  const end = alreadyReturnedPaise + returnPaise;
+  const parts = [];
+
+  let position = 0;
+  for (const { expiresAt, paise } of drawn) {
+    const overlap = Math.min(end, position + paise) - Math.max(start, position);
+    if (overlap > 0) {
+      parts.push({ amountPaise: overlap, expiresAt: new Date(expiresAt) });
+    }
+    position += paise;
+  }
+  return parts;
+}
+
+/**
+ * Checks the cached balances against the ledger.
+ * Returns users whose balancePaise (or one of whose purses) differs from
+ * the sum of their entries, transactions whose entries do not net to zero,
+ * and the global net.
+ */
+async function reconcileBalances() {
+  const mismatches = await sequelize.query(`
+    SELECT u.id, u."userId", u.name, u."balancePaise",
+           COALESCE(SUM(CASE e.direction WHEN 'CREDIT' THEN e."amountPaise" ELSE -e."amountPaise" END), 0) AS "ledgerPaise"
+    FROM "Users" u
+    LEFT JOIN "LedgerEntries" e ON e."userId" = u.id
+    GROUP BY u.id
+    HAVING u."balancePaise" <> COALESCE(SUM(CASE e.direction WHEN 'CREDIT' THEN e."amountPaise" ELSE -e."amountPaise" END), 0)
+  `, { type: QueryTypes.SELECT });
+
+  const unbalanced = await sequelize.query(`
+    SELECT "transactionId"
+    FROM "LedgerEntries"
+    GROUP BY "transactionId"
+    HAVING SUM(CASE direction WHEN 'CREDIT' THEN "amountPaise" ELSE -"amountPaise" END) <> 0
+  `, { type: QueryTypes.SELECT });
+
+  // Purse balances against the entries of each (user, purse)
+  const purseMismatches = await sequelize.query(`
+    WITH ledger AS (
+      SELECT "userId", purse,
+             SUM(CASE direction WHEN 'CREDIT' THEN "amountPaise" ELSE -"amountPaise" END) AS paise
+      FROM "LedgerEntries"
+      WHERE "userId" IS NOT NULL
+      GROUP BY "userId", purse
+    )
+    SELECT COALESCE(p."userId", l."userId") AS "userId",
+           COALESCE(p.purse, l.purse) AS purse,
+           COALESCE(p."balancePaise", 0) AS "cachedPaise",
+           COALESCE(l.paise, 0) AS "ledgerPaise"
+    FROM "PurseBalances" p
+    FULL OUTER JOIN ledger l ON l."userId" = p."userId" AND l.purse = p.purse
+    WHERE COALESCE(p."balancePaise", 0) <> COALESCE(l.paise, 0)
+  `, { type: QueryTypes.SELECT });
+
+  const [{ net }] = await sequelize.query(`
+    SELECT COALESCE(SUM(CASE direction WHEN 'CREDIT' THEN "amountPaise" ELSE -"amountPaise" END), 0) AS net
+    FROM "LedgerEntries"
+  `, { type: QueryTypes.SELECT });
+
+  return {
+    balanced: mismatches.length === 0 && purseMismatches.length === 0 && unbalanced.length === 0 && Number(net) === 0,
+    netPaise: Number(net),
+    unbalancedTransactionIds: unbalanced.map(row => row.transactionId),
+    mismatches: mismatches.map(row => ({
+      id: row.id,
+      userId: row.userId,
+      name: row.name,
+      cachedBalance: toRupees(row.balancePaise),
+      ledgerBalance: toRupees(row.ledgerPaise),
+      differencePaise: Number(row.balancePaise) - Number(row.ledgerPaise)
+    })),
+    purseMismatches: purseMismatches.map(row => ({
+      id: row.userId,
+      purse: row.purse,
+      cachedBalance: toRupees(row.cachedPaise),
+      ledgerBalance: toRupees(row.ledgerPaise),
+      differencePaise: Number(row.cachedPaise) - Number(row.ledgerPaise)
+    }))
+  };
+}
+
+module.exports = {
+  SYSTEM_ACCOUNTS,
+  lockUsers,
+  post,
+  creditsToRestore,
+  writeEntries,
+  reconcileBalances
+};
@@ -0,0 +1,102 @@
+// services/menuService.js
+// Line items on payments to vendors. A payment's items are checked against
+// the vendor's menu and must add up to the amount; the transaction stores a
+// snapshot in metadata.items: [{ itemId, name, quantity, unitPricePaise, lineTotalPaise }].
+const { Op } = require('sequelize');
+const MenuItem = require('../models/MenuItem');
+const httpError = require('../utils/httpError');
+const { toRupees, formatRupees } = require('../utils/money');
+
+const MAX_LINE_ITEMS = 50;
+const MAX_QUANTITY = 100;
+
+/**
+ * Checks `items` ([{ itemId, quantity }]) against `vendor`'s menu.
+ * With `amountPaise` the items must add up to exactly that amount.
+ * Returns { lines, totalPaise }; throws 400 on any problem.
+ */
+async function resolveLineItems(vendor, items, amountPaise = null, t = null) {
+  if (vendor.role !== 'Vendor') {
+    throw httpError(400, 'Line items can only be added to payments to vendors.');
+  }
+  if (!Array.isArray(items) || items.length === 0 || items.length > MAX_LINE_ITEMS) {
+    throw httpError(400, `items must be a list of 1-${MAX_LINE_ITEMS} { itemId, quantity } entries.`);
+  }
+
+  // The same item listed twice is one line
+  const quantities = new Map();
+  for (const entry of items) {
+    const itemId = Number(entry ? entry.itemId : NaN);
+    const quantity = entry && entry.quantity !== undefined ? Number(entry.quantity) : 1;
+    if (!entry || !Number.isInteger(itemId) || !Number.isInteger(quantity) || quantity < 1) {
+      throw httpError(400, 'Every item needs an itemId and a whole quantity of at least 1.');
+    }
+    quantities.set(itemId, (quantities.get(itemId) || 0) + quantity);
+  }
+
+  const menuItems = await MenuItem.findAll({
+    where: { id: { [Op.in]: [...quantities.keys()] }, vendorId: vendor.id },
+    transaction: t
+  });
+  const byId = new Map(menuItems.map(item => [item.id, item]));
+
+  const lines = [];
+  for (const [itemId, quantity] of quantities) {
+    const item = byId.get(itemId);
+    if (!item) {
+      throw httpError(400, `Item #${itemId} is not on ${vendor.name}'s menu.`);
+    }
+    if (!item.available) {
+      throw httpError(400, `${item.name} is not available right now.`);
+    }
+    if (quantity > MAX_QUANTITY) {
+      throw httpError(400, `At most ${MAX_QUANTITY} of ${item.name} per payment.`);
+    }
+    lines.push({
+      itemId,
+      name: item.name,
+      quantity,
+      unitPricePaise: item.pricePaise,
+      lineTotalPaise: item.pricePaise * quantity
+    });
+  }
+
+  const totalPaise = lines.reduce((acc, line) => acc + line.lineTotalPaise, 0);
+  if (amountPaise !== null && totalPaise !== amountPaise) {
+    throw httpError(400, `Items add up to ₹${formatRupees(totalPaise)}, not ₹${formatRupees(amountPaise)}.`);
+  }
+  return { lines, totalPaise };
+}
+
+// "2x Masala Dosa @ 40.00; 1x Filter Coffee @ 15.00" for CSV exports
+const describeLineItems = (lines) => (lines || [])
+  .map(line => `${line.quantity}x ${line.name} @ ${formatRupees(line.unitPricePaise)}`)
+  .join('; ');
+
+/**
+ * Item-level totals of the itemised payments `vendorId` received among
+ * `transactions`, best sellers first (by revenue).
+ */
+function summarizeItemSales(transactions, vendorId) {
+  const byItem = new Map();
+  transactions
+    .filter(tx => tx.receiverId === vendorId && tx.type === 'TRANSFER' && tx.metadata && Array.isArray(tx.metadata.items))
+    .forEach(tx => tx.metadata.items.forEach(line => {
+      const row = byItem.get(line.itemId) || { itemId: line.itemId, name: line.name, quantity: 0, revenuePaise: 0 };
+      row.name = line.name; // latest name wins (transactions are oldest first)
+      row.quantity += line.quantity;
+      row.revenuePaise += line.lineTotalPaise;
+      byItem.set(line.itemId, row);
+    }));
+
+  return [...byItem.values()]
+    .sort((a, b) => b.revenuePaise - a.revenuePaise)
+    .map(({ revenuePaise, ...row }) => ({ ...row, revenue: toRupees(revenuePaise) }));
+}
+
+module.exports = {
+  MAX_LINE_ITEMS,
+  resolveLineItems,
+  describeLineItems,
+  summarizeItemSales
+};
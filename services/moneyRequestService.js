@@ -0,0 +1,42 @@
+// services/moneyRequestService.js
+// Expiry of user-to-user money requests (routes/moneyRequests.js).
+const { Op } = require('sequelize');
+const User = require('../models/User');
+const MoneyRequest = require('../models/MoneyRequest');
+const { emitToUser } = require('./notificationService');
+
+// Same event to both sides of a request
+async function notifyParties(app, request, event, payload = {}) {
+  if (!app) return;
+  const users = await User.findAll({
+    where: { id: [request.requesterId, request.payerId] },
+    attributes: ['id', 'userId']
+  });
+  users.forEach(({ userId }) => emitToUser(app, userId, event, {
+    id: request.id,
+    amount: request.amount,
+    status: request.status,
+    ...payload
+  }));
+}
+
+/**
+ * Marks PENDING requests past their expiry as EXPIRED and tells both
+ * parties. `where` narrows it (e.g. one user's requests before a list).
+ */
+async function expireMoneyRequests(app, where = {}) {
+  const [count, expired] = await MoneyRequest.update(
+    { status: 'EXPIRED' },
+    { where: { ...where, status: 'PENDING', expiresAt: { [Op.lte]: new Date() } }, returning: true }
+  );
+
+  for (const request of expired) {
+    await notifyParties(app, request, 'money_request_expired');
+  }
+  return count;
+}
+
+module.exports = {
+  notifyParties,
+  expireMoneyRequests
+};
@@ -0,0 +1,16 @@
+// services/notificationService.js
+// Socket.io helpers. index.js keeps `io` and the userId -> socketId map on the app.
+
+// Emits `event` to a user if they are online. `app` is the express app
+// (req.app inside routes), so background jobs can notify users too.
+const emitToUser = (app, userId, event, payload) => {
+  const io = app.get('io');
+  const onlineUsers = app.get('onlineUsers');
+  const socketId = onlineUsers && onlineUsers.get(userId);
+
+  if (io && socketId) {
+    io.to(socketId).emit(event, payload);
+  }
+};
+
+module.exports = { emitToUser };
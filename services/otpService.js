@@ -0,0 +1,120 @@
+// services/otpService.js
+// Purpose-bound one-time codes. A code is hashed with the user and purpose
+// in the key, so a password-reset code can never complete an S-Pin reset.
+// Each code works once, locks after OTP_MAX_ATTEMPTS wrong guesses, and a
+// new one can only be sent every OTP_RESEND_COOLDOWN_SECONDS.
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const OneTimePassword = require('../models/OneTimePassword');
+const { sendOtpEmail } = require('./emailService');
+const httpError = require('../utils/httpError');
+const {
+  OTP_PURPOSES,
+  OTP_LENGTH,
+  OTP_TTL_MINUTES,
+  OTP_MAX_ATTEMPTS,
+  OTP_RESEND_COOLDOWN_SECONDS,
+  OTP_RETENTION_DAYS
+} = require('../config/otp');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const newCode = () => crypto.randomInt(0, 10 ** OTP_LENGTH).toString().padStart(OTP_LENGTH, '0');
+
+const hashCode = (userId, purpose, code) => crypto
+  .createHmac('sha256', process.env.JWT_SECRET)
+  .update(`${userId}:${purpose}:${code}`)
+  .digest('hex');
+
+/**
+ * Sends `user` a new code for `purpose` (a key of OTP_PURPOSES) and
+ * supersedes any pending one. 429 inside the resend cooldown, with
+ * `details.retryAfterSeconds`.
+ */
+async function issueOtp(user, purpose) {
+  const code = newCode();
+
+  // The pending code is only superseded once the new one has been sent, in
+  // the same transaction: if sending fails it stays valid and no cooldown
+  // starts
+  await sequelize.transaction(async (t) => {
+    const last = await OneTimePassword.findOne({
+      where: { userId: user.id, purpose },
+      order: [['createdAt', 'DESC']],
+      lock: t.LOCK.UPDATE,
+      transaction: t
+    });
+    const waitMs = last ? last.createdAt.getTime() + OTP_RESEND_COOLDOWN_SECONDS * 1000 - Date.now() : 0;
+    if (waitMs > 0) {
+      const retryAfterSeconds = Math.ceil(waitMs / 1000);
+      throw httpError(429, `Please wait ${retryAfterSeconds} second(s) before requesting another OTP.`, { retryAfterSeconds });
+    }
+
+    await sendOtpEmail(user.smail, code, OTP_PURPOSES[purpose], OTP_TTL_MINUTES);
+
+    await OneTimePassword.update(
+      { status: 'SUPERSEDED' },
+      { where: { userId: user.id, purpose, status: 'PENDING' }, transaction: t }
+    );
+    await OneTimePassword.create({
+      userId: user.id,
+      purpose,
+      codeHash: hashCode(user.id, purpose, code),
+      expiresAt: new Date(Date.now() + OTP_TTL_MINUTES * 60 * 1000)
+    }, { transaction: t });
+  });
+}
+
+/**
+ * Uses up `user`'s pending `purpose` code if `code` matches it; 400
+ * otherwise. Wrong guesses are counted (and committed) before the 400.
+ */
+async function consumeOtp(user, purpose, code) {
+  const given = typeof code === 'string' ? code.trim() : '';
+  if (!new RegExp(`^\\d{${OTP_LENGTH}}$`).test(given)) {
+    throw httpError(400, `Invalid OTP format. Must be ${OTP_LENGTH} digits.`);
+  }
+
+  // Failed attempts must stay counted, so the outcome is returned rather
+  // than thrown from inside the transaction
+  const outcome = await sequelize.transaction(async (t) => {
+    const otp = await OneTimePassword.findOne({
+      where: { userId: user.id, purpose, status: { [Op.in]: ['PENDING', 'LOCKED'] } },
+      order: [['createdAt', 'DESC']],
+      lock: t.LOCK.UPDATE,
+      transaction: t
+    });
+    if (!otp) return { error: 'No OTP request found. Please request a new OTP.' };
+    if (otp.status === 'LOCKED') return { error: 'Too many wrong attempts. Please request a new OTP.' };
+    if (otp.expiresAt <= new Date()) return { error: 'OTP has expired. Please request a new one.' };
+
+    const expected = Buffer.from(otp.codeHash);
+    if (!crypto.timingSafeEqual(Buffer.from(hashCode(user.id, purpose, given)), expected)) {
+      const attempts = otp.attempts + 1;
+      const left = OTP_MAX_ATTEMPTS - attempts;
+      await otp.update({ attempts, status: left > 0 ? 'PENDING' : 'LOCKED' }, { transaction: t });
+      return {
+        error: left > 0
+          ? `Invalid OTP. ${left} attempt(s) left.`
+          : 'Too many wrong attempts. Please request a new OTP.'
+      };
+    }
+
+    await otp.update({ status: 'USED', usedAt: new Date() }, { transaction: t });
+    return {};
+  });
+
+  if (outcome.error) {
+    throw httpError(400, outcome.error);
+  }
+}
+
+// Deletes codes that stopped being usable more than OTP_RETENTION_DAYS ago
+async function purgeOldOtps() {
+  return OneTimePassword.destroy({
+    where: { expiresAt: { [Op.lt]: new Date(Date.now() - OTP_RETENTION_DAYS * DAY_MS) } }
+  });
+}
+
+module.exports = { issueOtp, consumeOtp, purgeOldOtps };
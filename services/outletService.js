@@ -0,0 +1,162 @@
+// services/outletService.js
+// Vendor outlets and cashier logins. A cashier holds no money: payments to
+// a cashier, or to a checkout a cashier opened, are credited to the
+// merchant's wallet and tagged with the outlet and cashier.
+const bcrypt = require('bcryptjs');
+const { Op, UniqueConstraintError } = require('sequelize');
+const { sequelize } = require('../config/database');
+const User = require('../models/User');
+const Outlet = require('../models/Outlet');
+const Transaction = require('../models/Transaction');
+const httpError = require('../utils/httpError');
+const { toRupees } = require('../utils/money');
+
+// Vendor whose wallet `user` takes payments into (itself for a vendor)
+const merchantIdOf = (user) => (user.role === 'Cashier' ? user.merchantId : user.id);
+
+/**
+ * The counter `cashier` works at: { cashier, outlet, merchantId, record },
+ * `record` being the Transaction columns a payment taken there carries.
+ * 409 while the cashier login or the outlet is closed.
+ */
+async function counterOf(cashier, t = null) {
+  const outlet = await Outlet.findByPk(cashier.outletId, { transaction: t });
+  if (!cashier.active || !outlet || !outlet.active) {
+    throw httpError(409, `${cashier.name}'s counter is closed right now.`);
+  }
+  return {
+    cashier,
+    outlet,
+    merchantId: cashier.merchantId,
+    record: { outletId: outlet.id, cashierId: cashier.id }
+  };
+}
+
+// counterOf() the cashier with login `userId`; null if it is not a cashier
+async function findCounter(userId, t = null) {
+  const cashier = await User.findOne({ where: { userId, role: 'Cashier' }, transaction: t });
+  return cashier ? counterOf(cashier, t) : null;
+}
+
+/**
+ * Creates a cashier login for `outlet` of `merchant`. Logins are numbered
+ * per merchant: VE00A001-C01, VE00A001-C02, ...
+ */
+async function createCashier({ merchant, outlet, name, password }) {
+  const salt = await bcrypt.genSalt(10);
+  const hashed = await bcrypt.hash(password, salt);
+
+  // Two cashiers created at once can pick the same number; retry then
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await sequelize.transaction(async (t) => {
+        const count = await User.count({ where: { merchantId: merchant.id, role: 'Cashier' }, transaction: t });
+        return User.create({
+          name,
+          userId: `${merchant.userId}-C${String(count + 1).padStart(2, '0')}`,
+          password: hashed,
+          role: 'Cashier',
+          merchantId: merchant.id,
+          outletId: outlet.id
+        }, { transaction: t });
+      });
+    } catch (error) {
+      if (!(error instanceof UniqueConstraintError) || attempt >= 4) throw error;
+    }
+  }
+}
+
+// Running totals in paise, plus their rupee view
+const emptyTally = () => ({ payments: 0, receivedPaise: 0, refundedPaise: 0 });
+const addToTally = (tally, row) => {
+  if (row.type === 'REFUND') {
+    tally.refundedPaise += Number(row.paise);
+  } else {
+    tally.payments += Number(row.count);
+    tally.receivedPaise += Number(row.paise);
+  }
+};
+const tallyView = (tally) => ({
+  payments: tally.payments,
+  received: toRupees(tally.receivedPaise),
+  refunds: toRupees(tally.refundedPaise),
+  net: toRupees(tally.receivedPaise - tally.refundedPaise)
+});
+
+// Payments a merchant took and refunds it gave, optionally within `createdAt`
+const takingsWhere = (merchantId, createdAt = null) => ({
+  [Op.or]: [
+    { receiverId: merchantId, type: 'TRANSFER' },
+    { senderId: merchantId, type: 'REFUND' }
+  ],
+  ...(createdAt ? { createdAt } : {})
+});
+
+/**
+ * Takings of `merchantId` per outlet and per cashier. Payments made to the
+ * merchant's own login are reported as `direct`.
+ */
+async function revenueBreakdown(merchantId, createdAt = null) {
+  const [rows, outlets, cashiers] = await Promise.all([
+    Transaction.findAll({
+      where: takingsWhere(merchantId, createdAt),
+      attributes: [
+        'outletId',
+        'cashierId',
+        'type',
+        [sequelize.fn('COUNT', sequelize.col('id')), 'count'],
+        [sequelize.fn('SUM', sequelize.col('amountPaise')), 'paise']
+      ],
+      group: ['outletId', 'cashierId', 'type'],
+      raw: true
+    }),
+    Outlet.findAll({ where: { merchantId }, order: [['name', 'ASC']] }),
+    User.findAll({ where: { merchantId, role: 'Cashier' }, attributes: ['id', 'name', 'userId', 'outletId'], order: [['userId', 'ASC']] })
+  ]);
+
+  const total = emptyTally();
+  const direct = emptyTally();
+  const byOutlet = new Map(outlets.map(outlet => [outlet.id, emptyTally()]));
+  const byCashier = new Map();
+  for (const row of rows) {
+    addToTally(total, row);
+    if (!row.outletId) {
+      addToTally(direct, row);
+      continue;
+    }
+    addToTally(byOutlet.get(row.outletId), row);
+    if (row.cashierId) {
+      const key = `${row.outletId}:${row.cashierId}`;
+      if (!byCashier.has(key)) byCashier.set(key, emptyTally());
+      addToTally(byCashier.get(key), row);
+    }
+  }
+
+  // A cashier moved between outlets shows up under each outlet it took money at
+  const cashierById = new Map(cashiers.map(cashier => [cashier.id, cashier]));
+  return {
+    outlets: outlets.map(outlet => ({
+      id: outlet.id,
+      name: outlet.name,
+      active: outlet.active,
+      ...tallyView(byOutlet.get(outlet.id)),
+      cashiers: [...byCashier.entries()]
+        .filter(([key]) => key.startsWith(`${outlet.id}:`))
+        .map(([key, tally]) => {
+          const cashier = cashierById.get(Number(key.split(':')[1]));
+          return { name: cashier.name, userId: cashier.userId, ...tallyView(tally) };
+        })
+    })),
+    direct: tallyView(direct),
+    total: tallyView(total)
+  };
+}
+
+module.exports = {
+  merchantIdOf,
+  counterOf,
+  findCounter,
+  createCashier,
+  takingsWhere,
+  revenueBreakdown
+};
@@ -0,0 +1,87 @@
+// services/purseService.js
+// Spending rules and lookups for earmarked purses (see config/purses.js).
+const PurseBalance = require('../models/PurseBalance');
+const httpError = require('../utils/httpError');
+const { toRupees } = require('../utils/money');
+const {
+  PURSES,
+  DEFAULT_PURSE,
+  DEFAULT_VENDOR_CATEGORY,
+  PURSE_VENDOR_CATEGORIES,
+  ALLOCATOR_ROLES
+} = require('../config/purses');
+
+// Request value -> purse name. Missing means DEFAULT_PURSE.
+function parsePurse(value) {
+  if (value === undefined || value === null || value === '') {
+    return DEFAULT_PURSE;
+  }
+  const purse = String(value).toUpperCase();
+  if (!PURSES.includes(purse)) {
+    throw httpError(400, `Unknown purse "${value}". Use one of: ${PURSES.join(', ')}.`);
+  }
+  return purse;
+}
+
+const vendorCategoryOf = (vendor) => vendor.vendorCategory || DEFAULT_VENDOR_CATEGORY;
+
+function vendorAccepts(vendor, purse) {
+  const categories = PURSE_VENDOR_CATEGORIES[purse];
+  return !categories || categories.includes(vendorCategoryOf(vendor));
+}
+
+/**
+ * Purse that `receiver` is credited in when `sender` pays from `purse`.
+ * Throws 403 when the purse rules forbid the payment.
+ *
+ * - Vendors are always credited in DEFAULT_PURSE: what they take is
+ *   earnings, whatever purse the customer paid from.
+ * - Restricted purse money only reaches a non-vendor as an allocation from
+ *   an ALLOCATOR_ROLES sender, and stays in the same purse.
+ */
+function receivingPurse(sender, receiver, purse) {
+  if (receiver.role === 'Vendor') {
+    if (!vendorAccepts(receiver, purse)) {
+      throw httpError(403, `${receiver.name} does not accept ${purse} balance.`);
+    }
+    return DEFAULT_PURSE;
+  }
+
+  if (PURSE_VENDOR_CATEGORIES[purse] && !ALLOCATOR_ROLES.includes(sender.role)) {
+    throw httpError(403, `${purse} balance can only be spent at ${PURSE_VENDOR_CATEGORIES[purse].join('/')} vendors.`);
+  }
+  return purse;
+}
+
+/**
+ * The purse of `userDbId`'s side of a Transaction row, for history and
+ * statements. Rows from before purses existed are DEFAULT_PURSE.
+ */
+function purseOf(tx, userDbId) {
+  const own = tx.senderId === userDbId ? tx.senderPurse : null;
+  return own || (tx.receiverId === userDbId ? tx.receiverPurse : null) || DEFAULT_PURSE;
+}
+
+// { GENERAL: 12.5, FOOD: 0, ... } in rupees, every purse present
+async function purseBalances(userDbId, t = null) {
+  const rows = await PurseBalance.findAll({
+    where: { userId: userDbId },
+    attributes: ['purse', 'balancePaise'],
+    transaction: t
+  });
+
+  const balances = Object.fromEntries(PURSES.map(purse => [purse, 0]));
+  rows.forEach(row => {
+    balances[row.purse] = toRupees(row.balancePaise);
+  });
+  return balances;
+}
+
+module.exports = {
+  parsePurse,
+  vendorCategoryOf,
+  vendorAccepts,
+  receivingPurse,
+  purseOf,
+  purseBalances
+};
@@ -0,0 +1,272 @@
+// services/receiptService.js
+// Transaction reference numbers and signed receipts. Receipts are signed
+// with an Ed25519 key, so anyone holding the public key can check one
+// offline. The short verification code printed on a receipt is derived
+// from its signature, so a screenshot can be checked by reference + code.
+const crypto = require('crypto');
+const { QueryTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const Transaction = require('../models/Transaction');
+const { codeFromBytes, randomCode } = require('../utils/codes');
+const { istDateString } = require('../utils/time');
+const { toRupees, formatRupees } = require('../utils/money');
+const { signingKeyLoader } = require('../utils/signingKeys');
+
+const RECEIPT_VERSION = 'SR1';
+const VERIFICATION_CODE_LENGTH = 10;
+const BACKFILL_BATCH_SIZE = 500;
+
+// TX-YYMMDD-XXXXXXXX for a transaction created at `date` (IST day). With
+// 31^8 codes per day a collision is not a practical concern, so postings
+// do not retry on one.
+const transactionReference = (date = new Date()) =>
+  `TX-${istDateString(date).slice(2).replace(/-/g, '')}-${randomCode(8)}`;
+
+// Issued receipts must verify across restarts, so the server does not
+// start without RECEIPT_SIGNING_KEY (checked in index.js)
+const keys = signingKeyLoader('RECEIPT_SIGNING_KEY');
+
+const publicKeyPem = () => keys().publicKey.export({ type: 'spki', format: 'pem' });
+
+const party = (side = {}) => ({
+  name: side.name ?? null,
+  userId: side.userId ?? null,
+  purse: side.purse ?? null
+});
+
+/**
+ * The signed fields of a receipt in a fixed order. Receipts handed in for
+ * verification go through here too, so key order and unknown keys never
+ * change the signed bytes.
+ */
+const normalize = (receipt) => ({
+  version: receipt.version,
+  reference: receipt.reference,
+  transactionId: receipt.transactionId,
+  type: receipt.type,
+  amountPaise: receipt.amountPaise,
+  amount: receipt.amount,
+  from: party(receipt.from),
+  to: party(receipt.to),
+  outlet: receipt.outlet ?? null,
+  items: Array.isArray(receipt.items)
+    ? receipt.items.map(line => ({
+      name: line.name,
+      quantity: line.quantity,
+      unitPricePaise: line.unitPricePaise,
+      lineTotalPaise: line.lineTotalPaise
+    }))
+    : null,
+  createdAt: receipt.createdAt
+});
+
+const signedBytes = (receipt) => Buffer.from(JSON.stringify(normalize(receipt)));
+
+const verificationCodeOf = (signature) =>
+  codeFromBytes(crypto.createHash('sha256').update(signature).digest(), VERIFICATION_CODE_LENGTH);
+
+// The receipt document of `tx` (the facts that never change after posting).
+// The outlet name is the copy taken at posting, since outlets can be renamed.
+async function buildReceipt(tx) {
+  const meta = tx.metadata || {};
+  const items = Array.isArray(meta.items) ? meta.items : null;
+
+  return normalize({
+    version: RECEIPT_VERSION,
+    reference: tx.reference,
+    transactionId: tx.id,
+    type: tx.type,
+    amountPaise: tx.amountPaise,
+    amount: formatRupees(tx.amountPaise),
+    from: { name: tx.senderName, userId: tx.senderUserId, purse: tx.senderPurse },
+    to: { name: tx.receiverName, userId: tx.receiverUserId, purse: tx.receiverPurse },
+    outlet: meta.outletName ?? null,
+    items,
+    createdAt: tx.createdAt.toISOString()
+  });
+}
+
+// What happened to the transaction since (not part of the signed receipt)
+const statusOf = (tx) => {
+  const meta = tx.metadata || {};
+  return {
+    refunded: toRupees(meta.refundedPaise || 0),
+    reversed: !!meta.reversedByTransactionId,
+    settled: !!tx.settlementId
+  };
+};
+
+// { receipt, signature, verificationCode, status } for `tx`
+async function signedReceipt(tx) {
+  const receipt = await buildReceipt(tx);
+  const signature = crypto.sign(null, signedBytes(receipt), keys().signingKey).toString('base64url');
+  return { receipt, signature, verificationCode: verificationCodeOf(signature), status: statusOf(tx) };
+}
+
+// Sender, receiver, the cashier who took it, or Finance
+const canViewReceipt = (tx, user) => (
+  [tx.senderId, tx.receiverId, tx.cashierId].includes(user.id) ||
+  (user.department === 'Finance' && user.role === 'Core') || user.role === 'Finance Core'
+);
+
+/**
+ * Checks a receipt document against its signature and the transaction it
+ * names. Returns { valid, reason?, receipt?, status? }.
+ */
+async function verifyReceipt(receipt, signature) {
+  let genuine = false;
+  try {
+    genuine = crypto.verify(null, signedBytes(receipt), keys().publicKey, Buffer.from(signature, 'base64url'));
+  } catch (error) {
+    genuine = false;
+  }
+  if (!genuine) {
+    return { valid: false, reason: 'The signature does not match: this receipt was altered or not issued by the wallet.' };
+  }
+
+  const tx = await Transaction.findOne({ where: { reference: String(receipt.reference) } });
+  if (!tx) {
+    return { valid: false, reason: 'No transaction has this reference.' };
+  }
+  const current = await buildReceipt(tx);
+  if (JSON.stringify(current) !== JSON.stringify(normalize(receipt))) {
+    return { valid: false, reason: 'The receipt does not match the transaction record.' };
+  }
+  return { valid: true, receipt: current, status: statusOf(tx) };
+}
+
+/**
+ * Checks a reference and the verification code printed next to it (e.g.
+ * read off a screenshot). Returns { valid, reason?, receipt?, status? }.
+ */
+async function verifyReferenceCode(reference, code) {
+  const tx = await Transaction.findOne({ where: { reference: String(reference).toUpperCase() } });
+  if (!tx) {
+    return { valid: false, reason: 'No transaction has this reference.' };
+  }
+
+  const signed = await signedReceipt(tx);
+  const given = Buffer.from(String(code || '').toUpperCase().replace(/[\s-]/g, ''));
+  const expected = Buffer.from(signed.verificationCode);
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    return { valid: false, reason: 'The verification code does not match this reference.' };
+  }
+  return { valid: true, receipt: signed.receipt, status: signed.status };
+}
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Printable receipt page for a signedReceipt() result
+function renderReceiptHtml({ receipt, signature, verificationCode, status }) {
+  const row = (label, value) => `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`;
+  const partyText = (side) => (side.userId ? `${side.name} (${side.userId})` : side.name);
+  const items = receipt.items
+    ? `<h2>Items</h2><table>${receipt.items.map(line => row(
+      `${line.quantity} × ${line.name}`,
+      `₹${formatRupees(line.lineTotalPaise)}`
+    )).join('')}</table>`
+    : '';
+  const notes = [
+    status.reversed ? 'This transaction has been reversed.' : null,
+    !status.reversed && status.refunded > 0 ? `₹${status.refunded.toFixed(2)} of it has been refunded.` : null
+  ].filter(Boolean).map(note => `<p class="note">${escapeHtml(note)}</p>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Receipt ${escapeHtml(receipt.reference)}</title>
+<style>
+  body { font-family: sans-serif; max-width: 480px; margin: 2em auto; color: #222; }
+  h1 { font-size: 1.3em; margin-bottom: 0; }
+  .amount { font-size: 2em; margin: 0.4em 0; }
+  table { width: 100%; border-collapse: collapse; }
+  th, td { text-align: left; padding: 4px 0; border-bottom: 1px solid #ddd; vertical-align: top; }
+  th { width: 40%; font-weight: normal; color: #666; }
+  .code { font-family: monospace; font-size: 1.3em; letter-spacing: 2px; }
+  .note { color: #a33; }
+  .signature { font-family: monospace; font-size: 0.7em; word-break: break-all; color: #666; }
+  @media print { button { display: none; } }
+</style>
+</head>
+<body>
+<h1>Shaastra Wallet receipt</h1>
+<p class="amount">₹${escapeHtml(receipt.amount)}</p>
+${notes}
+<table>
+${row('Reference', receipt.reference)}
+${row('Date', new Date(receipt.createdAt).toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' }))}
+${row('Type', receipt.type)}
+${row('From', partyText(receipt.from))}
+${row('To', partyText(receipt.to))}
+${receipt.outlet ? row('Outlet', receipt.outlet) : ''}
+${receipt.from.purse ? row('Paid from', `${receipt.from.purse} purse`) : ''}
+</table>
+${items}
+<h2>Verification</h2>
+<p>Verification code: <span class="code">${escapeHtml(verificationCode)}</span></p>
+<p>Check it with the reference in the wallet app, or verify the signature with the receipt public key.</p>
+<p class="signature">${escapeHtml(signature)}</p>
+<button onclick="window.print()">Print</button>
+</body>
+</html>
+`;
+}
+
+/**
+ * Gives every transaction from before references existed one.
+ * Safe to run more than once; returns the number of rows filled in.
+ */
+async function backfillTransactionReferences() {
+  let filled = 0;
+  for (;;) {
+    const rows = await Transaction.findAll({
+      where: { reference: null },
+      attributes: ['id', 'createdAt'],
+      limit: BACKFILL_BATCH_SIZE
+    });
+    if (rows.length === 0) return filled;
+
+    for (const row of rows) {
+      await Transaction.update(
+        { reference: transactionReference(row.createdAt) },
+        { where: { id: row.id }, silent: true }
+      );
+    }
+    filled += rows.length;
+  }
+}
+
+/**
+ * Copies the outlet name into transactions taken at an outlet before
+ * postings kept their own copy. Safe to run more than once; returns the
+ * number of rows filled in.
+ */
+async function backfillOutletNames() {
+  const rows = await sequelize.query(`
+    UPDATE "Transactions" AS tx
+    SET metadata = COALESCE(tx.metadata, '{}'::jsonb) || jsonb_build_object('outletName', o.name)
+    FROM "Outlets" AS o
+    WHERE tx."outletId" = o.id
+      AND (tx.metadata IS NULL OR NOT tx.metadata ? 'outletName')
+    RETURNING tx.id
+  `, { type: QueryTypes.SELECT });
+  return rows.length;
+}
+
+module.exports = {
+  transactionReference,
+  publicKeyPem,
+  signedReceipt,
+  canViewReceipt,
+  verifyReceipt,
+  verifyReferenceCode,
+  renderReceiptHtml,
+  backfillTransactionReferences,
+  backfillOutletNames
+};
@@ -0,0 +1,109 @@
+// services/refundService.js
+// Vendor refunds and Finance Core reversals. Both send money from the
+// receiver of a TRANSFER back to its sender as a new, linked transaction.
+const Transaction = require('../models/Transaction');
+const ledger = require('./ledgerService');
+const { releaseBudget } = require('./budgetService');
+const httpError = require('../utils/httpError');
+const { DEFAULT_PURSE } = require('../config/purses');
+const { formatRupees } = require('../utils/money');
+
+/**
+ * Returns (part of) a transfer to its sender inside transaction `t`.
+ *
+ * - `type` is 'REFUND' (vendor, partial allowed) or 'REVERSAL' (Finance Core,
+ *   always the whole remaining amount).
+ * - `amountPaise` null means "everything not yet refunded".
+ * - `receiverId` restricts the lookup to transfers received by that user.
+ * - `metadata` is merged into the new transaction's metadata.
+ *
+ * The original row is locked, so parallel refunds of one payment are
+ * serialised and can never add up to more than it.
+ * Returns { returned, original, remainingPaise }.
+ */
+async function returnFunds({ transactionId, amountPaise = null, type, actor, reason, receiverId = null, metadata = {} }, t) {
+  // Transaction IDs are integers; anything else would fail the Postgres cast
+  const original = /^\d+$/.test(String(transactionId))
+    ? await Transaction.findByPk(transactionId, { lock: t.LOCK.UPDATE, transaction: t })
+    : null;
+
+  if (!original || (receiverId !== null && original.receiverId !== receiverId)) {
+    throw httpError(404, 'Transaction not found.');
+  }
+  if (original.type !== 'TRANSFER') {
+    throw httpError(400, 'Only transfers can be refunded or reversed.');
+  }
+  if (original.settlementId) {
+    throw httpError(409, 'This transaction has been settled with the vendor and can no longer be refunded or reversed.');
+  }
+
+  const meta = original.metadata || {};
+  if (meta.reversedByTransactionId) {
+    throw httpError(409, 'This transaction has already been reversed.');
+  }
+
+  const refundedPaise = meta.refundedPaise || 0;
+  const remainingPaise = original.amountPaise - refundedPaise;
+  if (remainingPaise <= 0) {
+    throw httpError(409, 'This transaction has already been fully refunded.');
+  }
+
+  const returnPaise = type === 'REVERSAL' ? remainingPaise : (amountPaise || remainingPaise);
+  if (returnPaise > remainingPaise) {
+    throw httpError(400, `Refund exceeds the refundable amount of ₹${formatRupees(remainingPaise)}.`);
+  }
+
+  const wallets = await ledger.lockUsers({ id: [original.senderId, original.receiverId] }, t);
+  const payer = wallets.find(u => u.id === original.receiverId);
+  const payee = wallets.find(u => u.id === original.senderId);
+  if (!payer || !payee) {
+    throw httpError(404, 'Sender or receiver of the original transaction no longer exists.');
+  }
+
+  // Money goes back into the purse it was paid from, and expiring credit
+  // the payment spent expires again on its original date
+  const returned = await ledger.post({
+    from: payer,
+    to: payee,
+    amountPaise: returnPaise,
+    fromPurse: original.receiverPurse || DEFAULT_PURSE,
+    toPurse: original.senderPurse || DEFAULT_PURSE,
+    expiringParts: ledger.creditsToRestore(original, returnPaise, refundedPaise),
+    type,
+    // A refund counts against the outlet that took the payment
+    record: { outletId: original.outletId, cashierId: original.cashierId },
+    metadata: {
+      originalTransactionId: original.id,
+      reason: reason || null,
+      initiatedBy: actor.userId,
+      initiatedByName: actor.name,
+      timestamp: new Date().toISOString(),
+      ...(meta.outletName ? { outletName: meta.outletName } : {}),
+      ...metadata
+    }
+  }, t);
+
+  // Returned disbursements no longer count against the department budget
+  if (meta.budgetDepartment) {
+    await releaseBudget(meta.budgetDepartment, returnPaise, t);
+  }
+
+  // JSONB columns only save when the object is replaced
+  original.metadata = {
+    ...meta,
+    refundedPaise: refundedPaise + returnPaise,
+    refundTransactionIds: [...(meta.refundTransactionIds || []), returned.id],
+    ...(type === 'REVERSAL' ? { reversedByTransactionId: returned.id } : {})
+  };
+  await original.save({ transaction: t });
+
+  return {
+    returned,
+    original,
+    remainingPaise: remainingPaise - returnPaise,
+    payer,
+    payee
+  };
+}
+
+module.exports = { returnFunds };
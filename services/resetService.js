@@ -0,0 +1,270 @@
+// services/resetService.js
+// Finance balance resets: clearing wallets (or one purse of them) into the
+// SYSTEM:RESET account, one ADMIN_RESET transaction per purse.
+const jwt = require('jsonwebtoken');
+const { Op } = require('sequelize');
+const User = require('../models/User');
+const PurseBalance = require('../models/PurseBalance');
+const ledger = require('./ledgerService');
+const { emitToUser } = require('./notificationService');
+const httpError = require('../utils/httpError');
+const { toRupees, formatRupees } = require('../utils/money');
+
+const PREVIEW_TTL_SECONDS = 15 * 60;
+
+// Preview tokens are signed with their own key derived from JWT_SECRET, so
+// they can never pass as a login token (or the other way round)
+const previewSecret = () => `${process.env.JWT_SECRET}:reset-preview`;
+
+// Target wallets of a reset mode, or exactly `ids` for a previewed run
+function targetWhere(targetType, userIds, ids) {
+  if (ids) {
+    return { id: { [Op.in]: ids } };
+  }
+  if (targetType === 'all') {
+    // Reset all users EXCEPT Finance Core
+    return {
+      [Op.or]: [
+        { role: { [Op.in]: ['Vendor', 'Head', 'Coordinator', 'Volunteer'] } },
+        {
+          [Op.and]: [
+            { role: 'Core' },
+            { department: { [Op.ne]: 'Finance' } }
+          ]
+        }
+      ]
+    };
+  }
+  if (targetType === 'vendors') {
+    // Reset only selected vendors
+    return {
+      userId: { [Op.in]: userIds.map(id => id.toUpperCase()) },
+      role: 'Vendor'
+    };
+  }
+  // Reset users from CSV
+  return {
+    userId: { [Op.in]: userIds.map(id => id.toUpperCase()) }
+  };
+}
+
+/**
+ * Target wallets and their non-empty purses (only `purse`, if given).
+ * `ids` (from a preview token) replaces the targetType filter.
+ * Inside transaction `t` the wallets are locked, so no payment lands between
+ * reading and clearing a balance; without one it is a plain read.
+ * Returns { users, purseRows, totalPaise }.
+ */
+async function findResetTargets({ targetType, userIds, purse, ids = null }, t = null) {
+  const where = targetWhere(targetType, userIds, ids);
+  const users = t
+    ? await ledger.lockUsers(where, t)
+    : await User.findAll({ where, order: [['id', 'ASC']] });
+
+  if (users.length === 0) {
+    return { users, purseRows: [], totalPaise: 0 };
+  }
+
+  const purseWhere = {
+    userId: { [Op.in]: users.map(u => u.id) },
+    balancePaise: { [Op.gt]: 0 }
+  };
+  if (purse) {
+    purseWhere.purse = purse;
+  }
+  const purseRows = await PurseBalance.findAll({
+    where: purseWhere,
+    order: [['userId', 'ASC'], ['purse', 'ASC']],
+    transaction: t
+  });
+
+  return {
+    users,
+    purseRows,
+    totalPaise: purseRows.reduce((sum, row) => sum + row.balancePaise, 0)
+  };
+}
+
+/**
+ * Resets the target wallets inside transaction `t`. `metadata` is merged
+ * into every ADMIN_RESET transaction (e.g. the approval record).
+ * Returns { summary, resetDetails, transactionIds } where resetDetails has
+ * one entry per wallet that had money: { userId, name, previousBalance, purses }.
+ */
+async function resetBalances({ admin, targetType, userIds, purse, ids = null, reason, metadata = {} }, t) {
+  const { users: usersToReset, purseRows } = await findResetTargets({ targetType, userIds, purse, ids }, t);
+
+  if (usersToReset.length === 0) {
+    throw httpError(404, 'No users found matching the criteria.');
+  }
+
+  // Process each user
+  let totalPaiseReset = 0;
+  let usersWithBalance = 0;
+  const resetDetails = [];
+  const transactionIds = [];
+
+  for (const user of usersToReset) {
+    const userPurses = purseRows.filter(row => row.userId === user.id);
+    if (userPurses.length === 0) continue;
+
+    let previousPaise = 0;
+    const previousPurses = {};
+    usersWithBalance++;
+
+    // Move each purse to the reset account (also the audit trail)
+    for (const row of userPurses) {
+      previousPaise += row.balancePaise;
+      previousPurses[row.purse] = toRupees(row.balancePaise);
+
+      const reset = await ledger.post({
+        from: user,
+        to: ledger.SYSTEM_ACCOUNTS.RESET,
+        amountPaise: row.balancePaise,
+        fromPurse: row.purse,
+        type: 'ADMIN_RESET',
+        record: {
+          receiverId: user.id,
+          receiverName: 'System Reset',
+          receiverUserId: 'ADMIN_RESET'
+        },
+        metadata: {
+          resetBy: admin.userId,
+          resetByName: admin.name,
+          reason: reason || 'Balance reset by Finance Core',
+          purse: row.purse,
+          previousBalance: toRupees(row.balancePaise),
+          targetType: targetType,
+          timestamp: new Date().toISOString(),
+          ...metadata
+        }
+      }, t);
+      transactionIds.push(reset.id);
+    }
+
+    totalPaiseReset += previousPaise;
+    resetDetails.push({
+      userId: user.userId,
+      name: user.name,
+      previousBalance: toRupees(previousPaise),
+      purses: previousPurses
+    });
+  }
+
+  return {
+    summary: {
+      success: true,
+      totalUsers: usersToReset.length,
+      usersWithBalance: usersWithBalance,
+      totalAmountReset: formatRupees(totalPaiseReset),
+      resetBy: admin.name,
+      targetType: targetType,
+      purse: purse || 'ALL',
+      timestamp: new Date().toISOString(),
+      details: resetDetails.slice(0, 10) // Return first 10 for preview
+    },
+    resetDetails,
+    transactionIds
+  };
+}
+
+/**
+ * Dry run of a reset: every target wallet with what would be cleared from
+ * it, the totals, and requested userIds that matched no target.
+ */
+async function previewReset({ targetType, userIds, purse }) {
+  const { users, purseRows, totalPaise } = await findResetTargets({ targetType, userIds, purse });
+
+  const targets = users.map(user => {
+    const userPurses = purseRows.filter(row => row.userId === user.id);
+    const clearPaise = userPurses.reduce((sum, row) => sum + row.balancePaise, 0);
+    return {
+      id: user.id,
+      userId: user.userId,
+      name: user.name,
+      role: user.role,
+      department: user.department,
+      balanceToClear: toRupees(clearPaise),
+      purses: Object.fromEntries(userPurses.map(row => [row.purse, toRupees(row.balancePaise)]))
+    };
+  });
+
+  const matched = new Set(users.map(user => user.userId));
+  const unmatchedUserIds = targetType === 'all'
+    ? []
+    : [...new Set(userIds.map(id => String(id).toUpperCase()))].filter(id => !matched.has(id));
+
+  return {
+    targets,
+    unmatchedUserIds,
+    totalUsers: users.length,
+    usersWithBalance: targets.filter(target => target.balanceToClear > 0).length,
+    totalPaise
+  };
+}
+
+/**
+ * Signs the previewed target set for `adminId`. A reset run with the token
+ * touches exactly these wallets, whatever the filter would match by then.
+ * Returns { token, expiresAt }.
+ */
+function signResetPreview(adminId, { targetType, userIds, purse }, preview) {
+  const token = jwt.sign({
+    sub: String(adminId),
+    tt: targetType,
+    uids: targetType === 'all' ? null : userIds,
+    pur: purse,
+    ids: preview.targets.map(target => target.id)
+  }, previewSecret(), { expiresIn: PREVIEW_TTL_SECONDS });
+
+  return { token, expiresAt: new Date(Date.now() + PREVIEW_TTL_SECONDS * 1000) };
+}
+
+// Preview token -> { targetType, userIds, purse, ids, expiresAt }, for its signer only
+function verifyResetPreview(token, adminId) {
+  let payload;
+  try {
+    payload = jwt.verify(String(token), previewSecret());
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      throw httpError(410, 'The preview token has expired. Preview the reset again.');
+    }
+    throw httpError(400, 'Invalid preview token.');
+  }
+  if (payload.sub !== String(adminId)) {
+    throw httpError(403, 'This preview was made by another Finance Core.');
+  }
+
+  return {
+    targetType: payload.tt,
+    userIds: payload.uids,
+    purse: payload.pur,
+    ids: payload.ids,
+    expiresAt: new Date(payload.exp * 1000)
+  };
+}
+
+// `balance_reset` events for the wallets a reset cleared
+function notifyResetUsers(app, resetDetails, { purse, reason }) {
+  for (const detail of resetDetails) {
+    emitToUser(app, detail.userId, 'balance_reset', {
+      message: purse
+        ? `Your ${purse} balance of ₹${detail.previousBalance.toFixed(2)} has been reset to ₹0.00`
+        : `Your wallet balance of ₹${detail.previousBalance.toFixed(2)} has been reset to ₹0.00`,
+      purse,
+      purses: detail.purses,
+      resetBy: 'Finance Team',
+      reason: reason || 'Daily balance reset',
+      timestamp: new Date()
+    });
+  }
+}
+
+module.exports = {
+  findResetTargets,
+  previewReset,
+  signResetPreview,
+  verifyResetPreview,
+  resetBalances,
+  notifyResetUsers
+};
@@ -0,0 +1,26 @@
+// services/scheduler.js
+// Minimal in-process job runner for background work (started from index.js).
+
+// Runs `fn` every `intervalMs`. A tick is skipped while the previous run is
+// still going, and errors are logged instead of crashing the server.
+function scheduleJob(name, intervalMs, fn) {
+  let running = false;
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await fn();
+    } catch (error) {
+      console.error(`${name} job error:`, error);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, intervalMs);
+  timer.unref();
+  return timer;
+}
+
+module.exports = { scheduleJob };
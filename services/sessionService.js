@@ -0,0 +1,212 @@
+// services/sessionService.js
+// Login sessions. Logging in starts a Session and returns a short-lived
+// access token that names it plus a refresh token ("<publicId>.<secret>").
+// Every refresh swaps the refresh token for a new one, so a copied token
+// works at most once. Sessions are named by a random publicId, never by
+// their (guessable) primary key. Revoking a session ends its access tokens as well
+// (middleware/authMiddleware.js checks the session on every request).
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const httpError = require('../utils/httpError');
+const {
+  ACCESS_TOKEN_TTL_SECONDS,
+  REFRESH_TOKEN_TTL_DAYS,
+  MAX_ACTIVE_SESSIONS,
+  SESSION_RETENTION_DAYS
+} = require('../config/sessions');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const newSecret = () => crypto.randomBytes(32).toString('base64url');
+const newPublicId = () => crypto.randomBytes(16).toString('base64url');
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * DAY_MS);
+
+const activeWhere = () => ({ revokedAt: null, expiresAt: { [Op.gt]: new Date() } });
+
+// The user claims access tokens have always carried
+const tokenUser = (user) => ({
+  id: user.id,
+  userId: user.userId,
+  role: user.role,
+  department: user.department,
+  name: user.name
+});
+
+// Login / refresh response body for `session`, whose refresh secret is `secret`
+const tokensFor = (user, session, secret) => ({
+  token: jwt.sign({ user: tokenUser(user), sid: session.publicId }, process.env.JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL_SECONDS }),
+  expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+  refreshToken: `${session.publicId}.${secret}`,
+  refreshTokenExpiresAt: session.expiresAt,
+  sessionId: session.publicId,
+  user: tokenUser(user)
+});
+
+// Device info of the request; `deviceName` is optional in the body
+const deviceOf = (req) => ({
+  deviceName: typeof req.body.deviceName === 'string' ? req.body.deviceName.trim().slice(0, 100) || null : null,
+  userAgent: (req.get('User-Agent') || '').slice(0, 255) || null,
+  ipAddress: (req.ip || '').slice(0, 64) || null
+});
+
+/**
+ * Starts a session for `user` on the device making `req`. Past
+ * MAX_ACTIVE_SESSIONS the least recently used ones end.
+ */
+async function startSession(user, req) {
+  const secret = newSecret();
+
+  const session = await sequelize.transaction(async (t) => {
+    const created = await Session.create({
+      ...deviceOf(req),
+      userId: user.id,
+      publicId: newPublicId(),
+      refreshTokenHash: hashSecret(secret),
+      lastUsedAt: new Date(),
+      expiresAt: refreshExpiry()
+    }, { transaction: t });
+
+    const surplus = await Session.findAll({
+      where: { userId: user.id, ...activeWhere() },
+      attributes: ['id'],
+      order: [['lastUsedAt', 'DESC'], ['id', 'DESC']],
+      offset: MAX_ACTIVE_SESSIONS,
+      transaction: t
+    });
+    if (surplus.length > 0) {
+      await Session.update(
+        { revokedAt: new Date(), revokedReason: 'SESSION_LIMIT' },
+        { where: { id: surplus.map(row => row.id) }, transaction: t }
+      );
+    }
+    return created;
+  });
+
+  return tokensFor(user, session, secret);
+}
+
+const sameHash = (hash, stored) => !!stored && crypto.timingSafeEqual(Buffer.from(hash), Buffer.from(stored));
+
+/**
+ * Swaps `refreshToken` for a new access token and refresh token.
+ * Presenting the refresh token that was swapped last means someone kept a
+ * copy, so the session is revoked. Any other wrong secret is just refused:
+ * it must not let a stranger end someone else's session. 401 whenever no
+ * new tokens are issued.
+ */
+async function refreshSession(refreshToken, req) {
+  const [publicId, secret] = typeof refreshToken === 'string' ? refreshToken.split('.') : [];
+  if (!/^[\w-]{22}$/.test(publicId || '') || !secret) {
+    throw httpError(401, 'Invalid refresh token.');
+  }
+
+  // Revocations are committed before the 401 goes out, so the outcome is
+  // returned rather than thrown from inside the transaction
+  const outcome = await sequelize.transaction(async (t) => {
+    const session = await Session.findOne({ where: { publicId }, lock: t.LOCK.UPDATE, transaction: t });
+    if (!session || session.revokedAt || session.expiresAt <= new Date()) {
+      return { ended: true };
+    }
+
+    const given = hashSecret(secret);
+    if (!sameHash(given, session.refreshTokenHash)) {
+      if (!sameHash(given, session.previousRefreshTokenHash)) {
+        return { invalid: true };
+      }
+      await session.update({ revokedAt: new Date(), revokedReason: 'TOKEN_REUSE' }, { transaction: t });
+      return { reused: true };
+    }
+
+    const user = await User.findByPk(session.userId, { transaction: t });
+    if (!user || !user.active) {
+      await session.update({ revokedAt: new Date(), revokedReason: 'ACCOUNT_DEACTIVATED' }, { transaction: t });
+      return { ended: true };
+    }
+
+    const next = newSecret();
+    const { userAgent, ipAddress } = deviceOf(req);
+    await session.update({
+      previousRefreshTokenHash: session.refreshTokenHash,
+      refreshTokenHash: hashSecret(next),
+      lastUsedAt: new Date(),
+      expiresAt: refreshExpiry(),
+      userAgent: userAgent || session.userAgent,
+      ipAddress: ipAddress || session.ipAddress
+    }, { transaction: t });
+    return { tokens: tokensFor(user, session, next) };
+  });
+
+  if (outcome.reused) {
+    throw httpError(401, 'This refresh token was already used, so the session has been ended for safety. Please log in again.');
+  }
+  if (outcome.invalid) {
+    throw httpError(401, 'Invalid refresh token.');
+  }
+  if (outcome.ended) {
+    throw httpError(401, 'Session has ended. Please log in again.');
+  }
+  return outcome.tokens;
+}
+
+// Whether an access token's session (by publicId) may still be used
+async function isSessionActive(sessionId, userId) {
+  const count = await Session.count({ where: { publicId: String(sessionId), userId, ...activeWhere() } });
+  return count > 0;
+}
+
+// Ends one of `userId`'s sessions (by publicId); returns whether it was active
+async function revokeSession(userId, sessionId, reason) {
+  const [count] = await Session.update(
+    { revokedAt: new Date(), revokedReason: reason },
+    { where: { publicId: String(sessionId), userId, ...activeWhere() } }
+  );
+  return count > 0;
+}
+
+// Ends every active session of `userId` (inside `t` if given); returns how many
+async function revokeAllSessions(userId, reason, t = null) {
+  const [count] = await Session.update(
+    { revokedAt: new Date(), revokedReason: reason },
+    { where: { userId, ...activeWhere() }, transaction: t }
+  );
+  return count;
+}
+
+// Active sessions of `userId`, most recently used first. `id` is the publicId.
+async function listSessions(userId, currentSessionId = null) {
+  const sessions = await Session.findAll({
+    where: { userId, ...activeWhere() },
+    attributes: ['publicId', 'deviceName', 'userAgent', 'ipAddress', 'createdAt', 'lastUsedAt', 'expiresAt'],
+    order: [['lastUsedAt', 'DESC'], ['id', 'DESC']],
+    raw: true
+  });
+  return sessions.map(({ publicId, ...session }) => ({ id: publicId, ...session, current: publicId === currentSessionId }));
+}
+
+// Deletes sessions that ended more than SESSION_RETENTION_DAYS ago
+async function purgeEndedSessions() {
+  const cutoff = new Date(Date.now() - SESSION_RETENTION_DAYS * DAY_MS);
+  return Session.destroy({
+    where: {
+      [Op.or]: [
+        { revokedAt: { [Op.lt]: cutoff } },
+        { expiresAt: { [Op.lt]: cutoff } }
+      ]
+    }
+  });
+}
+
+module.exports = {
+  startSession,
+  refreshSession,
+  isSessionActive,
+  revokeSession,
+  revokeAllSessions,
+  listSessions,
+  purgeEndedSessions
+};
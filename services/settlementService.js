@@ -0,0 +1,211 @@
+// services/settlementService.js
+// Vendor settlements: what a vendor is owed for a period is the net of its
+// wallet's ledger entries on transactions not settled yet. Closing the
+// period moves that out of the wallet into SYSTEM:SETTLEMENT, one posting
+// per purse, and stamps the transactions so they are never counted twice.
+const { Op, QueryTypes, UniqueConstraintError } = require('sequelize');
+const { sequelize } = require('../config/database');
+const Transaction = require('../models/Transaction');
+const LedgerEntry = require('../models/LedgerEntry');
+const VendorSettlement = require('../models/VendorSettlement');
+const ledger = require('./ledgerService');
+const httpError = require('../utils/httpError');
+const { toRupees, formatRupees } = require('../utils/money');
+const { randomCode } = require('../utils/codes');
+const { DEFAULT_PURSE } = require('../config/purses');
+
+/**
+ * Unsettled money movements of `vendorId`'s wallet with
+ * periodStart <= createdAt < periodEnd.
+ * Returns { transactionIds, creditsPaise, debitsPaise, amountPaise, pursePaise }.
+ */
+async function computeSettlement(vendorId, periodStart, periodEnd, t = null) {
+  const rows = await sequelize.query(`
+    SELECT e."transactionId", COALESCE(e.purse, :defaultPurse) AS purse, e.direction, e."amountPaise"
+    FROM "LedgerEntries" e
+    JOIN "Transactions" tx ON tx.id = e."transactionId"
+    WHERE e."userId" = :vendorId
+      AND tx."settlementId" IS NULL
+      AND tx."createdAt" >= :periodStart
+      AND tx."createdAt" < :periodEnd
+    ORDER BY e."transactionId"
+  `, {
+    replacements: { vendorId, periodStart, periodEnd, defaultPurse: DEFAULT_PURSE },
+    type: QueryTypes.SELECT,
+    transaction: t
+  });
+
+  const pursePaise = {};
+  let creditsPaise = 0;
+  let debitsPaise = 0;
+  for (const row of rows) {
+    const signed = row.direction === 'CREDIT' ? row.amountPaise : -row.amountPaise;
+    pursePaise[row.purse] = (pursePaise[row.purse] || 0) + signed;
+    if (signed > 0) creditsPaise += signed;
+    else debitsPaise -= signed;
+  }
+
+  return {
+    transactionIds: [...new Set(rows.map(row => row.transactionId))],
+    creditsPaise,
+    debitsPaise,
+    amountPaise: creditsPaise - debitsPaise,
+    pursePaise
+  };
+}
+
+// Rupee view of a computeSettlement() result (previews, responses)
+const summarize = (computed) => ({
+  transactionCount: computed.transactionIds.length,
+  credits: toRupees(computed.creditsPaise),
+  debits: toRupees(computed.debitsPaise),
+  amountOwed: toRupees(computed.amountPaise),
+  purses: Object.fromEntries(Object.entries(computed.pursePaise).map(([purse, paise]) => [purse, toRupees(paise)]))
+});
+
+/**
+ * Closes `vendor`'s period inside `t`: records the settlement, moves the
+ * amount owed out of each purse and stamps the included transactions.
+ * 409 when nothing is owed or a purse nets negative (money left the wallet
+ * that was earned in another period).
+ */
+async function createSettlement({ admin, vendor, periodStart, periodEnd }, t) {
+  // The wallet lock also serialises two settlements of the same vendor
+  const [wallet] = await ledger.lockUsers({ id: vendor.id }, t);
+  if (!wallet) {
+    throw httpError(404, 'Vendor not found.');
+  }
+
+  const computed = await computeSettlement(wallet.id, periodStart, periodEnd, t);
+  if (computed.amountPaise <= 0) {
+    throw httpError(409, 'Nothing is owed to this vendor for the period.');
+  }
+  const negative = Object.entries(computed.pursePaise).filter(([, paise]) => paise < 0);
+  if (negative.length > 0) {
+    throw httpError(409, `The ${negative.map(([purse]) => purse).join(', ')} purse nets negative for the period. Settle a period that includes the matching earnings.`);
+  }
+
+  // Random references are unique in practice; retry on the rare collision
+  let settlement;
+  for (let attempt = 0; !settlement; attempt++) {
+    try {
+      settlement = await sequelize.transaction({ transaction: t }, (savepoint) => VendorSettlement.create({
+        reference: `STL-${randomCode(8)}`,
+        vendorId: wallet.id,
+        periodStart,
+        periodEnd,
+        transactionCount: computed.transactionIds.length,
+        creditsPaise: computed.creditsPaise,
+        debitsPaise: computed.debitsPaise,
+        amountPaise: computed.amountPaise,
+        pursePaise: computed.pursePaise,
+        createdById: admin.id
+      }, { transaction: savepoint }));
+    } catch (error) {
+      if (!(error instanceof UniqueConstraintError) || attempt >= 4) throw error;
+    }
+  }
+
+  const [stamped] = await Transaction.update(
+    { settlementId: settlement.id },
+    { where: { id: computed.transactionIds, settlementId: null }, transaction: t }
+  );
+  if (stamped !== computed.transactionIds.length) {
+    throw httpError(409, 'Some of these transactions were settled meanwhile. Try again.');
+  }
+
+  const transferIds = [];
+  for (const [purse, paise] of Object.entries(computed.pursePaise)) {
+    if (paise === 0) continue;
+    const transfer = await ledger.post({
+      from: wallet,
+      to: ledger.SYSTEM_ACCOUNTS.SETTLEMENT,
+      amountPaise: paise,
+      fromPurse: purse,
+      type: 'SETTLEMENT',
+      record: {
+        receiverName: 'Shaastra Finance (Settlement)',
+        receiverUserId: 'SETTLEMENT'
+      },
+      metadata: {
+        settlementId: settlement.id,
+        settlementReference: settlement.reference,
+        settledBy: admin.userId,
+        settledByName: admin.name
+      }
+    }, t);
+    transferIds.push(transfer.id);
+  }
+
+  // The settlement postings belong to this batch too, not to the next one
+  await Transaction.update({ settlementId: settlement.id }, { where: { id: transferIds }, transaction: t });
+  settlement.transferTransactionIds = transferIds;
+  await settlement.save({ transaction: t });
+
+  return { settlement, vendor: wallet };
+}
+
+const csvCell = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Settlement sheet (CSV): a summary block, then one line per included
+ * transaction from the vendor's side (the settlement postings themselves
+ * are left out).
+ */
+async function settlementSheet(settlement, vendor) {
+  const entries = await LedgerEntry.findAll({
+    where: { userId: settlement.vendorId },
+    include: [{
+      model: Transaction,
+      required: true,
+      where: { settlementId: settlement.id, type: { [Op.ne]: 'SETTLEMENT' } },
+      attributes: ['id', 'reference', 'type', 'createdAt', 'senderName', 'senderUserId', 'receiverName', 'receiverUserId']
+    }],
+    order: [['transactionId', 'ASC']]
+  });
+
+  const summary = [
+    ['Settlement', settlement.reference],
+    ['Vendor', `${vendor.name} (${vendor.userId})`],
+    ['Period start', settlement.periodStart.toISOString()],
+    ['Period end', settlement.periodEnd.toISOString()],
+    ['Transactions', settlement.transactionCount],
+    ['Credits', formatRupees(settlement.creditsPaise)],
+    ['Debits', formatRupees(settlement.debitsPaise)],
+    ['Amount owed', formatRupees(settlement.amountPaise)],
+    ['Status', settlement.status],
+    ['Payout reference', settlement.payoutReference || ''],
+    ['Paid at', settlement.paidAt ? settlement.paidAt.toISOString() : '']
+  ];
+
+  const header = ['Date', 'Transaction ID', 'Reference', 'Type', 'Counterparty ID', 'Counterparty Name', 'Purse', 'Credit', 'Debit'];
+  const lines = entries.map(entry => {
+    const tx = entry.Transaction;
+    const credit = entry.direction === 'CREDIT';
+    return [
+      tx.createdAt.toISOString(),
+      tx.id,
+      tx.reference,
+      tx.type,
+      credit ? tx.senderUserId : tx.receiverUserId,
+      credit ? tx.senderName : tx.receiverName,
+      entry.purse || DEFAULT_PURSE,
+      credit ? formatRupees(entry.amountPaise) : '',
+      credit ? '' : formatRupees(entry.amountPaise)
+    ];
+  });
+
+  return [...summary, [], header, ...lines]
+    .map(row => row.map(csvCell).join(','))
+    .join('\n') + '\n';
+}
+
+module.exports = {
+  computeSettlement,
+  summarize,
+  createSettlement,
+  settlementSheet
+};
@@ -0,0 +1,114 @@
+// services/spinService.js
+// S-Pin checks with a brute-force lockout. Wrong S-Pins are counted per
+// user; after SPIN_MAX_ATTEMPTS the wallet locks for longer each time and
+// the owner is alerted. Only the OTP S-Pin reset or a Finance Core unlock
+// ends a lock early.
+const bcrypt = require('bcryptjs');
+const { sequelize } = require('../config/database');
+const User = require('../models/User');
+const { sendNotificationEmail } = require('./emailService');
+const { emitToUser } = require('./notificationService');
+const httpError = require('../utils/httpError');
+const { SPIN_MAX_ATTEMPTS, SPIN_LOCK_MINUTES, COMMON_SPINS } = require('../config/spin');
+
+const istText = (date) => date.toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' });
+
+const lockedError = (lockedUntil) => httpError(
+  423,
+  `Your wallet is locked after too many wrong S-Pins until ${istText(lockedUntil)}. Reset your S-Pin to unlock it now.`,
+  { lockedUntil }
+);
+
+// Tells the owner their wallet was locked (email and, if online, socket)
+async function alertLocked(user, lockedUntil, app) {
+  if (app) {
+    emitToUser(app, user.userId, 'wallet_locked', { lockedUntil, reason: 'TOO_MANY_WRONG_SPINS' });
+  }
+  await sendNotificationEmail(
+    user.smail,
+    'Wallet locked',
+    `Hi ${user.name},\n\nYour wallet was locked until ${istText(lockedUntil)} after ${SPIN_MAX_ATTEMPTS} wrong S-Pins in a row.\n\n` +
+    'If this was not you, reset your S-Pin from the app (this also logs out every device) or contact the Finance team.'
+  );
+}
+
+// ============================================
+// HELPER FUNCTION: Verify S-PIN
+// Resolves with the user, throws with a user-facing message otherwise
+// (423 with `details.lockedUntil` while the wallet is locked). `app` lets
+// the lock alert reach the owner over the socket.
+// ============================================
+async function verifySPin(userId, sPin, app = null) {
+  // The user row is locked so parallel guesses are counted one by one
+  const outcome = await sequelize.transaction(async (t) => {
+    const user = await User.findByPk(userId, { lock: t.LOCK.UPDATE, transaction: t });
+
+    if (!user) {
+      throw new Error('User not found.');
+    }
+
+    if (!user.sPin) {
+      throw new Error('S-Pin not set. Please set up your S-Pin first.');
+    }
+
+    if (user.sPinLockedUntil && user.sPinLockedUntil > new Date()) {
+      throw lockedError(user.sPinLockedUntil);
+    }
+
+    const isPinValid = await bcrypt.compare(String(sPin), user.sPin);
+
+    if (isPinValid) {
+      if (user.sPinFailedAttempts > 0 || user.sPinLockCount > 0) {
+        await user.update({ sPinFailedAttempts: 0, sPinLockCount: 0, sPinLockedUntil: null }, { transaction: t });
+      }
+      return { user };
+    }
+
+    // Wrong S-Pin: count it, and lock once there are too many
+    const attempts = user.sPinFailedAttempts + 1;
+    if (attempts < SPIN_MAX_ATTEMPTS) {
+      await user.update({ sPinFailedAttempts: attempts }, { transaction: t });
+      return { attemptsLeft: SPIN_MAX_ATTEMPTS - attempts };
+    }
+
+    const lockCount = user.sPinLockCount + 1;
+    const minutes = SPIN_LOCK_MINUTES[Math.min(lockCount, SPIN_LOCK_MINUTES.length) - 1];
+    const lockedUntil = new Date(Date.now() + minutes * 60 * 1000);
+    await user.update({ sPinFailedAttempts: 0, sPinLockCount: lockCount, sPinLockedUntil: lockedUntil }, { transaction: t });
+    return { user, lockedUntil };
+  });
+
+  if (outcome.lockedUntil) {
+    await alertLocked(outcome.user, outcome.lockedUntil, app);
+    throw lockedError(outcome.lockedUntil);
+  }
+  if (outcome.attemptsLeft) {
+    throw new Error(`Invalid S-Pin. Transaction cancelled. ${outcome.attemptsLeft} attempt(s) left before your wallet is locked.`);
+  }
+  return outcome.user;
+}
+
+// Clears the lock and the wrong-S-Pin count (S-Pin reset, Finance unlock)
+async function clearSPinLock(user, t = null) {
+  await user.update({ sPinFailedAttempts: 0, sPinLockCount: 0, sPinLockedUntil: null }, { transaction: t });
+}
+
+/**
+ * Why `sPin` may not be chosen as a new S-Pin, or null if it may.
+ * Rejects repeated digits (0000), straight sequences (1234, 9876),
+ * repeated pairs (1212) and a few other common choices.
+ */
+function sPinPolicyError(sPin) {
+  const pin = String(sPin);
+  const digits = pin.split('').map(Number);
+  const steps = new Set(digits.slice(1).map((digit, i) => digit - digits[i]));
+  const isSequence = steps.size === 1 && [0, 1, -1].includes([...steps][0]);
+  const isRepeatedPair = pin.length % 2 === 0 && pin === pin.slice(0, 2).repeat(pin.length / 2);
+
+  if (isSequence || isRepeatedPair || COMMON_SPINS.includes(pin)) {
+    return 'This S-Pin is too easy to guess. Avoid repeated digits, sequences like 1234 and common PINs.';
+  }
+  return null;
+}
+
+module.exports = { verifySPin, clearSPinLock, sPinPolicyError };
@@ -0,0 +1,219 @@
+// services/topupService.js
+// Finance top-ups: money entering circulation from the issuance account,
+// for one user or for a whole CSV allocation batch.
+const { Readable } = require('stream');
+const csv = require('csv-parser');
+const { Op } = require('sequelize');
+const User = require('../models/User');
+const TopupBatch = require('../models/TopupBatch');
+const ledger = require('./ledgerService');
+const { receivingPurse } = require('./purseService');
+const httpError = require('../utils/httpError');
+const { toPaise } = require('../utils/money');
+
+const MAX_BATCH_ROWS = 1000;
+const PREVIEW_TTL_MINUTES = 30;
+
+/**
+ * Credits `user` from SYSTEM:ISSUANCE as a TOPUP inside transaction `t`.
+ * `admin` is the Finance Core doing it; `metadata` is merged into the
+ * transaction's metadata (e.g. the batch ID). The purse rules apply as for
+ * any Core allocation, so a vendor that does not accept `purse` is refused.
+ * Returns the created Transaction.
+ */
+async function postTopup({ admin, user, amountPaise, purse, expiresAt = null, metadata = {} }, t) {
+  return ledger.post({
+    from: ledger.SYSTEM_ACCOUNTS.ISSUANCE,
+    to: user,
+    amountPaise,
+    toPurse: receivingPurse(admin, user, purse),
+    expiresAt,
+    type: 'TOPUP',
+    record: {
+      senderId: user.id,
+      senderName: 'Shaastra Finance',
+      senderUserId: 'FINANCE_TOPUP'
+    },
+    metadata: {
+      toppedUpBy: admin.userId,
+      toppedUpByName: admin.name,
+      ...metadata
+    }
+  }, t);
+}
+
+// CSV text -> [{ line, userId, amount }]. The header row must name the
+// userId and amount columns (any case, any order); blank lines are skipped.
+function parseAllocationCsv(text) {
+  return new Promise((resolve, reject) => {
+    const rows = [];
+    let headers = [];
+    let line = 1; // the header
+
+    Readable.from([String(text)])
+      .pipe(csv({ mapHeaders: ({ header }) => header.trim().toLowerCase() }))
+      .on('headers', (names) => { headers = names; })
+      .on('data', (row) => {
+        // csv-parser emits one object per line, {} for a blank one
+        line++;
+        if (Object.keys(row).length === 0) return;
+        rows.push({
+          line,
+          userId: String(row.userid || '').trim().toUpperCase(),
+          amount: String(row.amount || '').trim()
+        });
+      })
+      .on('end', () => {
+        if (!headers.includes('userid') || !headers.includes('amount')) {
+          return reject(httpError(400, 'The CSV header must contain "userId" and "amount" columns.'));
+        }
+        resolve(rows);
+      })
+      .on('error', () => reject(httpError(400, 'The CSV could not be parsed.')));
+  });
+}
+
+/**
+ * Validates an uploaded allocation and stores it as a TopupBatch preview.
+ * Every row is checked on its own (user exists, amount, duplicates, purse
+ * rules), so the preview lists all problems at once.
+ */
+async function previewBatch(admin, { csvText, purse, expiresAt, description }) {
+  const parsed = await parseAllocationCsv(csvText);
+  if (parsed.length === 0) {
+    throw httpError(400, 'The CSV has no allocation rows.');
+  }
+  if (parsed.length > MAX_BATCH_ROWS) {
+    throw httpError(400, `A batch can have at most ${MAX_BATCH_ROWS} rows.`);
+  }
+
+  const users = await User.findAll({
+    where: { userId: { [Op.in]: [...new Set(parsed.map(row => row.userId).filter(Boolean))] } }
+  });
+  const byUserId = new Map(users.map(user => [user.userId, user]));
+
+  const rows = [];
+  const invalidRows = [];
+  const firstLine = new Map();
+
+  for (const { line, userId, amount } of parsed) {
+    const reject = (message) => invalidRows.push({ line, userId, amount, message });
+
+    if (!userId) {
+      reject('userId is missing.');
+      continue;
+    }
+    if (firstLine.has(userId)) {
+      reject(`Duplicate of line ${firstLine.get(userId)}.`);
+      continue;
+    }
+    firstLine.set(userId, line);
+
+    const amountPaise = toPaise(amount);
+    if (!amountPaise) {
+      reject('Amount must be a positive number with at most 2 decimals.');
+      continue;
+    }
+
+    const user = byUserId.get(userId);
+    if (!user) {
+      reject('User not found.');
+      continue;
+    }
+
+    try {
+      receivingPurse(admin, user, purse);
+    } catch (purseError) {
+      reject(purseError.message);
+      continue;
+    }
+
+    rows.push({ line, userId, name: user.name, amountPaise });
+  }
+
+  return TopupBatch.create({
+    createdById: admin.id,
+    purse,
+    creditExpiresAt: expiresAt,
+    description: description || null,
+    rows,
+    invalidRows,
+    totalPaise: rows.reduce((sum, row) => sum + row.amountPaise, 0),
+    previewExpiresAt: new Date(Date.now() + PREVIEW_TTL_MINUTES * 60 * 1000)
+  });
+}
+
+// Throws unless `batch` is a preview that can still be committed
+function assertCommittable(batch) {
+  if (batch.status !== 'PREVIEW') {
+    throw httpError(409, `This batch is already ${batch.status.toLowerCase()}.`);
+  }
+  if (batch.previewExpiresAt <= new Date()) {
+    throw httpError(410, 'This preview has expired. Upload the CSV again.');
+  }
+  if (batch.invalidRows.length > 0) {
+    throw httpError(400, `The batch has ${batch.invalidRows.length} invalid row(s). Fix the CSV and upload it again.`);
+  }
+  if (batch.creditExpiresAt && batch.creditExpiresAt <= new Date()) {
+    throw httpError(400, 'The credit expiry of this batch has passed. Upload it again with a later expiresAt.');
+  }
+}
+
+/**
+ * Commits a previewed batch inside transaction `t`: every row is posted as
+ * a TOPUP with metadata.batchId (plus `metadata`), so either the whole
+ * allocation lands or none of it does. Only a preview without invalid rows
+ * can be committed.
+ * Returns { batch, credited: [{ user, transaction }] }.
+ */
+async function commitBatch({ batchId, admin, metadata = {} }, t) {
+  const batch = await TopupBatch.findByPk(batchId, { lock: t.LOCK.UPDATE, transaction: t });
+  if (!batch) {
+    throw httpError(404, 'Top-up batch not found.');
+  }
+  assertCommittable(batch);
+
+  const wallets = await ledger.lockUsers({ userId: { [Op.in]: batch.rows.map(row => row.userId) } }, t);
+  const byUserId = new Map(wallets.map(user => [user.userId, user]));
+
+  const credited = [];
+  for (const row of batch.rows) {
+    const user = byUserId.get(row.userId);
+    if (!user) {
+      throw httpError(409, `Line ${row.line}: user ${row.userId} no longer exists.`);
+    }
+
+    try {
+      const transaction = await postTopup({
+        admin,
+        user,
+        amountPaise: row.amountPaise,
+        purse: batch.purse,
+        expiresAt: batch.creditExpiresAt,
+        metadata: { batchId: batch.id, batchLine: row.line, ...metadata }
+      }, t);
+      credited.push({ user, transaction });
+    } catch (rowError) {
+      if (rowError.status) {
+        rowError.message = `Line ${row.line}: ${rowError.message}`;
+      }
+      throw rowError;
+    }
+  }
+
+  batch.status = 'COMMITTED';
+  batch.committedById = admin.id;
+  batch.committedAt = new Date();
+  await batch.save({ transaction: t });
+
+  return { batch, credited };
+}
+
+module.exports = {
+  MAX_BATCH_ROWS,
+  postTopup,
+  parseAllocationCsv,
+  previewBatch,
+  assertCommittable,
+  commitBatch
+};
@@ -0,0 +1,29 @@
+// services/userService.js
+// User lookups shared by several routers.
+const { Op } = require('sequelize');
+const User = require('../models/User');
+const httpError = require('../utils/httpError');
+
+/**
+ * Users with one of `roles` in the department of `requesterId`
+ * (GET /api/user/by-role-in-my-department, groups built from a filter).
+ */
+async function findByRoleInDepartment(requesterId, roles, attributes = ['name', 'userId', 'id']) {
+  const requestingUser = await User.findByPk(requesterId, {
+    attributes: ['department']
+  });
+
+  if (!requestingUser || !requestingUser.department) {
+    throw httpError(400, 'User department not found.');
+  }
+
+  return User.findAll({
+    where: {
+      role: { [Op.in]: roles },
+      department: requestingUser.department
+    },
+    attributes
+  });
+}
+
+module.exports = { findByRoleInDepartment };
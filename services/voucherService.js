@@ -0,0 +1,241 @@
+// services/voucherService.js
+// Offline payment vouchers. The server signs vouchers with an Ed25519 key;
+// vendor devices verify them offline with the public key and upload them
+// later for settlement, where double-spends and expiry are enforced.
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const Voucher = require('../models/Voucher');
+const Transaction = require('../models/Transaction');
+const ledger = require('./ledgerService');
+const { vendorAccepts } = require('./purseService');
+const httpError = require('../utils/httpError');
+const { signingKeyLoader } = require('../utils/signingKeys');
+
+const TOKEN_PREFIX = 'SV1';
+const CLOCK_SKEW_MS = 5 * 60 * 1000;            // tolerated vendor device clock drift
+const SETTLEMENT_GRACE_MS = 24 * 60 * 60 * 1000; // time to upload after expiry before the hold is released
+
+const { VOUCHER_HOLD } = ledger.SYSTEM_ACCOUNTS;
+
+// Vouchers in circulation must verify across restarts, so the server does
+// not start without VOUCHER_SIGNING_KEY (checked in index.js)
+const keys = signingKeyLoader('VOUCHER_SIGNING_KEY');
+
+const publicKeyPem = () => keys().publicKey.export({ type: 'spki', format: 'pem' });
+
+/**
+ * Token layout: SV1.<base64url JSON payload>.<base64url signature>
+ * Payload: { id, uid (owner userId), name, amt (paise), pur (purse), iat, exp (epoch seconds) }
+ * The signature covers "SV1.<payload>".
+ */
+function signVoucher(voucher, owner) {
+  const payload = Buffer.from(JSON.stringify({
+    id: voucher.id,
+    uid: owner.userId,
+    name: owner.name,
+    amt: voucher.amountPaise,
+    pur: voucher.purse,
+    iat: Math.floor(voucher.createdAt.getTime() / 1000),
+    exp: Math.floor(voucher.expiresAt.getTime() / 1000)
+  })).toString('base64url');
+
+  const signed = `${TOKEN_PREFIX}.${payload}`;
+  const signature = crypto.sign(null, Buffer.from(signed), keys().signingKey).toString('base64url');
+  return `${signed}.${signature}`;
+}
+
+// Returns the payload of a genuine token, null otherwise
+function verifyVoucherToken(token) {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  if (parts.length !== 3 || parts[0] !== TOKEN_PREFIX) return null;
+
+  const genuine = crypto.verify(
+    null,
+    Buffer.from(`${parts[0]}.${parts[1]}`),
+    keys().publicKey,
+    Buffer.from(parts[2], 'base64url')
+  );
+  if (!genuine) return null;
+
+  try {
+    return JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Issues a voucher inside transaction `t`: moves the amount from the owner's
+ * `purse` into the hold account. `owner` must be locked by the caller.
+ */
+async function issueVoucher(owner, amountPaise, purse, expiresAt, t) {
+  if (owner.balancePaise < amountPaise) {
+    throw httpError(400, 'Insufficient balance for this voucher.');
+  }
+
+  const voucher = await Voucher.create({
+    userId: owner.id,
+    amountPaise,
+    purse,
+    expiresAt
+  }, { transaction: t });
+
+  const hold = await ledger.post({
+    from: owner,
+    to: VOUCHER_HOLD,
+    amountPaise,
+    fromPurse: purse,
+    type: 'VOUCHER_HOLD',
+    record: {
+      receiverName: 'Offline Voucher',
+      receiverUserId: 'VOUCHER_HOLD'
+    },
+    metadata: { voucherId: voucher.id, expiresAt: expiresAt.toISOString() }
+  }, t);
+
+  voucher.holdTransactionId = hold.id;
+  await voucher.save({ transaction: t });
+
+  return { voucher, token: signVoucher(voucher, owner) };
+}
+
+const rejected = (voucherId, reason) => ({ voucherId, status: 'REJECTED', reason });
+
+/**
+ * Settles one uploaded voucher for `vendor` in its own transaction, so one
+ * bad voucher never blocks the rest of a batch.
+ * Returns { voucherId, status: 'SETTLED' | 'ALREADY_SETTLED' | 'REJECTED', reason? }
+ */
+async function settleVoucher({ token, acceptedAt, vendor, batchId }) {
+  const payload = verifyVoucherToken(token);
+  if (!payload) {
+    return rejected(null, 'INVALID_SIGNATURE');
+  }
+
+  const accepted = acceptedAt ? new Date(acceptedAt) : new Date();
+  if (Number.isNaN(accepted.getTime()) || accepted.getTime() > Date.now() + CLOCK_SKEW_MS) {
+    return rejected(payload.id, 'INVALID_ACCEPTED_AT');
+  }
+
+  return sequelize.transaction(async (t) => {
+    const voucher = await Voucher.findByPk(payload.id, { lock: t.LOCK.UPDATE, transaction: t });
+
+    if (!voucher) {
+      return rejected(payload.id, 'NOT_FOUND');
+    }
+
+    if (voucher.status === 'REDEEMED') {
+      if (voucher.vendorId === vendor.id) {
+        // Same vendor re-uploading after a lost response
+        return { voucherId: voucher.id, status: 'ALREADY_SETTLED', transactionId: voucher.redeemTransactionId };
+      }
+      const meta = voucher.metadata || {};
+      voucher.metadata = {
+        ...meta,
+        doubleSpendAttempts: [
+          ...(meta.doubleSpendAttempts || []),
+          { vendorUserId: vendor.userId, acceptedAt: accepted.toISOString(), batchId, reportedAt: new Date().toISOString() }
+        ]
+      };
+      await voucher.save({ transaction: t });
+      return rejected(voucher.id, 'DOUBLE_SPEND');
+    }
+
+    if (voucher.status === 'RELEASED' || accepted > voucher.expiresAt) {
+      return rejected(voucher.id, 'EXPIRED');
+    }
+
+    if (voucher.userId === vendor.id) {
+      return rejected(voucher.id, 'OWN_VOUCHER');
+    }
+
+    if (!vendorAccepts(vendor, voucher.purse)) {
+      return rejected(voucher.id, 'PURSE_NOT_ACCEPTED');
+    }
+
+    const [wallet] = await ledger.lockUsers({ id: vendor.id }, t);
+    const redeem = await ledger.post({
+      from: VOUCHER_HOLD,
+      to: wallet,
+      amountPaise: voucher.amountPaise,
+      type: 'VOUCHER_REDEEM',
+      record: {
+        senderName: payload.name,
+        senderUserId: payload.uid
+      },
+      metadata: {
+        voucherId: voucher.id,
+        payerUserId: payload.uid,
+        purse: voucher.purse,
+        acceptedAt: accepted.toISOString(),
+        settlementBatchId: batchId,
+        holdTransactionId: voucher.holdTransactionId
+      }
+    }, t);
+
+    voucher.status = 'REDEEMED';
+    voucher.vendorId = vendor.id;
+    voucher.acceptedAt = accepted;
+    voucher.settlementBatchId = batchId;
+    voucher.redeemTransactionId = redeem.id;
+    await voucher.save({ transaction: t });
+
+    return { voucherId: voucher.id, status: 'SETTLED', transactionId: redeem.id, amount: redeem.amount };
+  });
+}
+
+/**
+ * Returns the hold of every voucher that expired more than the settlement
+ * grace period ago to its owner. Run by the background scheduler.
+ * Returns the number of vouchers released.
+ */
+async function releaseExpiredVouchers() {
+  const cutoff = new Date(Date.now() - SETTLEMENT_GRACE_MS);
+  const stale = await Voucher.findAll({
+    where: { status: 'ISSUED', expiresAt: { [Op.lt]: cutoff } },
+    attributes: ['id']
+  });
+
+  let released = 0;
+  for (const { id } of stale) {
+    await sequelize.transaction(async (t) => {
+      const voucher = await Voucher.findByPk(id, { lock: t.LOCK.UPDATE, transaction: t });
+      if (!voucher || voucher.status !== 'ISSUED') return; // settled meanwhile
+
+      const [owner] = await ledger.lockUsers({ id: voucher.userId }, t);
+      // Expiring credit the voucher held keeps its original expiry
+      const hold = await Transaction.findByPk(voucher.holdTransactionId, { transaction: t });
+      await ledger.post({
+        from: VOUCHER_HOLD,
+        to: owner,
+        amountPaise: voucher.amountPaise,
+        toPurse: voucher.purse,
+        expiringParts: hold ? ledger.creditsToRestore(hold, voucher.amountPaise) : [],
+        type: 'VOUCHER_RELEASE',
+        record: {
+          senderName: 'Offline Voucher',
+          senderUserId: 'VOUCHER_RELEASE'
+        },
+        metadata: { voucherId: voucher.id, expiredAt: voucher.expiresAt.toISOString() }
+      }, t);
+
+      voucher.status = 'RELEASED';
+      await voucher.save({ transaction: t });
+      released++;
+    });
+  }
+
+  if (released > 0) {
+    console.log(`Released ${released} expired offline voucher(s).`);
+  }
+  return released;
+}
+
+module.exports = {
+  publicKeyPem,
+  issueVoucher,
+  verifyVoucherToken,
+  settleVoucher,
+  releaseExpiredVouchers
+};
@@ -0,0 +1,57 @@
+// test/helpers/db.js
+// Database for the tests that need Postgres. They run against
+// TEST_DATABASE_URL, whose tables are dropped and recreated, so it must
+// name a throwaway database with "test" in its name. Without it those
+// tests are skipped.
+const TEST_DATABASE_URL = process.env.TEST_DATABASE_URL;
+
+// Must be set before config/database.js is loaded
+if (TEST_DATABASE_URL) {
+  process.env.DATABASE_URL = TEST_DATABASE_URL;
+}
+
+const skip = TEST_DATABASE_URL ? false : 'TEST_DATABASE_URL is not set';
+
+/**
+ * Drops and recreates the tables the ledger uses. Returns the models.
+ */
+async function resetDatabase() {
+  if (!/test/i.test(new URL(TEST_DATABASE_URL).pathname)) {
+    throw new Error('TEST_DATABASE_URL must name a database with "test" in its name: its tables are dropped.');
+  }
+
+  const { sequelize } = require('../../config/database');
+  const User = require('../../models/User');
+  require('../../models/Outlet');
+  require('../../models/VendorSettlement');
+  const Transaction = require('../../models/Transaction');
+  const LedgerEntry = require('../../models/LedgerEntry');
+  const PurseBalance = require('../../models/PurseBalance');
+  const CreditLot = require('../../models/CreditLot');
+
+  // senderId / receiverId come from these associations (index.js sets them
+  // up for the server)
+  if (!Transaction.associations.Sender) {
+    Transaction.belongsTo(User, { as: 'Sender', foreignKey: 'senderId' });
+    Transaction.belongsTo(User, { as: 'Receiver', foreignKey: 'receiverId' });
+  }
+
+  await sequelize.sync({ force: true });
+  return { sequelize, User, Transaction, LedgerEntry, PurseBalance, CreditLot };
+}
+
+let userCount = 0;
+
+// A user with an empty wallet
+async function createUser(User, fields = {}) {
+  userCount++;
+  return User.create({
+    userId: `TS00T${String(userCount).padStart(3, '0')}`,
+    name: `Test User ${userCount}`,
+    role: 'Volunteer',
+    department: 'TEST',
+    ...fields
+  });
+}
+
+module.exports = { skip, resetDatabase, createUser };
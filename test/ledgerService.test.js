@@ -0,0 +1,191 @@
+// test/ledgerService.test.js
+// Ledger invariants: debits never overdraw, multi-wallet locks cannot
+// deadlock, expiring credit is drained soonest-expiry-first, and every
+// posting leaves the ledger balanced. Needs TEST_DATABASE_URL (see
+// test/helpers/db.js).
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { skip, resetDatabase, createUser } = require('./helpers/db');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('ledgerService', { skip }, () => {
+  let db;
+  let ledger;
+
+  before(async () => {
+    db = await resetDatabase();
+    ledger = require('../services/ledgerService');
+  });
+
+  after(async () => {
+    if (db) await db.sequelize.close();
+  });
+
+  const fund = (user, amountPaise, expiresAt = null) => db.sequelize.transaction(async (t) => {
+    const [wallet] = await ledger.lockUsers({ id: user.id }, t);
+    return ledger.post({
+      from: ledger.SYSTEM_ACCOUNTS.ISSUANCE,
+      to: wallet,
+      amountPaise,
+      type: 'TOPUP',
+      expiresAt,
+      record: { senderId: wallet.id, senderName: 'Shaastra Finance', senderUserId: 'FINANCE_TOPUP' }
+    }, t);
+  });
+
+  // Transfer with the wallets locked through lockUsers, as the routes do
+  const transfer = (sender, receiver, amountPaise, type = 'TRANSFER') => db.sequelize.transaction(async (t) => {
+    const wallets = await ledger.lockUsers({ id: [receiver.id, sender.id] }, t);
+    return ledger.post({
+      from: wallets.find(u => u.id === sender.id),
+      to: wallets.find(u => u.id === receiver.id),
+      amountPaise,
+      type
+    }, t);
+  });
+
+  const balanceOf = async (user) => (await db.User.findByPk(user.id)).balancePaise;
+
+  const assertBalanced = async () => {
+    const report = await ledger.reconcileBalances();
+    assert.equal(report.balanced, true, JSON.stringify(report));
+  };
+
+  describe('conditional debit', () => {
+    it('refuses a debit the balance does not cover and writes nothing', async () => {
+      const sender = await createUser(db.User);
+      const receiver = await createUser(db.User);
+      await fund(sender, 5000);
+      const before = await db.Transaction.count();
+
+      await assert.rejects(transfer(sender, receiver, 5001), { status: 400 });
+
+      assert.equal(await balanceOf(sender), 5000);
+      assert.equal(await balanceOf(receiver), 0);
+      assert.equal(await db.Transaction.count(), before);
+      await assertBalanced();
+    });
+
+    it('cannot overdraw even when the caller did not lock the wallet', async () => {
+      const sender = await createUser(db.User);
+      const receiver = await createUser(db.User);
+      await fund(sender, 10000);
+
+      // Both read ₹100 before either debits ₹60
+      const [staleA, staleB] = await Promise.all([db.User.findByPk(sender.id), db.User.findByPk(sender.id)]);
+      const unlockedSend = (stale) => db.sequelize.transaction(t => ledger.post({
+        from: stale,
+        to: receiver,
+        amountPaise: 6000
+      }, t));
+
+      const results = await Promise.allSettled([unlockedSend(staleA), unlockedSend(staleB)]);
+
+      assert.equal(results.filter(r => r.status === 'fulfilled').length, 1);
+      assert.equal(results.find(r => r.status === 'rejected').reason.status, 400);
+      assert.equal(await balanceOf(sender), 4000);
+      assert.equal(await balanceOf(receiver), 6000);
+      await assertBalanced();
+    });
+  });
+
+  describe('lock order', () => {
+    it('lockUsers returns the wallets in ascending id order', async () => {
+      const users = [await createUser(db.User), await createUser(db.User), await createUser(db.User)];
+      const ids = users.map(u => u.id).reverse();
+
+      const locked = await db.sequelize.transaction(t => ledger.lockUsers({ id: ids }, t));
+
+      assert.deepEqual(locked.map(u => u.id), [...ids].sort((a, b) => a - b));
+    });
+
+    it('crossed transfers between two wallets all succeed without a deadlock', async () => {
+      const a = await createUser(db.User);
+      const b = await createUser(db.User);
+      await fund(a, 10000);
+      await fund(b, 10000);
+
+      const sends = [];
+      for (let i = 0; i < 10; i++) {
+        sends.push(transfer(a, b, 100), transfer(b, a, 100));
+      }
+      const results = await Promise.allSettled(sends);
+
+      assert.deepEqual(results.filter(r => r.status === 'rejected').map(r => r.reason.message), []);
+      assert.equal(await balanceOf(a), 10000);
+      assert.equal(await balanceOf(b), 10000);
+      await assertBalanced();
+    });
+  });
+
+  describe('credit lots', () => {
+    it('drains the soonest-expiring lots first and records what was drawn', async () => {
+      const sender = await createUser(db.User);
+      const receiver = await createUser(db.User);
+      const later = new Date(Date.now() + 2 * DAY_MS);
+      const sooner = new Date(Date.now() + DAY_MS);
+      await fund(sender, 10000, later);
+      await fund(sender, 5000, sooner);
+      await fund(sender, 3000);
+
+      const payment = await transfer(sender, receiver, 7000);
+
+      const lots = await db.CreditLot.findAll({ where: { userId: sender.id }, order: [['expiresAt', 'ASC']] });
+      assert.deepEqual(lots.map(l => [l.status, l.remainingPaise]), [['CONSUMED', 0], ['ACTIVE', 8000]]);
+      assert.deepEqual(
+        payment.metadata.creditsDrawn.map(d => [d.expiresAt, d.paise]),
+        [[sooner.toISOString(), 5000], [later.toISOString(), 2000]]
+      );
+      await assertBalanced();
+    });
+
+    it('keeps expired credit unspendable until an ADMIN_RESET drains it', async () => {
+      const user = await createUser(db.User);
+      const receiver = await createUser(db.User);
+      await fund(user, 4000, new Date(Date.now() - 1000));
+      await fund(user, 1000);
+
+      await assert.rejects(transfer(user, receiver, 1001), { status: 400, message: /Insufficient/ });
+      await transfer(user, receiver, 1000);
+
+      await db.sequelize.transaction(async (t) => {
+        const [wallet] = await ledger.lockUsers({ id: user.id }, t);
+        await ledger.post({
+          from: wallet,
+          to: ledger.SYSTEM_ACCOUNTS.RESET,
+          amountPaise: 4000,
+          type: 'ADMIN_RESET',
+          record: { receiverId: wallet.id, receiverName: 'System Reset', receiverUserId: 'ADMIN_RESET' }
+        }, t);
+      });
+
+      const [lot] = await db.CreditLot.findAll({ where: { userId: user.id } });
+      assert.deepEqual([lot.status, lot.remainingPaise, lot.expiredPaise], ['EXPIRED', 0, 4000]);
+      assert.equal(await balanceOf(user), 0);
+      await assertBalanced();
+    });
+
+    it('gives returned money back the expiry it was drawn from, across partial returns', () => {
+      const sooner = new Date(Date.now() + DAY_MS);
+      const later = new Date(Date.now() + 2 * DAY_MS);
+      const original = {
+        metadata: {
+          creditsDrawn: [
+            { expiresAt: sooner.toISOString(), paise: 5000 },
+            { expiresAt: later.toISOString(), paise: 2000 }
+          ]
+        }
+      };
+
+      // ₹40 back, then ₹20 more, then the last ₹15 (of which ₹5 never expired)
+      assert.deepEqual(ledger.creditsToRestore(original, 4000), [{ amountPaise: 4000, expiresAt: sooner }]);
+      assert.deepEqual(ledger.creditsToRestore(original, 2000, 4000), [
+        { amountPaise: 1000, expiresAt: sooner },
+        { amountPaise: 1000, expiresAt: later }
+      ]);
+      assert.deepEqual(ledger.creditsToRestore(original, 1500, 6000), [{ amountPaise: 1000, expiresAt: later }]);
+      assert.deepEqual(ledger.creditsToRestore({ metadata: null }, 1000), []);
+    });
+  });
+});
@@ -1,5 +1,12 @@
 require('dotenv').config();
-const jwt = require('jsonwebtoken');
-const payload = { user: { id: 1, userId: 'CE23B005', role: 'Core' } };
-const token = jwt.sign(payload, process.env.JWT_SECRET, { expiresIn: '1h' });
-console.log(token);
+const { sequelize } = require('./config/database');
+const User = require('./models/User');
+const { startSession } = require('./services/sessionService');
+
+// Access tokens must name a session, so this starts one as a login does
+(async () => {
+  const user = await User.findOne({ where: { userId: 'CE23B005' } });
+  const { token } = await startSession(user, { body: { deviceName: 'tmp_generate_token' }, get: () => null, ip: null });
+  console.log(token);
+  await sequelize.close();
+})();
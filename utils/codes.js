@@ -0,0 +1,19 @@
+// utils/codes.js
+const crypto = require('crypto');
+
+// No 0/O, 1/I/L: codes are read out and typed at busy counters
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+
+// Human-friendly code from the first `length` bytes of `bytes`
+const codeFromBytes = (bytes, length = bytes.length) => {
+  let code = '';
+  for (let i = 0; i < length; i++) {
+    code += CODE_ALPHABET[bytes[i] % CODE_ALPHABET.length];
+  }
+  return code;
+};
+
+// Random human-friendly code, e.g. "K7QM2XPA"
+const randomCode = (length = 8) => codeFromBytes(crypto.randomBytes(length), length);
+
+module.exports = { CODE_ALPHABET, codeFromBytes, randomCode };
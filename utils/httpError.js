@@ -0,0 +1,12 @@
+// utils/httpError.js
+// Errors thrown inside route handlers / transactions that carry an HTTP status.
+// Route catch blocks respond with `error.status || 500`.
+
+const httpError = (status, message, details) => {
+  const error = new Error(message);
+  error.status = status;
+  if (details !== undefined) error.details = details;
+  return error;
+};
+
+module.exports = httpError;
@@ -0,0 +1,24 @@
+// utils/money.js
+// Money is stored and moved as integer paise. Rupees only appear at the API edge.
+
+// Converts a rupee amount from a request body into integer paise.
+// Returns null for anything that is not a positive amount with at most 2 decimals.
+const toPaise = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+
+  const rupees = Number(value);
+  if (!Number.isFinite(rupees) || rupees <= 0) return null;
+
+  const paise = Math.round(rupees * 100);
+  if (Math.abs(rupees * 100 - paise) > 1e-6) return null;
+
+  return paise;
+};
+
+// Paise -> rupees as a number (for JSON responses)
+const toRupees = (paise) => Number(paise || 0) / 100;
+
+// Paise -> "123.45" (for messages and CSV exports)
+const formatRupees = (paise) => toRupees(paise).toFixed(2);
+
+module.exports = { toPaise, toRupees, formatRupees };
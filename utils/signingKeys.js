@@ -0,0 +1,30 @@
+// utils/signingKeys.js
+const crypto = require('crypto');
+
+/**
+ * Returns a loader for the Ed25519 private key in `process.env[envName]`
+ * (PKCS#8 PEM; "\n" escapes are accepted so it fits on one .env line).
+ * The loader reads the key once and returns { signingKey, publicKey }.
+ * There is deliberately no generated fallback: whatever it signed would
+ * stop verifying after a restart, so a missing or wrong key throws.
+ */
+function signingKeyLoader(envName) {
+  let keys;
+
+  return () => {
+    if (!keys) {
+      const pem = process.env[envName];
+      if (!pem) {
+        throw new Error(`${envName} is not set. It must hold an Ed25519 private key (PKCS#8 PEM).`);
+      }
+      const signingKey = crypto.createPrivateKey(pem.replace(/\\n/g, '\n'));
+      if (signingKey.asymmetricKeyType !== 'ed25519') {
+        throw new Error(`${envName} must be an Ed25519 key, not ${signingKey.asymmetricKeyType}.`);
+      }
+      keys = { signingKey, publicKey: crypto.createPublicKey(signingKey) };
+    }
+    return keys;
+  };
+}
+
+module.exports = { signingKeyLoader };
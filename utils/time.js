@@ -0,0 +1,30 @@
+// utils/time.js
+// The fest runs on IST (UTC+05:30, no daylight saving), so calendar days and
+// times of day are always interpreted in IST, whatever the server timezone.
+
+const IST_OFFSET = '+05:30';
+
+// 'YYYY-MM-DD' of the IST calendar day containing `date`
+const istDateString = (date = new Date()) =>
+  new Date(date.getTime() + 330 * 60 * 1000).toISOString().slice(0, 10);
+
+// Date for 'YYYY-MM-DD' at 'HH:MM' IST
+const istDateTime = (dateString, timeOfDay = '00:00') =>
+  new Date(`${dateString}T${timeOfDay}:00${IST_OFFSET}`);
+
+// 'YYYY-MM-DD' one calendar day later
+const nextDateString = (dateString) => {
+  const next = new Date(`${dateString}T00:00:00Z`);
+  next.setUTCDate(next.getUTCDate() + 1);
+  return next.toISOString().slice(0, 10);
+};
+
+// Instant an IST calendar day ends (midnight IST starting the next day)
+const istDayEnd = (dateString) => istDateTime(nextDateString(dateString));
+
+const isDateString = (value) =>
+  typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(new Date(`${value}T00:00:00Z`).getTime());
+
+const isTimeOfDay = (value) => typeof value === 'string' && /^([01]\d|2[0-3]):[0-5]\d$/.test(value);
+
+module.exports = { istDateString, istDateTime, nextDateString, istDayEnd, isDateString, isTimeOfDay };